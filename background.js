@@ -1,5 +1,11 @@
+import { resolveFontSource, FONT_SOURCE_TYPES } from './src/background/fontSources.js';
+import { exportReport } from './src/background/exporter.js';
+import { addHistoryEntry, queryHistory, clearHistory } from './src/background/history.js';
+import { getSettings } from './src/modules/settings.js';
+
 const TOGGLE_ACTION = 'toggleExtension';
 const TOGGLE_COMMAND = 'toggle_font_detector';
+const AUDIT_COMMAND = 'run_typography_audit';
 let extensionContextValid = true;
 
 /**
@@ -38,23 +44,6 @@ function setupErrorHandling() {
 // Initialize error handling
 setupErrorHandling();
 
-/**
- * Listens for clicks on the extension icon
- * Toggles the extension on compatible pages
- */
-chrome.action.onClicked.addListener((tab) => {
-  if (!extensionContextValid) {
-    console.warn('Extension context is invalid, cannot process click');
-    return;
-  }
-  
-  if (tab.url.startsWith('http://') || tab.url.startsWith('https://')) {
-    toggleExtension(tab);
-  } else {
-    console.error('Extension cannot run on this page (non-HTTP/HTTPS URL)');
-  }
-});
-
 /**
  * Safely execute a function with error handling
  * @param {Function} fn - The function to execute
@@ -81,9 +70,19 @@ async function safeExecute(fn, ...args) {
   }
 }
 
+/**
+ * Error for pages the content script cannot run on; the popup shows its message
+ * @returns {Error}
+ */
+function unsupportedPageError() {
+  return new Error(chrome.i18n.getMessage('popupUnsupported') ||
+    'FontDetector cannot run on this page');
+}
+
 /**
  * Toggles the extension state on the specified tab
  * @param {Object} tab - The tab where the extension should be toggled
+ * @throws {Error} When the page cannot be scripted
  */
 async function toggleExtension(tab) {
   if (!tab || !tab.id) {
@@ -102,8 +101,7 @@ async function toggleExtension(tab) {
         url.startsWith('devtools:') ||
         !url.startsWith('http')) {
       console.log(`Cannot toggle extension on unsupported URL: ${url}`);
-      alert('FontDetector does not support usage on this page.');
-      return;
+      throw unsupportedPageError();
     }
   }
 
@@ -129,8 +127,7 @@ async function toggleExtension(tab) {
       });
     } catch (err) {
       console.warn('Cannot toggle extension:', err.message);
-      alert('FontDetector cannot run on this page (error or restricted page).');
-      return;
+      throw unsupportedPageError();
     }
     
     if (!canExecute) return;
@@ -182,8 +179,7 @@ async function toggleExtension(tab) {
           err.message.includes('cannot access a chrome') ||
           err.message.includes('cannot be scripted due to'))) {
         console.log('Cannot inject script on error or restricted page:', err.message);
-        alert('FontDetector cannot run on this page (error or restricted page).');
-        return;
+        throw unsupportedPageError();
       }
       // For other errors, continue to throw
       throw err;
@@ -236,6 +232,7 @@ async function toggleExtension(tab) {
     }, 300); // Allow enough time for contentScript to complete state transition
   } catch (error) {
     console.error('Exception while executing script or sending message:', error?.message || error);
+    throw error;
   }
 }
 
@@ -314,11 +311,60 @@ chrome.commands.onCommand.addListener((command) => {
   
   if (command === TOGGLE_COMMAND) {
     chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
-      if (tab) toggleExtension(tab);
+      if (tab) {
+        toggleExtension(tab).catch((error) => {
+          console.warn('Cannot toggle extension:', error.message);
+        });
+      }
+    });
+  } else if (command === AUDIT_COMMAND) {
+    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+      if (tab) {
+        runTypographyAudit(tab);
+      }
     });
   }
 });
 
+/**
+ * Runs a whole-page typography audit on the specified tab
+ * The content script is injected first if needed; it opens the report panel itself
+ * @param {Object} tab - The tab to audit
+ * @returns {Promise<Object|null>} - Audit summary from the content script
+ */
+async function runTypographyAudit(tab) {
+  if (!tab || !tab.id || !tab.url || !tab.url.startsWith('http')) {
+    console.log('Cannot run typography audit on unsupported URL:', tab && tab.url);
+    return null;
+  }
+
+  try {
+    // Injection is a no-op when the content script is already present
+    await safeExecute(async () => {
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['contentScript.js']
+      });
+    });
+
+    return await new Promise((resolve) => {
+      // Only the top frame audits; every frame has a content script that would answer
+      chrome.tabs.sendMessage(tab.id, { action: 'runTypographyAudit' }, { frameId: 0 },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            console.warn('Error running typography audit:', chrome.runtime.lastError.message);
+            resolve(null);
+            return;
+          }
+          resolve(response || null);
+        });
+    });
+  } catch (error) {
+    console.error('Exception while running typography audit:', error?.message || error);
+    return null;
+  }
+}
+
 /**
  * Check if a tab exists and is accessible
  * @param {number} tabId - The tab ID to check
@@ -431,6 +477,31 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
+/**
+ * Opens a resolved font source
+ * Specimen pages open in a new tab, font files go through the downloads API
+ * @param {string} pageUrl - URL returned by the font source resolver
+ * @param {string} type - Source type returned by the resolver
+ */
+function openFontPage(pageUrl, type) {
+  if (!pageUrl || !/^https?:\/\//i.test(pageUrl)) {
+    console.warn('Refusing to open non-HTTP font source:', pageUrl);
+    return;
+  }
+
+  if (type === FONT_SOURCE_TYPES.FILE) {
+    chrome.downloads.download({ url: pageUrl }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('Font download failed, opening in tab:', chrome.runtime.lastError.message);
+        chrome.tabs.create({ url: pageUrl });
+      }
+    });
+    return;
+  }
+
+  chrome.tabs.create({ url: pageUrl });
+}
+
 /**
  * Listens for messages from content script
  * Handles search requests and deactivation notifications
@@ -449,6 +520,67 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       
       const url = `https://www.google.com/search?q=${encodeURIComponent(formattedFontFamily + ' font')}`;
       chrome.tabs.create({ url });
+    } else if (request.action === 'searchFontDownload') {
+      // Resolve asynchronously; the channel stays open via the return below
+      getSettings().then(settings => resolveFontSource(request.fontFamily, {
+        fontFaceUrl: request.fontFaceUrl,
+        pageUrl: sender.tab?.url,
+        allowNetwork: settings.remoteFontLookup
+      })).then((result) => {
+        sendResponse(result);
+      }).catch((error) => {
+        console.warn('Font source resolution failed:', error);
+        sendResponse(null);
+      });
+    } else if (request.action === 'downloadReport') {
+      // Write collected font/color data to a file through the downloads API
+      exportReport(request.report, request.format).then((downloadId) => {
+        sendResponse({ success: true, downloadId });
+      }).catch((error) => {
+        console.warn('Report export failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    } else if (request.action === 'toggleTab' || request.action === 'runTypographyAudit') {
+      // Requests from the popup, which has no tab of its own
+      chrome.tabs.get(request.tabId, (tab) => {
+        if (chrome.runtime.lastError || !tab) {
+          sendResponse({ success: false, error: chrome.runtime.lastError?.message });
+          return;
+        }
+        const task = request.action === 'toggleTab'
+          ? toggleExtension(tab)
+          : runTypographyAudit(tab);
+        task.then((result) => {
+          sendResponse({ success: true, result: result || null });
+        }).catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+      });
+    } else if (request.action === 'recordDetection') {
+      getSettings().then((settings) => {
+        return addHistoryEntry(request.detection, settings.historyLimit);
+      }).then((id) => {
+        sendResponse({ success: true, id });
+      }).catch((error) => {
+        console.warn('Failed to record detection:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    } else if (request.action === 'getHistory') {
+      queryHistory({ query: request.query, limit: request.limit }).then((entries) => {
+        sendResponse({ success: true, entries });
+      }).catch((error) => {
+        console.warn('Failed to read history:', error);
+        sendResponse({ success: false, entries: [], error: error.message });
+      });
+    } else if (request.action === 'clearHistory') {
+      clearHistory().then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        sendResponse({ success: false, error: error.message });
+      });
+    } else if (request.action === 'openFontPage') {
+      openFontPage(request.pageUrl, request.type);
+      sendResponse({ success: true });
     } else if (request.action === 'deactivateExtension') {
       // Handle extension deactivation request from content script
       console.log('Received extension deactivation request');
@@ -0,0 +1,213 @@
+/**
+ * FontDetector options page
+ *
+ * Every control saves immediately; open tabs pick the change up through
+ * chrome.storage.onChanged.
+ */
+
+import {
+  SETTING_LIMITS,
+  getSettings,
+  saveSettings,
+  resetSettings,
+  onSettingsChanged
+} from './src/modules/settings.js';
+import {
+  parseDesignSpec,
+  getDesignSpec,
+  saveDesignSpec,
+  removeDesignSpec,
+  onDesignSpecChanged
+} from './src/modules/designSpec.js';
+
+const STATUS_DURATION = 1500;
+
+let statusTimer = null;
+
+/**
+ * Replace the text of every [data-i18n] element with its localized message
+ */
+function localizePage() {
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.dataset.i18n);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+}
+
+/**
+ * Briefly confirm that a change was saved
+ */
+function showSaved() {
+  const status = document.getElementById('status');
+  status.textContent = chrome.i18n.getMessage('optionsSaved') || 'Saved';
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
+    status.textContent = '';
+  }, STATUS_DURATION);
+}
+
+/**
+ * Show the value of a range input next to it
+ * @param {HTMLInputElement} input - Range input
+ */
+function updateOutput(input) {
+  const output = document.querySelector(`output[for="${input.id}"]`);
+  if (output) {
+    output.textContent = `${input.value}${input.dataset.unit || ''}`;
+  }
+}
+
+/**
+ * Reflect settings in the form controls
+ * @param {Object} settings - Current settings
+ */
+function render(settings) {
+  ['tooltipFields', 'colorFormats'].forEach(key => {
+    document.querySelectorAll(`#${key} input[type="checkbox"]`).forEach(checkbox => {
+      checkbox.checked = settings[key].includes(checkbox.value);
+    });
+  });
+
+  document.querySelectorAll('[data-setting]').forEach(control => {
+    const value = settings[control.dataset.setting];
+    if (control.type === 'checkbox') {
+      control.checked = value;
+    } else {
+      control.value = value;
+    }
+    if (control.type === 'range') {
+      updateOutput(control);
+    }
+  });
+
+  document.getElementById('longPressDelay').disabled = !settings.longPressEnabled;
+}
+
+/**
+ * Describe the imported design spec, or an import error
+ * @param {Object|null} spec - Stored spec
+ * @param {string} [error] - Import error message
+ */
+function renderDesignSpec(spec, error = '') {
+  const status = document.getElementById('designSpecStatus');
+  status.classList.toggle('error', !!error);
+  document.getElementById('removeDesignSpec').disabled = !spec;
+  if (error) {
+    status.textContent = error;
+  } else if (spec) {
+    const counts = [String(spec.typography.length + spec.fontSizes.length),
+      String(spec.colors.length)];
+    status.textContent = `${spec.name} · ${chrome.i18n.getMessage('optionsDesignSpecCounts',
+      counts) || `${counts[0]} type styles, ${counts[1]} colors`}`;
+  } else {
+    status.textContent = chrome.i18n.getMessage('optionsDesignSpecNone') ||
+      'No tokens imported';
+  }
+}
+
+/**
+ * Parse and store a token file picked by the user
+ * @param {File} file - Selected JSON file
+ */
+async function importDesignSpec(file) {
+  try {
+    const spec = parseDesignSpec(await file.text(), file.name);
+    await saveDesignSpec(spec);
+    renderDesignSpec(spec);
+    showSaved();
+  } catch (error) {
+    renderDesignSpec(await getDesignSpec(), error.message);
+  }
+}
+
+/**
+ * Persist a change and refresh the form with the validated result
+ * @param {Object} changes - Settings to change
+ */
+async function save(changes) {
+  try {
+    render(await saveSettings(changes));
+    showSaved();
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+  }
+}
+
+/**
+ * Wire form controls to the settings module
+ */
+function bindControls() {
+  ['tooltipFields', 'colorFormats'].forEach(key => {
+    const group = document.getElementById(key);
+    group.addEventListener('change', () => {
+      const values = Array.from(group.querySelectorAll('input:checked'), input => input.value);
+      save({ [key]: values });
+    });
+  });
+
+  document.querySelectorAll('[data-setting]').forEach(control => {
+    const key = control.dataset.setting;
+    if (control.type === 'range') {
+      const { min, max, step } = SETTING_LIMITS[key];
+      Object.assign(control, { min, max, step });
+      control.addEventListener('input', () => updateOutput(control));
+    }
+    control.addEventListener('change', () => {
+      let value = control.value;
+      if (control.type === 'checkbox') {
+        value = control.checked;
+      } else if (control.type === 'range') {
+        value = Number(control.value);
+      }
+      save({ [key]: value });
+    });
+  });
+
+  document.getElementById('editShortcuts').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  document.getElementById('clearHistory').addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'clearHistory' });
+    if (response && response.success) {
+      showSaved();
+    }
+  });
+
+  const designSpecFile = document.getElementById('designSpecFile');
+  document.getElementById('importDesignSpec').addEventListener('click', () => {
+    designSpecFile.click();
+  });
+  designSpecFile.addEventListener('change', () => {
+    if (designSpecFile.files.length > 0) {
+      importDesignSpec(designSpecFile.files[0]);
+    }
+    // Picking the same file again after editing it should import it again
+    designSpecFile.value = '';
+  });
+
+  document.getElementById('removeDesignSpec').addEventListener('click', async () => {
+    await removeDesignSpec();
+    renderDesignSpec(null);
+    showSaved();
+  });
+
+  document.getElementById('reset').addEventListener('click', async () => {
+    render(await resetSettings());
+    showSaved();
+  });
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  localizePage();
+  bindControls();
+  render(await getSettings());
+  renderDesignSpec(await getDesignSpec());
+
+  // Keep several open options pages (or the popup) in sync
+  onSettingsChanged(render);
+  onDesignSpecChanged(spec => renderDesignSpec(spec));
+});
@@ -0,0 +1,329 @@
+/**
+ * FontDetector toolbar popup
+ *
+ * Shows the detector state of the active tab and offers the actions that used to
+ * need a keyboard shortcut. Tab actions go through the service worker so the
+ * content script is injected the same way as for the toggle command.
+ */
+
+import {
+  TOOLTIP_FIELDS,
+  getSettings,
+  saveSettings,
+  setAutoActivate
+} from './src/modules/settings.js';
+
+const MAX_DETECTIONS = 30;
+const SEARCH_DEBOUNCE = 150;
+
+let activeTab = null;
+let isActive = false;
+
+/**
+ * Replace the text of every [data-i18n] element with its localized message
+ */
+function localizePage() {
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.dataset.i18n);
+    if (message) {
+      element.textContent = message;
+    }
+  });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    const message = chrome.i18n.getMessage(element.dataset.i18nPlaceholder);
+    if (message) {
+      element.placeholder = message;
+    }
+  });
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+}
+
+/**
+ * Add a checkbox for every tooltip field; labels are localized with the rest of the page
+ */
+function renderFieldToggles() {
+  const container = document.getElementById('tooltipFields');
+  TOOLTIP_FIELDS.forEach(field => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = field;
+    const text = document.createElement('span');
+    text.dataset.i18n = field;
+    text.textContent = field;
+    label.append(checkbox, text);
+    container.appendChild(label);
+  });
+}
+
+/**
+ * Check whether the detector can run on a tab
+ * @param {Object} tab - Chrome tab
+ * @returns {boolean}
+ */
+function isSupportedTab(tab) {
+  return !!(tab && tab.url && /^https?:\/\//i.test(tab.url));
+}
+
+/**
+ * Send a message to the top frame of the active tab
+ * @param {Object} message - Message to send
+ * @returns {Promise<Object|null>} - Response, or null when no content script answers
+ */
+function sendToTab(message) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(activeTab.id, message, { frameId: 0 }, (response) => {
+      if (chrome.runtime.lastError) {
+        resolve(null);
+        return;
+      }
+      resolve(response || null);
+    });
+  });
+}
+
+/**
+ * Inject the content script into the active tab unless it is already there
+ * Page-wide tools work without turning the detector on
+ */
+async function ensureContentScript() {
+  if (!(await sendToTab({ action: 'checkContentScriptLoaded' }))) {
+    await chrome.scripting.executeScript({
+      target: { tabId: activeTab.id },
+      files: ['contentScript.js']
+    });
+  }
+}
+
+/**
+ * Render the activation state of the active tab
+ */
+function renderState() {
+  const supported = isSupportedTab(activeTab);
+  const statusText = document.getElementById('statusText');
+  const toggle = document.getElementById('toggle');
+
+  document.getElementById('tabState').classList.toggle('active', supported && isActive);
+  statusText.classList.remove('error');
+
+  if (!supported) {
+    statusText.textContent = chrome.i18n.getMessage('popupUnsupported') ||
+      'FontDetector cannot run on this page';
+  } else if (isActive) {
+    statusText.textContent = chrome.i18n.getMessage('popupActive') || 'Active on this page';
+  } else {
+    statusText.textContent = chrome.i18n.getMessage('popupInactive') || 'Inactive';
+  }
+
+  toggle.textContent = isActive
+    ? (chrome.i18n.getMessage('popupDeactivate') || 'Turn off')
+    : (chrome.i18n.getMessage('popupActivate') || 'Turn on');
+
+  document.querySelectorAll('#tabState button, #tabState input, [data-export], #exportSource')
+    .forEach(control => {
+      control.disabled = !supported;
+    });
+}
+
+/**
+ * Query the content script for its state
+ */
+async function refreshTab() {
+  if (!isSupportedTab(activeTab)) {
+    isActive = false;
+    renderState();
+    return;
+  }
+
+  const status = await sendToTab({ action: 'checkExtensionStatus' });
+  isActive = !!(status && status.isActive);
+  renderState();
+
+  const pinned = await sendToTab({ action: 'getPagePinned' });
+  document.getElementById('pinToPage').checked = !!(pinned && pinned.pinned);
+}
+
+/**
+ * Turn the detector on or off through the service worker and show why it failed
+ */
+async function toggleTab() {
+  const response = await chrome.runtime.sendMessage({ action: 'toggleTab', tabId: activeTab.id });
+  await refreshTab();
+  if (response && !response.success) {
+    const statusText = document.getElementById('statusText');
+    statusText.textContent = response.error || chrome.i18n.getMessage('popupUnsupported') ||
+      'FontDetector cannot run on this page';
+    statusText.classList.add('error');
+  }
+}
+
+/**
+ * Load detection history from the service worker
+ */
+async function refreshHistory() {
+  const query = document.getElementById('historySearch').value;
+  const response = await chrome.runtime.sendMessage({
+    action: 'getHistory',
+    query,
+    limit: MAX_DETECTIONS
+  });
+  renderDetections(response && response.entries ? response.entries : []);
+}
+
+/**
+ * Get a short label for the page a detection was made on
+ * @param {string} url - Page URL
+ * @returns {string}
+ */
+function getHostLabel(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Render history entries, newest first
+ * @param {Object[]} entries - History entries from the service worker
+ */
+function renderDetections(entries) {
+  const list = document.getElementById('detections');
+  list.textContent = '';
+
+  entries.forEach(entry => {
+    const item = document.createElement('li');
+    item.title = entry.url;
+
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    if (entry.color) {
+      swatch.style.backgroundColor = entry.color.hex;
+      swatch.title = entry.color.hex;
+    }
+
+    const details = document.createElement('div');
+    details.className = 'detection-details';
+
+    const family = document.createElement('strong');
+    family.textContent = entry.renderedFontFamily ||
+      entry.fontFamily.split(',')[0].replace(/['"]/g, '').trim();
+
+    const meta = document.createElement('small');
+    meta.textContent = [entry.fontWeight, entry.fontSize, getHostLabel(entry.url), entry.text]
+      .filter(Boolean)
+      .join(' · ');
+
+    details.append(family, meta);
+    item.append(swatch, details);
+    item.addEventListener('click', () => {
+      if (/^https?:\/\//i.test(entry.url)) {
+        chrome.tabs.create({ url: entry.url });
+      }
+    });
+    list.appendChild(item);
+  });
+
+  document.getElementById('noDetections').hidden = entries.length > 0;
+}
+
+/**
+ * Reflect settings in the popup controls
+ * @param {Object} settings - Current settings
+ */
+function renderSettings(settings) {
+  document.querySelectorAll('#tooltipFields input').forEach(checkbox => {
+    checkbox.checked = settings.tooltipFields.includes(checkbox.value);
+  });
+
+  const host = isSupportedTab(activeTab) ? new URL(activeTab.url).hostname : '';
+  document.getElementById('autoActivate').checked = !!host &&
+    settings.autoActivateHosts.includes(host.toLowerCase());
+}
+
+/**
+ * Wire popup controls
+ */
+function bindControls() {
+  document.getElementById('openOptions').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  document.getElementById('toggle').addEventListener('click', toggleTab);
+
+  let searchTimer = null;
+  document.getElementById('historySearch').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(refreshHistory, SEARCH_DEBOUNCE);
+  });
+
+  document.getElementById('clearHistory').addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ action: 'clearHistory' });
+    await refreshHistory();
+  });
+
+  document.getElementById('runAudit').addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ action: 'runTypographyAudit', tabId: activeTab.id });
+    // The report opens as a panel on the page
+    window.close();
+  });
+
+  document.getElementById('openPageFonts').addEventListener('click', async () => {
+    await ensureContentScript();
+    await sendToTab({ action: 'openPageFonts' });
+    window.close();
+  });
+
+  document.getElementById('runFontDiagnostics').addEventListener('click', async () => {
+    await ensureContentScript();
+    await sendToTab({ action: 'runFontDiagnostics' });
+    window.close();
+  });
+
+  document.getElementById('openCompare').addEventListener('click', async () => {
+    await sendToTab({ action: 'openComparePanel' });
+    window.close();
+  });
+
+  document.getElementById('autoActivate').addEventListener('change', async (event) => {
+    const enabled = event.target.checked;
+    renderSettings(await setAutoActivate(new URL(activeTab.url).hostname, enabled));
+    if (enabled && !isActive) {
+      await toggleTab();
+    }
+  });
+
+  document.getElementById('pinToPage').addEventListener('change', async (event) => {
+    const response = await sendToTab({ action: 'setPagePinned', pinned: event.target.checked });
+    event.target.checked = !!(response && response.pinned);
+  });
+
+  document.getElementById('tooltipFields').addEventListener('change', async () => {
+    const shown = Array.from(document.querySelectorAll('#tooltipFields input:checked'),
+      checkbox => checkbox.value);
+    renderSettings(await saveSettings({ tooltipFields: shown }));
+  });
+
+  document.querySelectorAll('[data-export]').forEach(button => {
+    button.addEventListener('click', async () => {
+      const source = document.getElementById('exportSource').value;
+      // The content script may not be present yet when exporting a page audit
+      await ensureContentScript();
+      const response = await sendToTab({
+        action: 'exportReport',
+        source,
+        format: button.dataset.export
+      });
+      button.classList.toggle('failed', !(response && response.success));
+    });
+  });
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  renderFieldToggles();
+  localizePage();
+  [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  bindControls();
+  renderSettings(await getSettings());
+  await Promise.all([refreshTab(), refreshHistory()]);
+});
@@ -1,141 +1,163 @@
 /**
- * FontDetector main application
- * 
- * This is the entry point for the FontDetector extension content script.
- * It ties together all the modules and handles the extension lifecycle.
+ * FontDetector content script application
+ *
+ * Entry module loaded by contentScript.js into every frame. It stays small: the detector
+ * modules in src/detector.js are imported only once the frame needs them, on activation,
+ * on a popup or panel request, or on load when the site activates automatically or the page
+ * has pinned tooltips. The loader forwards runtime messages to handleMessage.
  */
 
-import { initTooltips, removeAllFixedTooltips } from './modules/tooltips.js';
-import { initListeners, removeListeners } from './modules/listeners.js';
+import { CONSTANTS } from './modules/constants.js';
+import { state } from './modules/state.js';
+import { getSettings } from './modules/settings.js';
+import { hasPinnedTooltips } from './modules/pinnedPages.js';
 
-// Extension state
-window.fontDetectorState = {
-  isActive: false,
-  isReinitializing: false
-};
+let detector = null;
 
 /**
- * Initialize the font detector
+ * Import and start the detector modules, once per frame
+ * @returns {Promise<Object>} - The src/detector.js module
  */
-function initializeDetector() {
-  try {
-    if (window.fontDetectorState.isReinitializing) {
-      return;
-    }
-    
-    console.log('Initializing FontDetector...');
-    
-    // Initialize tooltips
-    initTooltips();
-    
-    // Initialize listeners
-    initListeners(window.fontDetectorState);
-    
-    // Add error handler
-    setupErrorHandling();
-    
-    console.log('FontDetector initialized successfully');
-  } catch (err) {
-    console.error('Error initializing FontDetector:', err);
-    cleanupResources();
+function loadDetector() {
+  if (!detector) {
+    detector = import('./detector.js').then(module => {
+      module.start();
+      return module;
+    });
+    // A failed import is retried on the next request
+    detector.catch(() => {
+      detector = null;
+    });
   }
+  return detector;
 }
 
 /**
- * Deinitialize the font detector
- * @param {boolean} preserveFixedTooltips - Whether to preserve fixed tooltips
+ * Check whether the detector is needed as soon as the page loads
+ * @returns {Promise<boolean>}
  */
-function deinitializeDetector(preserveFixedTooltips = false) {
-  try {
-    console.log('Deinitializing FontDetector...');
-    
-    // Clean up listeners
-    removeListeners();
-    
-    // Remove tooltips if needed
-    if (!preserveFixedTooltips) {
-      removeAllFixedTooltips();
-    }
-    
-    window.fontDetectorState.isActive = false;
-    console.log('FontDetector deinitialized successfully');
-  } catch (err) {
-    console.error('Error deinitializing FontDetector:', err);
+async function isNeededOnLoad() {
+  // Only the top frame follows the per-site switch and restores pinned tooltips
+  if (window !== window.top) {
+    return false;
   }
+  const [settings, pinned] = await Promise.all([getSettings(), hasPinnedTooltips()]);
+  return pinned || settings.autoActivateHosts.includes(location.hostname.toLowerCase());
 }
 
 /**
- * Clean up all resources
+ * Handle a message that needs the detector modules
+ * @param {Object} modules - The src/detector.js module
+ * @param {Object} request - Message with an action
+ * @param {function(Object)} sendResponse - Response callback, may be called asynchronously
  */
-function cleanupResources() {
-  try {
-    if (!window.fontDetectorState.isReinitializing) {
-      window.fontDetectorState.isReinitializing = true;
-      console.log('Cleaning up FontDetector resources...');
-      
-      // Deactivate
-      window.fontDetectorState.isActive = false;
-      
-      // Clean up
-      deinitializeDetector(false);
-      
-      window.fontDetectorState.isReinitializing = false;
+function handleDetectorMessage(modules, request, sendResponse) {
+  const {
+    PinnedTooltips,
+    CompareBoard,
+    PageFonts,
+    FontPerformance,
+    ReportBuilder,
+    TypographyAudit,
+    toggleExtension,
+    safeExecute
+  } = modules;
+
+  switch (request.action) {
+    case CONSTANTS.TOGGLE_ACTION:
+      toggleExtension();
+      sendResponse({ success: true });
+      break;
+    case 'getPagePinned':
+      sendResponse({ pinned: PinnedTooltips.isPinned });
+      break;
+    case 'setPagePinned':
+      PinnedTooltips.setPinned(!!request.pinned)
+        .then(() => sendResponse({ success: true, pinned: PinnedTooltips.isPinned }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      break;
+    case 'openComparePanel': {
+      const count = safeExecute(() => CompareBoard.open(), 0, 'openComparePanel');
+      sendResponse({ success: true, count });
+      break;
     }
-  } catch (err) {
-    console.error('Error cleaning up resources:', err);
-    window.fontDetectorState.isReinitializing = false;
+    case 'openPageFonts': {
+      const result = safeExecute(() => PageFonts.open(), null, 'openPageFonts');
+      sendResponse({
+        success: !!result,
+        familyCount: result ? result.families.length : 0,
+        faceCount: result ? result.faceCount : 0
+      });
+      break;
+    }
+    case 'runFontDiagnostics': {
+      const result = safeExecute(() => FontPerformance.open(), null, 'runFontDiagnostics');
+      sendResponse({ success: !!result, score: result ? result.score : null });
+      break;
+    }
+    case 'exportReport':
+      ReportBuilder.exportTo(request.source || ReportBuilder.SOURCES.FIXED_TOOLTIPS,
+        request.format)
+        .then(response => sendResponse(response || { success: false }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      break;
+    case 'runTypographyAudit': {
+      const result = safeExecute(() => TypographyAudit.openReport(), null,
+        'runTypographyAudit');
+      sendResponse({
+        success: !!result,
+        styleCount: result ? result.styles.length : 0,
+        elementCount: result ? result.elementCount : 0
+      });
+      break;
+    }
+    default:
+      sendResponse({ success: false, error: `Unknown action: ${request.action}` });
   }
 }
 
 /**
- * Set up error handling
+ * Handle a runtime message sent to this frame
+ * @param {Object} request - Message with an action
+ * @param {Object} sender - Message sender
+ * @param {function(Object)} sendResponse - Response callback, may be called asynchronously
  */
-function setupErrorHandling() {
-  window.addEventListener('error', function(event) {
-    if (event.error && event.error.message && event.error.message.includes('Extension context invalidated')) {
-      console.warn('Captured Extension context invalidated error, preparing to clean up resources...');
-      cleanupResources();
-    }
-  });
-  
-  // Chrome connection listener
-  chrome.runtime.onConnect.addListener(function(port) {
-    port.onDisconnect.addListener(function() {
-      if (chrome.runtime.lastError) {
-        console.warn('Port disconnected due to error:', chrome.runtime.lastError);
-        cleanupResources();
-      }
-    });
-  });
-}
+export function handleMessage(request, sender, sendResponse) {
+  if (!request || !request.action) {
+    sendResponse({ success: false, error: 'Invalid request' });
+    return;
+  }
 
-// Listen for messages from the background script
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'toggleExtension') {
-    console.log('Toggle extension message received');
-    
-    window.fontDetectorState.isActive = !window.fontDetectorState.isActive;
-    
-    if (window.fontDetectorState.isActive) {
-      console.log('Activating font detector');
-    } else {
-      console.log('Deactivating font detector');
-      deinitializeDetector(false);
-    }
-    
-    // Send response
-    if (sendResponse) {
-      sendResponse({ success: true });
-    }
+  if (!document || !document.documentElement) {
+    sendResponse({ success: false, error: 'Invalid DOM context' });
+    return;
   }
-});
 
-// Initialize detector
-initializeDetector();
+  // Status checks reach every frame and must not load the detector
+  if (request.action === 'checkContentScriptLoaded') {
+    sendResponse({ loaded: true });
+    return;
+  }
+  if (request.action === 'checkExtensionStatus') {
+    sendResponse({ isActive: state.isActive });
+    return;
+  }
+
+  loadDetector()
+    .then(modules => handleDetectorMessage(modules, request, sendResponse))
+    .catch(error => sendResponse({ success: false, error: error.message }));
+}
 
-// Export functions for use in modules
-export {
-  initializeDetector,
-  deinitializeDetector,
-  cleanupResources
-}; 
\ No newline at end of file
+isNeededOnLoad()
+  .then(needed => (needed ? loadDetector() : null))
+  .catch(error => {
+    console.warn('FontDetector: failed to load the detector', error.message);
+  });
+
+// Debug helper
+window.fontDetectorDebug = false;
+window.toggleFontDetectorDebug = function() {
+  window.fontDetectorDebug = !window.fontDetectorDebug;
+  console.log(`FontDetector debug mode ${window.fontDetectorDebug ? 'enabled' : 'disabled'}`);
+  return window.fontDetectorDebug;
+};
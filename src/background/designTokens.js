@@ -0,0 +1,225 @@
+/**
+ * Design token conversion for the FontDetector service worker
+ *
+ * Converts collected typography and colors into W3C Design Tokens Community Group
+ * (DTCG) JSON, which Style Dictionary can consume directly. Token names are
+ * generated from the values and identical values are merged into one token.
+ */
+
+// Keys use the DTCG type names so groups can carry $type for all children
+const GROUPS = {
+  COLOR: 'color',
+  FONT_FAMILY: 'fontFamily',
+  TYPOGRAPHY: 'typography'
+};
+
+const WEIGHT_NAMES = {
+  100: 'thin',
+  200: 'extralight',
+  300: 'light',
+  400: 'regular',
+  500: 'medium',
+  600: 'semibold',
+  700: 'bold',
+  800: 'extrabold',
+  900: 'black'
+};
+
+// CIELAB hue angle ranges mapped to color names (upper bound exclusive)
+const HUE_NAMES = [
+  [20, 'pink'],
+  [55, 'red'],
+  [85, 'orange'],
+  [115, 'yellow'],
+  [165, 'green'],
+  [225, 'teal'],
+  [315, 'blue'],
+  [345, 'purple'],
+  [360, 'pink']
+];
+
+// Minimum LCH chroma for a color to get a hue name instead of "gray"
+const NEUTRAL_CHROMA = 8;
+
+// CSS 'line-height: normal' is roughly 1.2 for most fonts
+const NORMAL_LINE_HEIGHT = 1.2;
+
+/**
+ * Convert a string to a token-safe slug, keeping letters of every script so CJK, Arabic
+ * and other non-Latin family names stay readable
+ * @param {string} value - Source string
+ * @returns {string} - Empty when the string has no letters or digits
+ */
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Round to a fixed number of decimals without trailing zeros
+ * @param {number} value - Number to round
+ * @param {number} [decimals] - Decimal places
+ * @returns {number}
+ */
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Split a computed font-family value into family names
+ * @param {string} fontFamily - Computed font-family
+ * @returns {string[]}
+ */
+function parseFontFamily(fontFamily) {
+  return String(fontFamily || '')
+    .split(',')
+    .map(family => family.trim().replace(/^['"]|['"]$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Reserve a unique name within a token group
+ * @param {Object} group - Token group
+ * @param {string} baseName - Preferred name
+ * @returns {string}
+ */
+function getUniqueName(group, baseName) {
+  const base = baseName || 'token';
+  let name = base;
+  let suffix = 2;
+  while (Object.prototype.hasOwnProperty.call(group, name)) {
+    name = `${base}-${suffix++}`;
+  }
+  return name;
+}
+
+/**
+ * Name a color from its LCH coordinates, e.g. "blue-600" or "gray-800"
+ * @param {Object} color - Color with hex and lch {l, c, h}
+ * @returns {string}
+ */
+export function getColorTokenName(color) {
+  const hex = String(color.hex || '').toLowerCase();
+  if (hex === '#ffffff') {
+    return 'white';
+  }
+  if (hex === '#000000') {
+    return 'black';
+  }
+
+  const lch = color.lch || { l: 50, c: 0, h: 0 };
+  const hue = lch.c < NEUTRAL_CHROMA
+    ? 'gray'
+    : HUE_NAMES.find(([limit]) => lch.h < limit)[1];
+
+  // Tailwind-style scale: 50 is lightest, 950 darkest
+  const steps = [[95, 50], [90, 100], [80, 200], [70, 300], [60, 400], [50, 500],
+    [40, 600], [30, 700], [20, 800], [10, 900]];
+  const step = (steps.find(([minLightness]) => lch.l >= minLightness) || [0, 950])[1];
+
+  return `${hue}-${step}`;
+}
+
+/**
+ * Convert a computed line-height to a unitless DTCG number
+ * @param {string} lineHeight - Computed line-height
+ * @param {number} fontSize - Font size in px
+ * @returns {number}
+ */
+function toLineHeightRatio(lineHeight, fontSize) {
+  if (!lineHeight || lineHeight === 'normal') {
+    return NORMAL_LINE_HEIGHT;
+  }
+  const value = parseFloat(lineHeight);
+  if (isNaN(value)) {
+    return NORMAL_LINE_HEIGHT;
+  }
+  if (/px$/.test(lineHeight) && fontSize > 0) {
+    return round(value / fontSize);
+  }
+  return round(value);
+}
+
+/**
+ * Name a typography style from its role, size and weight, e.g. "body-16-regular"
+ * @param {number} fontSize - Font size in px
+ * @param {number} fontWeight - Numeric weight
+ * @returns {string}
+ */
+export function getTypographyTokenName(fontSize, fontWeight) {
+  let role = 'caption';
+  if (fontSize >= 24) {
+    role = 'heading';
+  } else if (fontSize >= 14) {
+    role = 'body';
+  }
+  const rounded = Math.round(fontWeight / 100) * 100;
+  const weightName = WEIGHT_NAMES[rounded] || String(fontWeight);
+  return `${role}-${round(fontSize, 1)}-${weightName}`.replace(/\./g, '_');
+}
+
+/**
+ * Convert a collected report into a DTCG token document
+ * @param {Object} report - Report from the content script (see exporter.js)
+ * @returns {Object} - DTCG token tree with color, fontFamily and typography groups
+ */
+export function toDesignTokens(report) {
+  const colors = { $type: 'color' };
+  const fontFamilies = { $type: 'fontFamily' };
+  const typography = { $type: 'typography' };
+
+  const colorByHex = new Map();
+  const familyByStack = new Map();
+  const typographyByValue = new Map();
+
+  (report.entries || []).forEach(entry => {
+    if (entry.color && entry.color.hex) {
+      const hex = entry.color.hex.toLowerCase();
+      if (!colorByHex.has(hex)) {
+        const name = getUniqueName(colors, getColorTokenName(entry.color));
+        colors[name] = { $value: hex };
+        colorByHex.set(hex, name);
+      }
+    }
+
+    const stack = parseFontFamily(entry.fontFamily);
+    const fontSize = parseFloat(entry.fontSize);
+    if (stack.length === 0 || isNaN(fontSize)) {
+      return;
+    }
+
+    const stackKey = stack.join(',').toLowerCase();
+    if (!familyByStack.has(stackKey)) {
+      // Names made only of symbols fall back to their position, e.g. "font-3"
+      const name = getUniqueName(fontFamilies,
+        slugify(stack[0]) || `font-${familyByStack.size + 1}`);
+      fontFamilies[name] = { $value: stack };
+      familyByStack.set(stackKey, name);
+    }
+
+    const fontWeight = parseInt(entry.fontWeight, 10) || 400;
+    const value = {
+      fontFamily: `{${GROUPS.FONT_FAMILY}.${familyByStack.get(stackKey)}}`,
+      fontSize: `${round(fontSize)}px`,
+      fontWeight,
+      letterSpacing: entry.letterSpacing && entry.letterSpacing !== 'normal'
+        ? entry.letterSpacing
+        : '0px',
+      lineHeight: toLineHeightRatio(entry.lineHeight, fontSize)
+    };
+
+    const valueKey = JSON.stringify(value);
+    if (!typographyByValue.has(valueKey)) {
+      const name = getUniqueName(typography, getTypographyTokenName(fontSize, fontWeight));
+      typography[name] = { $value: value };
+      typographyByValue.set(valueKey, name);
+    }
+  });
+
+  return {
+    $description: `Extracted by FontDetector from ${report.url} at ${report.timestamp}`,
+    [GROUPS.COLOR]: colors,
+    [GROUPS.FONT_FAMILY]: fontFamilies,
+    [GROUPS.TYPOGRAPHY]: typography
+  };
+}
@@ -0,0 +1,256 @@
+/**
+ * Report export pipeline for the FontDetector service worker
+ *
+ * Turns a report collected by the content script (fixed tooltips or a page audit)
+ * into a downloadable JSON, CSV, Markdown or design token file.
+ */
+
+import { toDesignTokens } from './designTokens.js';
+
+export const REPORT_FORMAT = 'fontdetector-report';
+export const REPORT_VERSION = 1;
+
+// Column order shared by CSV and Markdown output
+const COLUMNS = [
+  { key: 'selector', label: 'Selector' },
+  { key: 'text', label: 'Text' },
+  { key: 'fontFamily', label: 'Font family' },
+  { key: 'renderedFontFamily', label: 'Rendered font' },
+  { key: 'fontWeight', label: 'Font weight' },
+  { key: 'fontSize', label: 'Font size' },
+  { key: 'lineHeight', label: 'Line height' },
+  { key: 'letterSpacing', label: 'Letter spacing' },
+  { key: 'textAlign', label: 'Text align' },
+  { key: 'synthesized', label: 'Synthesized' },
+  { key: 'colorHex', label: 'Color' },
+  { key: 'colorRgb', label: 'RGB' },
+  { key: 'typographyToken', label: 'Typography token' },
+  { key: 'colorToken', label: 'Color token' },
+  { key: 'specDrift', label: 'Off spec' },
+  { key: 'count', label: 'Count' }
+];
+
+/**
+ * @typedef {Object} ReportEntry
+ * @property {string} selector - CSS selector of the (first) source element
+ * @property {string[]} [selectors] - Selectors of every instance, for page audits
+ * @property {string} [text] - Selected or sample text
+ * @property {string} fontFamily - Computed font-family stack
+ * @property {string} [renderedFontFamily] - Family actually painting the text
+ * @property {string} fontWeight
+ * @property {string} fontSize
+ * @property {string} lineHeight
+ * @property {string} letterSpacing
+ * @property {string} [textAlign]
+ * @property {Object<string, string>} [fontFeatures] - font-feature-settings, font-variant-*,
+ *   font-kerning, font-optical-sizing, font-synthesis and text-rendering by property name
+ * @property {boolean} [synthesizedBold] - The browser fakes bold because no bold face is loaded
+ * @property {boolean} [synthesizedItalic] - The browser slants an upright face
+ * @property {Object} [color] - {hex, rgb: {r, g, b}, lch: {l, c, h}}
+ * @property {Object} [designSpec] - Nearest tokens of the imported design spec:
+ *   {typography, color, onSpec}, where each match is {name, drift: [{property, actual,
+ *   expected}]}; null when no spec is imported
+ * @property {number} [count] - Number of elements sharing this style
+ */
+
+/**
+ * @typedef {Object} Report
+ * @property {string} source - 'fixed-tooltips' or 'page-audit'
+ * @property {string} url - Page URL
+ * @property {string} [title] - Page title
+ * @property {string} timestamp - ISO 8601 collection time
+ * @property {ReportEntry[]} entries
+ */
+
+/**
+ * Flatten an entry into the column values used by tabular formats
+ * @param {ReportEntry} entry - Report entry
+ * @returns {Object<string, string>}
+ */
+function toRow(entry) {
+  const rgb = entry.color && entry.color.rgb;
+  const spec = entry.designSpec || {};
+  const drift = [spec.typography, spec.color]
+    .flatMap(match => match ? match.drift : [])
+    .map(item => `${item.property} ${item.actual} → ${item.expected}`);
+  return {
+    selector: entry.selector || '',
+    text: entry.text || '',
+    fontFamily: entry.fontFamily || '',
+    renderedFontFamily: entry.renderedFontFamily || '',
+    fontWeight: entry.fontWeight || '',
+    fontSize: entry.fontSize || '',
+    lineHeight: entry.lineHeight || '',
+    letterSpacing: entry.letterSpacing || '',
+    textAlign: entry.textAlign || '',
+    synthesized: [entry.synthesizedBold && 'bold', entry.synthesizedItalic && 'italic']
+      .filter(Boolean)
+      .join(' '),
+    colorHex: (entry.color && entry.color.hex) || '',
+    colorRgb: rgb ? `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})` : '',
+    typographyToken: spec.typography ? spec.typography.name : '',
+    colorToken: spec.color ? spec.color.name : '',
+    specDrift: drift.join('; '),
+    count: entry.count === undefined ? '1' : String(entry.count)
+  };
+}
+
+/**
+ * Escape a CSV cell, neutralizing spreadsheet formulas in page-supplied text
+ * @param {string} value - Cell value
+ * @returns {string}
+ */
+function escapeCsvCell(value) {
+  let cell = String(value);
+  // Negative numbers and lengths such as -0.5px cannot run as formulas and stay numeric
+  if (/^[=+\-@\t\r]/.test(cell) && !/^-?[\d.]+[a-z%]*$/i.test(cell)) {
+    cell = `'${cell}`;
+  }
+  if (/[",\n\r]/.test(cell)) {
+    cell = `"${cell.replace(/"/g, '""')}"`;
+  }
+  return cell;
+}
+
+/**
+ * Escape a Markdown table cell
+ * @param {string} value - Cell value
+ * @returns {string}
+ */
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Serialize a report as JSON with a versioned envelope
+ * @param {Report} report - Collected report
+ * @returns {string}
+ */
+export function toJSON(report) {
+  return JSON.stringify({
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    source: report.source,
+    url: report.url,
+    title: report.title || '',
+    timestamp: report.timestamp,
+    entries: report.entries
+  }, null, 2);
+}
+
+/**
+ * Serialize a report as CSV, one row per entry
+ * @param {Report} report - Collected report
+ * @returns {string}
+ */
+export function toCSV(report) {
+  const header = ['source', 'url', 'timestamp', ...COLUMNS.map(column => column.key)];
+  const lines = [header.join(',')];
+  report.entries.forEach(entry => {
+    const row = toRow(entry);
+    lines.push([
+      report.source,
+      report.url,
+      report.timestamp,
+      ...COLUMNS.map(column => row[column.key])
+    ].map(escapeCsvCell).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize a report as a Markdown document for design reviews
+ * @param {Report} report - Collected report
+ * @returns {string}
+ */
+export function toMarkdown(report) {
+  const title = report.source === 'page-audit' ? 'Typography audit' : 'Font details';
+  const lines = [
+    `# ${title}`,
+    '',
+    `- **Page:** ${report.title ? `${escapeMarkdownCell(report.title)} — ` : ''}<${report.url}>`,
+    `- **Collected:** ${report.timestamp}`,
+    `- **Entries:** ${report.entries.length}`,
+    '',
+    `| ${COLUMNS.map(column => column.label).join(' | ')} |`,
+    `| ${COLUMNS.map(() => '---').join(' | ')} |`
+  ];
+
+  report.entries.forEach(entry => {
+    const row = toRow(entry);
+    const cells = COLUMNS.map(column => {
+      const value = escapeMarkdownCell(row[column.key]);
+      return column.key === 'selector' && value ? `\`${value}\`` : value;
+    });
+    lines.push(`| ${cells.join(' | ')} |`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+const FORMATTERS = {
+  json: { serialize: toJSON, mimeType: 'application/json', extension: 'json' },
+  csv: { serialize: toCSV, mimeType: 'text/csv', extension: 'csv' },
+  markdown: { serialize: toMarkdown, mimeType: 'text/markdown', extension: 'md' },
+  tokens: {
+    serialize: report => JSON.stringify(toDesignTokens(report), null, 2),
+    mimeType: 'application/json',
+    extension: 'tokens.json'
+  }
+};
+
+/**
+ * Get the export formats supported by the pipeline
+ * @returns {string[]}
+ */
+export function getExportFormats() {
+  return Object.keys(FORMATTERS);
+}
+
+/**
+ * Build a descriptive, filesystem-safe file name for a report
+ * @param {Report} report - Collected report
+ * @param {string} extension - File extension without dot
+ * @returns {string}
+ */
+function getFileName(report, extension) {
+  let host = 'page';
+  try {
+    host = new URL(report.url).hostname || host;
+  } catch (e) {
+    // Keep the default host label
+  }
+  const stamp = String(report.timestamp || new Date().toISOString())
+    .replace(/\.\d+Z$/, 'Z')
+    .replace(/[:]/g, '-');
+  const kind = report.source === 'page-audit' ? 'audit' : 'fonts';
+  return `fontdetector-${kind}-${host}-${stamp}.${extension}`.replace(/[^\w.-]+/g, '_');
+}
+
+/**
+ * Serialize a report and hand it to the downloads API
+ * @param {Report} report - Collected report
+ * @param {string} format - One of getExportFormats()
+ * @returns {Promise<number>} - Download id
+ */
+export async function exportReport(report, format) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  if (!report || !Array.isArray(report.entries)) {
+    throw new Error('Invalid report: entries are missing');
+  }
+
+  const content = formatter.serialize(report);
+  // Service workers have no URL.createObjectURL, so the file travels as a data URL.
+  // CSV gets a BOM so spreadsheet apps detect UTF-8.
+  const prefix = format === 'csv' ? '\uFEFF' : '';
+  const url = `data:${formatter.mimeType};charset=utf-8,${encodeURIComponent(prefix + content)}`;
+
+  return chrome.downloads.download({
+    url,
+    filename: getFileName(report, formatter.extension),
+    saveAs: false
+  });
+}
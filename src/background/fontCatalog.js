@@ -0,0 +1,96 @@
+/**
+ * Bundled offline font catalog for the FontDetector service worker
+ *
+ * Lets the resolver answer for common families without any network request.
+ * Families are stored by display name; lookups go through normalizeFamilyName().
+ */
+
+/**
+ * Popular Google Fonts families
+ * @type {string[]}
+ */
+export const GOOGLE_FONTS = [
+  'Abril Fatface', 'Alegreya', 'Alegreya Sans', 'Alfa Slab One', 'Amatic SC', 'Anton',
+  'Archivo', 'Archivo Black', 'Archivo Narrow', 'Arimo', 'Arvo', 'Asap', 'Assistant',
+  'Barlow', 'Barlow Condensed', 'Barlow Semi Condensed', 'Be Vietnam Pro', 'Bebas Neue',
+  'Bitter', 'Bricolage Grotesque', 'Cabin', 'Cairo', 'Caveat', 'Chivo', 'Cinzel',
+  'Comfortaa', 'Cormorant', 'Cormorant Garamond', 'Crimson Pro', 'Crimson Text',
+  'DM Mono', 'DM Sans', 'DM Serif Display', 'DM Serif Text', 'Dancing Script', 'Dosis',
+  'EB Garamond', 'Exo 2', 'Figtree', 'Fira Code', 'Fira Mono', 'Fira Sans',
+  'Fira Sans Condensed', 'Fjalla One', 'Fraunces', 'Geist', 'Geist Mono', 'Heebo',
+  'Hind', 'IBM Plex Mono', 'IBM Plex Sans', 'IBM Plex Sans Condensed', 'IBM Plex Serif',
+  'Inconsolata', 'Instrument Sans', 'Instrument Serif', 'Inter', 'Inter Tight',
+  'JetBrains Mono', 'Josefin Sans', 'Josefin Slab', 'Jost', 'Kanit', 'Karla', 'Lato',
+  'Lexend', 'Libre Baskerville', 'Libre Caslon Text', 'Libre Franklin', 'Literata',
+  'Lobster', 'Lora', 'M PLUS 1p', 'M PLUS Rounded 1c', 'Manrope', 'Merriweather',
+  'Merriweather Sans', 'Montserrat', 'Mukta', 'Mulish', 'Nanum Gothic', 'Newsreader',
+  'Noto Color Emoji', 'Noto Sans', 'Noto Sans Arabic', 'Noto Sans JP', 'Noto Sans KR',
+  'Noto Sans SC', 'Noto Sans TC', 'Noto Serif', 'Noto Serif JP', 'Noto Serif SC',
+  'Nunito', 'Nunito Sans', 'Old Standard TT', 'Open Sans', 'Oswald', 'Outfit',
+  'Overpass', 'Oxygen', 'PT Mono', 'PT Sans', 'PT Sans Narrow', 'PT Serif', 'Pacifico',
+  'Permanent Marker', 'Playfair Display', 'Plus Jakarta Sans', 'Poppins', 'Prompt',
+  'Public Sans', 'Quicksand', 'Rajdhani', 'Raleway', 'Red Hat Display', 'Red Hat Mono',
+  'Red Hat Text', 'Roboto', 'Roboto Condensed', 'Roboto Flex', 'Roboto Mono',
+  'Roboto Serif', 'Roboto Slab', 'Rubik', 'Schibsted Grotesk', 'Shadows Into Light',
+  'Signika', 'Slabo 27px', 'Sora', 'Source Code Pro', 'Source Sans 3', 'Source Serif 4',
+  'Space Grotesk', 'Space Mono', 'Spectral', 'Syne', 'Teko', 'Titillium Web', 'Ubuntu',
+  'Ubuntu Mono', 'Unbounded', 'Urbanist', 'Varela Round', 'Work Sans', 'Yanone Kaffeesatz',
+  'Zen Kaku Gothic New', 'Zilla Slab'
+];
+
+/**
+ * Fontshare (Indian Type Foundry) families
+ * @type {string[]}
+ */
+export const FONTSHARE_FONTS = [
+  'Alpino', 'Amulya', 'Author', 'Bespoke Sans', 'Bespoke Serif', 'Bespoke Slab',
+  'Bevellier', 'Boska', 'Bonny', 'Britney', 'Cabinet Grotesk', 'Chillax', 'Clash Display',
+  'Clash Grotesk', 'Comico', 'Excon', 'Erode', 'Expose', 'Gambarino', 'Gambetta',
+  'General Sans', 'Kola', 'Melodrama', 'Nippo', 'Panchang', 'Pencerio', 'Quilon', 'Ranade',
+  'Rowan', 'Sentient', 'Satoshi', 'Stardom', 'Supreme', 'Switzer', 'Synonym', 'Tabular',
+  'Tanker', 'Technor', 'Telma', 'Zodiak'
+];
+
+/**
+ * Adobe Fonts families, keyed by display name with the fonts.adobe.com slug as value
+ * @type {Object<string, string>}
+ */
+export const ADOBE_FONTS = {
+  'Acumin Pro': 'acumin',
+  'Adobe Caslon Pro': 'adobe-caslon',
+  'Adobe Garamond Pro': 'adobe-garamond',
+  'Aktiv Grotesk': 'aktiv-grotesk',
+  'Brandon Grotesque': 'brandon-grotesque',
+  'Freight Sans Pro': 'freight-sans',
+  'Freight Text Pro': 'freight-text',
+  'Futura PT': 'futura-pt',
+  'Gibson': 'gibson',
+  'ITC Avant Garde Gothic Pro': 'itc-avant-garde-gothic',
+  'Museo Sans': 'museo-sans',
+  'Myriad Pro': 'myriad',
+  'Minion Pro': 'minion',
+  'Neue Haas Grotesk Display': 'neue-haas-grotesk-display',
+  'Neue Haas Grotesk Text': 'neue-haas-grotesk-text',
+  'Neue Haas Unica': 'neue-haas-unica',
+  'Nimbus Sans': 'nimbus-sans',
+  'Proxima Nova': 'proxima-nova',
+  'Sofia Pro': 'sofia-pro',
+  'Source Han Sans': 'source-han-sans-simplified-chinese',
+  'Tenby Five': 'tenby-five',
+  'Trade Gothic Next': 'trade-gothic-next',
+  'Utopia Std': 'utopia'
+};
+
+/**
+ * Generic families and platform system fonts that are never downloadable
+ * @type {string[]}
+ */
+export const SYSTEM_FONTS = [
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif',
+  'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong',
+  '-apple-system', 'blinkmacsystemfont', 'segoe ui', 'segoe ui emoji', 'apple color emoji',
+  'helvetica', 'helvetica neue', 'arial', 'times', 'times new roman', 'courier',
+  'courier new', 'georgia', 'verdana', 'tahoma', 'trebuchet ms', 'sf pro', 'sf pro text',
+  'sf pro display', 'sf mono', 'menlo', 'monaco', 'consolas', 'pingfang sc', 'pingfang tc',
+  'hiragino sans', 'microsoft yahei', 'microsoft jhenghei', 'yu gothic', 'meiryo'
+];
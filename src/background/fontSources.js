@@ -0,0 +1,295 @@
+/**
+ * Font source resolver for the FontDetector service worker
+ *
+ * Maps a CSS family name to a place where the font can be obtained. Resolution
+ * runs through an ordered list of providers; the first one that answers wins.
+ */
+
+import { GOOGLE_FONTS, FONTSHARE_FONTS, ADOBE_FONTS, SYSTEM_FONTS } from './fontCatalog.js';
+
+/**
+ * Kinds of URL a provider can return
+ */
+export const FONT_SOURCE_TYPES = {
+  PAGE: 'page',
+  FILE: 'file'
+};
+
+const NETWORK_TIMEOUT = 4000;
+
+// Suffixes that sites append to self-hosted copies of catalog families
+const FAMILY_SUFFIX_PATTERN = /[\s-]+(variable|var|vf|web|webfont|regular)$/i;
+
+/**
+ * @typedef {Object} FontSourceResult
+ * @property {string} url - Specimen page or font file URL
+ * @property {string} type - One of FONT_SOURCE_TYPES
+ * @property {string} source - Human-readable source name
+ */
+
+/**
+ * @typedef {Object} FontSourceContext
+ * @property {string} [fontFaceUrl] - URL of the page's own @font-face source, if known
+ * @property {string} [pageUrl] - URL of the page the family was detected on
+ * @property {boolean} [allowNetwork] - Whether family names may be sent to remote font APIs
+ */
+
+/**
+ * @typedef {Object} FontSourceProvider
+ * @property {string} id - Unique provider identifier
+ * @property {function(string, FontSourceContext): Promise<FontSourceResult|null>} resolve
+ */
+
+/**
+ * Normalize a family name for catalog lookups
+ * @param {string} fontFamily - Raw family name or full font-family stack
+ * @returns {string} - Lowercased family name without quotes or extra whitespace
+ */
+export function normalizeFamilyName(fontFamily) {
+  return String(fontFamily || '')
+    .split(',')[0]
+    .replace(/['"]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Build a lookup map from normalized name to display name
+ * @param {string[]} families - Display names
+ * @returns {Map<string, string>}
+ */
+function createLookup(families) {
+  return new Map(families.map(name => [normalizeFamilyName(name), name]));
+}
+
+const googleLookup = createLookup(GOOGLE_FONTS);
+const fontshareLookup = createLookup(FONTSHARE_FONTS);
+const adobeLookup = createLookup(Object.keys(ADOBE_FONTS));
+const systemLookup = new Set(SYSTEM_FONTS);
+
+/**
+ * Get the names to try for a family, most specific first
+ * @param {string} normalized - Normalized family name
+ * @returns {string[]}
+ */
+function getFamilyCandidates(normalized) {
+  const candidates = [normalized];
+  const stripped = normalized.replace(FAMILY_SUFFIX_PATTERN, '').trim();
+  if (stripped && stripped !== normalized) {
+    candidates.push(stripped);
+  }
+  return candidates;
+}
+
+/**
+ * Find the display name of a family in a catalog lookup
+ * @param {Map<string, string>} lookup - Catalog lookup map
+ * @param {string} normalized - Normalized family name
+ * @returns {string|null}
+ */
+function findInCatalog(lookup, normalized) {
+  for (const candidate of getFamilyCandidates(normalized)) {
+    if (lookup.has(candidate)) {
+      return lookup.get(candidate);
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a display name to a URL slug
+ * @param {string} name - Display name
+ * @returns {string}
+ */
+function toSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Google Fonts specimen page URL for a family
+ * @param {string} name - Display name
+ * @returns {string}
+ */
+function getGoogleSpecimenUrl(name) {
+  return `https://fonts.google.com/specimen/${encodeURIComponent(name).replace(/%20/g, '+')}`;
+}
+
+/**
+ * Fetch with a timeout so a slow network never blocks the tooltip
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), NETWORK_TIMEOUT);
+  try {
+    return await fetch(url, { signal: controller.signal, credentials: 'omit' });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const googleFontsProvider = {
+  id: 'google-fonts',
+  async resolve(normalized) {
+    const name = findInCatalog(googleLookup, normalized);
+    if (!name) {
+      return null;
+    }
+    return {
+      url: getGoogleSpecimenUrl(name),
+      type: FONT_SOURCE_TYPES.PAGE,
+      source: 'Google Fonts'
+    };
+  }
+};
+
+const fontshareProvider = {
+  id: 'fontshare',
+  async resolve(normalized) {
+    const name = findInCatalog(fontshareLookup, normalized);
+    if (!name) {
+      return null;
+    }
+    return {
+      url: `https://www.fontshare.com/fonts/${toSlug(name)}`,
+      type: FONT_SOURCE_TYPES.PAGE,
+      source: 'Fontshare'
+    };
+  }
+};
+
+const adobeFontsProvider = {
+  id: 'adobe-fonts',
+  async resolve(normalized) {
+    const name = findInCatalog(adobeLookup, normalized);
+    if (!name) {
+      return null;
+    }
+    return {
+      url: `https://fonts.adobe.com/fonts/${ADOBE_FONTS[name]}`,
+      type: FONT_SOURCE_TYPES.PAGE,
+      source: 'Adobe Fonts'
+    };
+  }
+};
+
+/**
+ * Falls back to the Google Fonts CSS API for families missing from the bundled catalog.
+ * The API answers 400 for unknown families, so a successful response confirms the name.
+ * The request tells Google which fonts the user looks at, so it only runs when the
+ * remoteFontLookup setting allows it.
+ */
+const googleFontsApiProvider = {
+  id: 'google-fonts-api',
+  async resolve(normalized, context) {
+    if (!context.allowNetwork || !context.originalName) {
+      return null;
+    }
+    const name = context.originalName;
+    const query = encodeURIComponent(name).replace(/%20/g, '+');
+    const response = await fetchWithTimeout(`https://fonts.googleapis.com/css2?family=${query}`);
+    if (!response.ok) {
+      return null;
+    }
+    return {
+      url: getGoogleSpecimenUrl(name),
+      type: FONT_SOURCE_TYPES.PAGE,
+      source: 'Google Fonts'
+    };
+  }
+};
+
+const pageFontFaceProvider = {
+  id: 'page-font-face',
+  async resolve(normalized, context) {
+    const url = context.fontFaceUrl;
+    if (!url || !/^https?:\/\//i.test(url)) {
+      return null;
+    }
+    return { url, type: FONT_SOURCE_TYPES.FILE, source: 'Web page' };
+  }
+};
+
+// Ordered provider registry: offline catalogs first, then the page itself, and the network
+// last so families the page serves are never sent anywhere
+const providers = [
+  googleFontsProvider,
+  fontshareProvider,
+  adobeFontsProvider,
+  pageFontFaceProvider,
+  googleFontsApiProvider
+];
+
+// Results are cached per service worker lifetime, including misses
+const resultCache = new Map();
+
+/**
+ * Register an additional font source provider
+ * @param {FontSourceProvider} provider - Provider to register
+ * @param {number} [index] - Position in the resolution order, appended when omitted
+ */
+export function registerFontSourceProvider(provider, index = providers.length) {
+  if (!provider || typeof provider.id !== 'string' || typeof provider.resolve !== 'function') {
+    throw new TypeError('Font source provider must have an id and a resolve function');
+  }
+  const existing = providers.findIndex(p => p.id === provider.id);
+  if (existing !== -1) {
+    providers.splice(existing, 1);
+  }
+  providers.splice(Math.max(0, Math.min(index, providers.length)), 0, provider);
+  resultCache.clear();
+}
+
+/**
+ * Get the ids of registered providers in resolution order
+ * @returns {string[]}
+ */
+export function getFontSourceProviders() {
+  return providers.map(p => p.id);
+}
+
+/**
+ * Resolve where a font family can be obtained
+ * @param {string} fontFamily - Family name as reported by the content script
+ * @param {FontSourceContext} [context] - Extra information about the page
+ * @returns {Promise<FontSourceResult|null>} - First provider match, or null
+ */
+export async function resolveFontSource(fontFamily, context = {}) {
+  const normalized = normalizeFamilyName(fontFamily);
+  if (!normalized || systemLookup.has(normalized)) {
+    return null;
+  }
+
+  const cacheKey = `${normalized}|${context.fontFaceUrl || ''}|${!!context.allowNetwork}`;
+  if (resultCache.has(cacheKey)) {
+    return resultCache.get(cacheKey);
+  }
+
+  const providerContext = {
+    ...context,
+    originalName: String(fontFamily).split(',')[0].replace(/['"]/g, '').trim()
+  };
+
+  let result = null;
+  let hadFailure = false;
+  for (const provider of providers) {
+    try {
+      result = await provider.resolve(normalized, providerContext);
+    } catch (error) {
+      console.warn(`Font source provider ${provider.id} failed:`, error.message);
+      hadFailure = true;
+      result = null;
+    }
+    if (result && result.url) {
+      break;
+    }
+  }
+
+  // A provider error may be transient (offline, timeout), so only cache definite answers
+  if (result || !hadFailure) {
+    resultCache.set(cacheKey, result || null);
+  }
+  return result || null;
+}
@@ -0,0 +1,205 @@
+/**
+ * Detection history for the FontDetector service worker
+ *
+ * Every fixed tooltip is logged to IndexedDB in the extension origin so details
+ * survive closing the tooltip or leaving the page. The newest entries are kept up
+ * to the user's retention limit.
+ */
+
+const DB_NAME = 'fontdetector';
+const DB_VERSION = 1;
+const STORE_NAME = 'history';
+const TIMESTAMP_INDEX = 'timestamp';
+
+export const DEFAULT_QUERY_LIMIT = 50;
+
+let dbPromise = null;
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} [id] - Auto-incremented key
+ * @property {string} fontFamily - Computed font-family stack
+ * @property {string} [renderedFontFamily] - Family actually painting the text
+ * @property {string} fontWeight
+ * @property {string} fontSize
+ * @property {Object} [color] - {hex, rgb: {r, g, b}}
+ * @property {string} text - Selected text
+ * @property {string} url - Page URL
+ * @property {string} [title] - Page title
+ * @property {string} selector - CSS selector of the source element
+ * @property {string} timestamp - ISO 8601 detection time
+ */
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create on first use) the history database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, {
+        keyPath: 'id',
+        autoIncrement: true
+      });
+      store.createIndex(TIMESTAMP_INDEX, 'timestamp');
+    };
+    dbPromise = promisify(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Start a transaction on the history store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @returns {Promise<{store: IDBObjectStore, done: Promise<void>}>}
+ */
+async function getStore(mode) {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  return { store: transaction.objectStore(STORE_NAME), done };
+}
+
+/**
+ * Keep only the fields the history stores from a content script detection
+ * @param {Object} detection - Raw detection
+ * @returns {HistoryEntry}
+ */
+function toEntry(detection) {
+  const color = detection.color && detection.color.hex
+    ? { hex: detection.color.hex, rgb: detection.color.rgb || null }
+    : null;
+  return {
+    fontFamily: String(detection.fontFamily || ''),
+    renderedFontFamily: detection.renderedFontFamily || null,
+    fontWeight: String(detection.fontWeight || ''),
+    fontSize: String(detection.fontSize || ''),
+    color,
+    text: String(detection.text || '').slice(0, 500),
+    url: String(detection.url || ''),
+    title: String(detection.title || ''),
+    selector: String(detection.selector || ''),
+    timestamp: detection.timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Delete the oldest entries beyond the retention limit
+ * @param {number} limit - Number of entries to keep
+ * @returns {Promise<number>} - Number of deleted entries
+ */
+export async function pruneHistory(limit) {
+  const { store, done } = await getStore('readwrite');
+  const count = await promisify(store.count());
+  let excess = count - limit;
+  if (excess <= 0) {
+    return 0;
+  }
+
+  const deleted = excess;
+  const request = store.index(TIMESTAMP_INDEX).openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor && excess > 0) {
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    }
+  };
+  await done;
+  return deleted;
+}
+
+/**
+ * Log a detection
+ * @param {Object} detection - Detection from the content script
+ * @param {number} limit - Retention limit
+ * @returns {Promise<number>} - Key of the new entry
+ */
+export async function addHistoryEntry(detection, limit) {
+  const { store, done } = await getStore('readwrite');
+  const id = await promisify(store.add(toEntry(detection)));
+  await done;
+  await pruneHistory(limit);
+  return id;
+}
+
+/**
+ * Check whether an entry matches a free-text query
+ * @param {HistoryEntry} entry - History entry
+ * @param {string} query - Lowercased query
+ * @returns {boolean}
+ */
+function matchesQuery(entry, query) {
+  if (!query) {
+    return true;
+  }
+  const haystack = [
+    entry.fontFamily,
+    entry.renderedFontFamily,
+    entry.fontWeight,
+    entry.fontSize,
+    entry.color && entry.color.hex,
+    entry.text,
+    entry.url,
+    entry.title
+  ].filter(Boolean).join('\n').toLowerCase();
+  return haystack.includes(query);
+}
+
+/**
+ * Search the history, newest first
+ * @param {Object} [options]
+ * @param {string} [options.query] - Free text matched against family, size, color, text and URL
+ * @param {number} [options.limit] - Maximum number of results
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export async function queryHistory({ query = '', limit = DEFAULT_QUERY_LIMIT } = {}) {
+  const { store, done } = await getStore('readonly');
+  const needle = String(query).trim().toLowerCase();
+  const results = [];
+
+  const request = store.index(TIMESTAMP_INDEX).openCursor(null, 'prev');
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor || results.length >= limit) {
+      return;
+    }
+    if (matchesQuery(cursor.value, needle)) {
+      results.push(cursor.value);
+    }
+    cursor.continue();
+  };
+  await done;
+  return results;
+}
+
+/**
+ * Delete every history entry
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+  const { store, done } = await getStore('readwrite');
+  store.clear();
+  await done;
+}
@@ -0,0 +1,28 @@
+/**
+ * FontDetector detector modules
+ *
+ * Loaded by src/app.js the first time a frame needs the detector, so frames where it is
+ * never turned on do not parse the tooltip, panel and font file code. Starting it wires up
+ * settings, the design spec and pinned tooltips.
+ */
+
+import { Settings } from './modules/contentSettings.js';
+import { SpecDrift } from './modules/specDrift.js';
+import { PinnedTooltips } from './modules/pinnedTooltips.js';
+import { setupErrorHandling } from './modules/lifecycle.js';
+
+export { PinnedTooltips };
+export { TypographyAudit } from './modules/typographyAudit.js';
+export { CompareBoard } from './modules/compareBoard.js';
+export { PageFonts } from './modules/pageFonts.js';
+export { FontPerformance } from './modules/fontPerformance.js';
+export { ReportBuilder } from './modules/reports.js';
+export { toggleExtension } from './modules/lifecycle.js';
+export { safeExecute } from './modules/errors.js';
+
+export function start() {
+  setupErrorHandling();
+  Settings.init();
+  SpecDrift.init();
+  PinnedTooltips.init();
+}
@@ -0,0 +1,669 @@
+/**
+ * CSS Color 4/5 parsing, conversion and gamut mapping
+ */
+
+// Colors are {space, coords: [c1, c2, c3], alpha}. Every space converts through
+// XYZ (D65) using the matrices published with CSS Color 4.
+export const ColorEngine = {
+  D50_WHITE: [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585],
+  LAB_EPSILON: 216 / 24389,
+  LAB_KAPPA: 24389 / 27,
+  // Gamut mapping: chroma search stops once clipping is within one just noticeable difference
+  GAMUT_JND: 0.02,
+  GAMUT_EPSILON: 0.0001,
+
+  // Linear-light RGB spaces; d50 marks spaces whose matrices are relative to D50
+  RGB_SPACES: {
+    'srgb-linear': {
+      toXyz: [
+        [506752 / 1228815, 87881 / 245763, 12673 / 70218],
+        [87098 / 409605, 175762 / 245763, 12673 / 175545],
+        [7918 / 409605, 87881 / 737289, 1001167 / 1053270]
+      ],
+      fromXyz: [
+        [12831 / 3959, -329 / 214, -1974 / 3959],
+        [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+        [705 / 12673, -2585 / 12673, 705 / 667]
+      ]
+    },
+    'display-p3': {
+      toXyz: [
+        [608311 / 1250200, 189793 / 714400, 198249 / 1000160],
+        [35783 / 156275, 247089 / 357200, 198249 / 2500400],
+        [0, 32229 / 714400, 5220557 / 5000800]
+      ],
+      fromXyz: [
+        [446124 / 178915, -333277 / 357830, -72051 / 178915],
+        [-14852 / 17905, 63121 / 35810, 423 / 17905],
+        [11844 / 330415, -50337 / 660830, 316169 / 330415]
+      ]
+    },
+    'a98-rgb': {
+      toXyz: [
+        [573536 / 994567, 263643 / 1420810, 187206 / 994567],
+        [591459 / 1989134, 6239551 / 9945670, 374412 / 4972835],
+        [53769 / 1989134, 351524 / 4972835, 4929758 / 4972835]
+      ],
+      fromXyz: [
+        [1829569 / 896150, -506331 / 896150, -308931 / 896150],
+        [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+        [16779 / 1248040, -147721 / 1248040, 1266979 / 1248040]
+      ]
+    },
+    'prophoto-rgb': {
+      d50: true,
+      toXyz: [
+        [0.7977666449006423, 0.13518129740053308, 0.0313477341283922],
+        [0.2880748288194013, 0.711835234241873, 0.00008993693872564],
+        [0, 0, 0.8251046025104602]
+      ],
+      fromXyz: [
+        [1.3457868816471583, -0.25557208737979464, -0.05110186497554526],
+        [-0.5446307051249019, 1.5082477428451468, 0.02052744743642139],
+        [0, 0, 1.2119675456389452]
+      ]
+    },
+    rec2020: {
+      toXyz: [
+        [63426534 / 99577255, 20160776 / 139408157, 47086771 / 278816314],
+        [26158966 / 99577255, 472592308 / 697040785, 8267143 / 139408157],
+        [0, 19567812 / 697040785, 295819943 / 278816314]
+      ],
+      fromXyz: [
+        [30757411 / 17917100, -6372589 / 17917100, -4539589 / 17917100],
+        [-19765991 / 29648200, 47925759 / 29648200, 467509 / 29648200],
+        [792561 / 44930125, -1921689 / 44930125, 42328811 / 44930125]
+      ]
+    }
+  },
+
+  // Bradford chromatic adaptation
+  D65_TO_D50: [
+    [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+    [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+    [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+  ],
+  D50_TO_D65: [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+  ],
+
+  XYZ_TO_LMS: [
+    [0.8190224379967030, 0.3619062600528904, -0.1288737815209879],
+    [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+    [0.0481771893596242, 0.2642395317527308, 0.6335478284694309]
+  ],
+  LMS_TO_OKLAB: [
+    [0.2104542683093140, 0.7936177747023054, -0.0040720430116193],
+    [1.9779985324311684, -2.4285922420485799, 0.4505937096174110],
+    [0.0259040424655478, 0.7827717124575296, -0.8086757549230774]
+  ],
+  OKLAB_TO_LMS: [
+    [1, 0.3963377773761749, 0.2158037573099136],
+    [1, -0.1055613458156586, -0.0638541728258133],
+    [1, -0.0894841775298119, -1.2914855480194092]
+  ],
+  LMS_TO_XYZ: [
+    [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+    [-0.0405757452148008, 1.1122868032803170, -0.0717110580655164],
+    [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816]
+  ],
+
+  // Gamma-encoded spaces and the linear space their transfer function decodes to
+  ENCODED_SPACES: {
+    srgb: 'srgb-linear',
+    'display-p3': 'display-p3',
+    'a98-rgb': 'a98-rgb',
+    'prophoto-rgb': 'prophoto-rgb',
+    rec2020: 'rec2020'
+  },
+
+  // Predefined spaces accepted by color()
+  COLOR_FUNCTION_SPACES: [
+    'srgb', 'srgb-linear', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020',
+    'xyz', 'xyz-d50', 'xyz-d65'
+  ],
+
+  // Percentage reference ranges for lab-like components, per CSS Color 4
+  PERCENT_REFERENCES: {
+    lab: [100, 125, 125],
+    lch: [100, 150, 1],
+    oklab: [1, 0.4, 0.4],
+    oklch: [1, 0.4, 1]
+  },
+
+  HUE_UNITS: {
+    deg: 1,
+    grad: 360 / 400,
+    rad: 180 / Math.PI,
+    turn: 360
+  },
+
+  multiply(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+  },
+
+  // ------------------------------------------------------------------------
+  // Parsing
+  // ------------------------------------------------------------------------
+
+  parse(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const input = value.trim().toLowerCase();
+
+    if (input === 'transparent') {
+      return { space: 'srgb', coords: [0, 0, 0], alpha: 0 };
+    }
+    if (input.startsWith('#')) {
+      return this.parseHex(input);
+    }
+
+    const match = input.match(/^([a-z-]+)\((.*)\)$/);
+    if (!match) {
+      // Named and system colors are left to the caller
+      return null;
+    }
+    const name = match[1];
+    const args = this.splitArguments(match[2]);
+    if (!args) {
+      return null;
+    }
+
+    switch (name) {
+      case 'rgb':
+      case 'rgba':
+        return this.parseRgb(args);
+      case 'hsl':
+      case 'hsla':
+      case 'hwb':
+        return this.parseHueSpace(name === 'hwb' ? 'hwb' : 'hsl', args);
+      case 'lab':
+      case 'lch':
+      case 'oklab':
+      case 'oklch':
+        return this.parseLabSpace(name, args);
+      case 'color':
+        return this.parseColorFunction(args);
+      default:
+        // color-mix(), relative colors and light-dark() are resolved by the browser
+        return null;
+    }
+  },
+
+  parseHex(input) {
+    let hex = input.slice(1);
+    if (!/^[0-9a-f]+$/.test(hex) || ![3, 4, 6, 8].includes(hex.length)) {
+      return null;
+    }
+    if (hex.length <= 4) {
+      hex = hex.split('').map(digit => digit + digit).join('');
+    }
+    const channels = hex.match(/../g).map(pair => parseInt(pair, 16) / 255);
+    return {
+      space: 'srgb',
+      coords: channels.slice(0, 3),
+      alpha: channels.length === 4 ? channels[3] : 1
+    };
+  },
+
+  // Returns {components: [...], alpha} for both comma and space separated syntax
+  splitArguments(body) {
+    let components;
+    let alpha = null;
+
+    if (body.includes(',')) {
+      components = body.split(',').map(part => part.trim());
+      if (components.length === 4) {
+        alpha = components.pop();
+      }
+    } else {
+      const [main, alphaPart] = body.split('/');
+      components = main.trim().split(/\s+/);
+      if (alphaPart !== undefined) {
+        alpha = alphaPart.trim();
+      }
+    }
+
+    if (components.some(component => component === '')) {
+      return null;
+    }
+    return { components, alpha };
+  },
+
+  // Resolve a number or percentage; `none` is a missing component and behaves as zero
+  parseNumber(token, percentReference = 1) {
+    if (token === 'none') {
+      return 0;
+    }
+    if (token.endsWith('%')) {
+      const number = parseFloat(token);
+      return Number.isFinite(number) ? number / 100 * percentReference : NaN;
+    }
+    return Number(token);
+  },
+
+  parseHue(token) {
+    if (token === 'none') {
+      return 0;
+    }
+    const match = token.match(/^(-?[\d.]+(?:e[+-]?\d+)?)(deg|grad|rad|turn)?$/);
+    if (!match) {
+      return NaN;
+    }
+    return parseFloat(match[1]) * this.HUE_UNITS[match[2] || 'deg'];
+  },
+
+  parseAlpha(token) {
+    if (token === null) {
+      return 1;
+    }
+    return Math.min(1, Math.max(0, this.parseNumber(token)));
+  },
+
+  finish(space, coords, alphaToken) {
+    const alpha = this.parseAlpha(alphaToken);
+    if (coords.length !== 3 || coords.some(coord => !Number.isFinite(coord)) ||
+        !Number.isFinite(alpha)) {
+      return null;
+    }
+    return { space, coords, alpha };
+  },
+
+  // Channels outside 0-255 are clamped at parse time, as browsers do for rgb()
+  parseRgb({ components, alpha }) {
+    const coords = components
+      .map(token => Math.min(255, Math.max(0, this.parseNumber(token, 255))) / 255);
+    return this.finish('srgb', coords, alpha);
+  },
+
+  parseHueSpace(space, { components, alpha }) {
+    if (components.length !== 3) {
+      return null;
+    }
+    // Saturation, lightness, whiteness and blackness are percentages, bare numbers too
+    const coords = [
+      this.parseHue(components[0]),
+      this.parseNumber(components[1], 100),
+      this.parseNumber(components[2], 100)
+    ];
+    return this.finish(space, coords, alpha);
+  },
+
+  parseLabSpace(space, { components, alpha }) {
+    if (components.length !== 3) {
+      return null;
+    }
+    const references = this.PERCENT_REFERENCES[space];
+    const isPolar = space === 'lch' || space === 'oklch';
+    const coords = components.map((token, index) => (isPolar && index === 2
+      ? this.parseHue(token)
+      : this.parseNumber(token, references[index])));
+    return this.finish(space, coords, alpha);
+  },
+
+  parseColorFunction({ components, alpha }) {
+    const [spaceName, ...channels] = components;
+    if (!this.COLOR_FUNCTION_SPACES.includes(spaceName) || channels.length !== 3) {
+      return null;
+    }
+    const space = spaceName === 'xyz' ? 'xyz-d65' : spaceName;
+    return this.finish(space, channels.map(token => this.parseNumber(token)), alpha);
+  },
+
+  // ------------------------------------------------------------------------
+  // Conversion
+  // ------------------------------------------------------------------------
+
+  // Transfer functions work on the magnitude so negative (out of gamut) values stay signed
+  decode(space, value) {
+    const sign = value < 0 ? -1 : 1;
+    const abs = Math.abs(value);
+    switch (space) {
+      case 'a98-rgb':
+        return sign * Math.pow(abs, 563 / 256);
+      case 'prophoto-rgb':
+        return abs <= 16 / 512 ? value / 16 : sign * Math.pow(abs, 1.8);
+      case 'rec2020': {
+        const alpha = 1.09929682680944;
+        const beta = 0.018053968510807;
+        return abs < beta * 4.5
+          ? value / 4.5
+          : sign * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+      }
+      default:
+        return abs <= 0.04045 ? value / 12.92 : sign * Math.pow((abs + 0.055) / 1.055, 2.4);
+    }
+  },
+
+  encode(space, value) {
+    const sign = value < 0 ? -1 : 1;
+    const abs = Math.abs(value);
+    switch (space) {
+      case 'a98-rgb':
+        return sign * Math.pow(abs, 256 / 563);
+      case 'prophoto-rgb':
+        return abs >= 1 / 512 ? sign * Math.pow(abs, 1 / 1.8) : 16 * value;
+      case 'rec2020': {
+        const alpha = 1.09929682680944;
+        const beta = 0.018053968510807;
+        return abs > beta
+          ? sign * (alpha * Math.pow(abs, 0.45) - (alpha - 1))
+          : 4.5 * value;
+      }
+      default:
+        return abs > 0.0031308 ? sign * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055) : 12.92 * value;
+    }
+  },
+
+  hslToSrgb([hue, saturation, lightness]) {
+    const h = this.wrapHue(hue);
+    const s = saturation / 100;
+    const l = lightness / 100;
+    const channel = n => {
+      const k = (n + h / 30) % 12;
+      const a = s * Math.min(l, 1 - l);
+      return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return [channel(0), channel(8), channel(4)];
+  },
+
+  srgbToHsl([r, g, b]) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (min + max) / 2;
+    const delta = max - min;
+    let hue = 0;
+    let saturation = 0;
+
+    if (delta !== 0) {
+      saturation = lightness === 0 || lightness === 1
+        ? 0
+        : (max - lightness) / Math.min(lightness, 1 - lightness);
+      if (max === r) {
+        hue = (g - b) / delta + (g < b ? 6 : 0);
+      } else if (max === g) {
+        hue = (b - r) / delta + 2;
+      } else {
+        hue = (r - g) / delta + 4;
+      }
+      hue *= 60;
+    }
+    return [hue, saturation * 100, lightness * 100];
+  },
+
+  hwbToSrgb([hue, whiteness, blackness]) {
+    const w = whiteness / 100;
+    const b = blackness / 100;
+    if (w + b >= 1) {
+      const gray = w / (w + b);
+      return [gray, gray, gray];
+    }
+    return this.hslToSrgb([hue, 100, 50]).map(channel => channel * (1 - w - b) + w);
+  },
+
+  srgbToHwb(rgb) {
+    const [hue] = this.srgbToHsl(rgb);
+    const white = Math.min(...rgb);
+    const black = 1 - Math.max(...rgb);
+    return [hue, white * 100, black * 100];
+  },
+
+  toPolar([lightness, a, b]) {
+    let hue = Math.atan2(b, a) * 180 / Math.PI;
+    if (hue < 0) {
+      hue += 360;
+    }
+    return [lightness, Math.sqrt(a * a + b * b), hue];
+  },
+
+  fromPolar([lightness, chroma, hue]) {
+    const radians = hue * Math.PI / 180;
+    return [lightness, chroma * Math.cos(radians), chroma * Math.sin(radians)];
+  },
+
+  labToXyzD50([lightness, a, b]) {
+    const fy = (lightness + 16) / 116;
+    const fx = a / 500 + fy;
+    const fz = fy - b / 200;
+    const invert = f => (Math.pow(f, 3) > this.LAB_EPSILON
+      ? Math.pow(f, 3)
+      : (116 * f - 16) / this.LAB_KAPPA);
+    const y = lightness > this.LAB_KAPPA * this.LAB_EPSILON
+      ? Math.pow(fy, 3)
+      : lightness / this.LAB_KAPPA;
+    return [invert(fx), y, invert(fz)].map((value, i) => value * this.D50_WHITE[i]);
+  },
+
+  xyzD50ToLab(xyz) {
+    const f = xyz
+      .map((value, i) => value / this.D50_WHITE[i])
+      .map(value => (value > this.LAB_EPSILON
+        ? Math.cbrt(value)
+        : (this.LAB_KAPPA * value + 16) / 116));
+    return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+  },
+
+  oklabToXyz(oklab) {
+    const lms = this.multiply(this.OKLAB_TO_LMS, oklab).map(value => value * value * value);
+    return this.multiply(this.LMS_TO_XYZ, lms);
+  },
+
+  xyzToOklab(xyz) {
+    const lms = this.multiply(this.XYZ_TO_LMS, xyz).map(value => Math.cbrt(value));
+    return this.multiply(this.LMS_TO_OKLAB, lms);
+  },
+
+  toXyz({ space, coords }) {
+    switch (space) {
+      case 'xyz-d65':
+        return coords;
+      case 'xyz-d50':
+        return this.multiply(this.D50_TO_D65, coords);
+      case 'lab':
+        return this.multiply(this.D50_TO_D65, this.labToXyzD50(coords));
+      case 'lch':
+        return this.toXyz({ space: 'lab', coords: this.fromPolar(coords) });
+      case 'oklab':
+        return this.oklabToXyz(coords);
+      case 'oklch':
+        return this.oklabToXyz(this.fromPolar(coords));
+      case 'hsl':
+        return this.toXyz({ space: 'srgb', coords: this.hslToSrgb(coords) });
+      case 'hwb':
+        return this.toXyz({ space: 'srgb', coords: this.hwbToSrgb(coords) });
+      default: {
+        const linearSpace = this.ENCODED_SPACES[space] || space;
+        const linear = space in this.ENCODED_SPACES
+          ? coords.map(value => this.decode(space, value))
+          : coords;
+        const definition = this.RGB_SPACES[linearSpace];
+        const xyz = this.multiply(definition.toXyz, linear);
+        return definition.d50 ? this.multiply(this.D50_TO_D65, xyz) : xyz;
+      }
+    }
+  },
+
+  fromXyz(space, xyz) {
+    switch (space) {
+      case 'xyz-d65':
+        return xyz;
+      case 'xyz-d50':
+        return this.multiply(this.D65_TO_D50, xyz);
+      case 'lab':
+        return this.xyzD50ToLab(this.multiply(this.D65_TO_D50, xyz));
+      case 'lch':
+        return this.toPolar(this.fromXyz('lab', xyz));
+      case 'oklab':
+        return this.xyzToOklab(xyz);
+      case 'oklch':
+        return this.toPolar(this.xyzToOklab(xyz));
+      case 'hsl':
+        return this.srgbToHsl(this.fromXyz('srgb', xyz));
+      case 'hwb':
+        return this.srgbToHwb(this.fromXyz('srgb', xyz));
+      default: {
+        const linearSpace = this.ENCODED_SPACES[space] || space;
+        const definition = this.RGB_SPACES[linearSpace];
+        const source = definition.d50 ? this.multiply(this.D65_TO_D50, xyz) : xyz;
+        const linear = this.multiply(definition.fromXyz, source);
+        return space in this.ENCODED_SPACES
+          ? linear.map(value => this.encode(space, value))
+          : linear;
+      }
+    }
+  },
+
+  convert(color, space) {
+    if (color.space === space) {
+      return { space, coords: [...color.coords], alpha: color.alpha };
+    }
+    return { space, coords: this.fromXyz(space, this.toXyz(color)), alpha: color.alpha };
+  },
+
+  // ------------------------------------------------------------------------
+  // Gamut mapping
+  // ------------------------------------------------------------------------
+
+  inGamut(color, space) {
+    const coords = this.convert(color, space).coords;
+    return coords.every(value => value >= -0.000001 && value <= 1.000001);
+  },
+
+  clip(color, space) {
+    const converted = this.convert(color, space);
+    converted.coords = converted.coords.map(value => Math.min(1, Math.max(0, value)));
+    return converted;
+  },
+
+  deltaEOK(a, b) {
+    const labA = this.convert(a, 'oklab').coords;
+    const labB = this.convert(b, 'oklab').coords;
+    return Math.sqrt(labA.reduce((sum, value, i) => sum + Math.pow(value - labB[i], 2), 0));
+  },
+
+  // CSS Color 4 gamut mapping: reduce OKLCH chroma until clipping is imperceptible
+  toGamut(color, space) {
+    if (this.inGamut(color, space)) {
+      return this.clip(color, space);
+    }
+
+    const origin = this.convert(color, 'oklch');
+    if (origin.coords[0] >= 1) {
+      return { space, coords: [1, 1, 1], alpha: color.alpha };
+    }
+    if (origin.coords[0] <= 0) {
+      return { space, coords: [0, 0, 0], alpha: color.alpha };
+    }
+
+    const current = { space: 'oklch', coords: [...origin.coords], alpha: color.alpha };
+    let clipped = this.clip(current, space);
+    if (this.deltaEOK(clipped, current) < this.GAMUT_JND) {
+      return clipped;
+    }
+
+    let min = 0;
+    let max = origin.coords[1];
+    let minInGamut = true;
+    while (max - min > this.GAMUT_EPSILON) {
+      const chroma = (min + max) / 2;
+      current.coords[1] = chroma;
+      if (minInGamut && this.inGamut(current, space)) {
+        min = chroma;
+        continue;
+      }
+      clipped = this.clip(current, space);
+      const delta = this.deltaEOK(clipped, current);
+      if (delta < this.GAMUT_JND) {
+        if (this.GAMUT_JND - delta < this.GAMUT_EPSILON) {
+          return clipped;
+        }
+        minInGamut = false;
+        min = chroma;
+      } else {
+        max = chroma;
+      }
+    }
+    return clipped;
+  },
+
+  // ------------------------------------------------------------------------
+  // Serialization
+  // ------------------------------------------------------------------------
+
+  round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    // Adding 0 turns -0 into 0
+    return Math.round(value * factor) / factor + 0;
+  },
+
+  // Into [0, 360) so negative and oversized hues never reach the output
+  wrapHue(hue) {
+    return ((hue % 360) + 360) % 360;
+  },
+
+  roundHue(hue) {
+    return this.round(this.wrapHue(hue), 2) % 360;
+  },
+
+  withAlpha(body, alpha) {
+    return alpha < 1 ? `${body} / ${this.round(alpha, 3)}` : body;
+  },
+
+  toHex(color) {
+    const srgb = this.toGamut(color, 'srgb');
+    return '#' + srgb.coords
+      .map(value => Math.round(value * 255).toString(16).padStart(2, '0'))
+      .join('');
+  },
+
+  serialize(color, format) {
+    switch (format) {
+      case 'hex':
+        return this.toHex(color);
+      case 'rgb': {
+        const [r, g, b] = this.toGamut(color, 'srgb').coords
+          .map(value => Math.round(value * 255));
+        return `rgb(${this.withAlpha(`${r} ${g} ${b}`, color.alpha)})`;
+      }
+      case 'hsl':
+      case 'hwb': {
+        // Straight from the mapped sRGB values so neutrals do not pick up hue noise
+        const srgb = this.toGamut(color, 'srgb').coords;
+        const [hue, second, third] = format === 'hsl'
+          ? this.srgbToHsl(srgb)
+          : this.srgbToHwb(srgb);
+        const body = `${this.roundHue(hue)} ${this.round(second, 1)}% ${this.round(third, 1)}%`;
+        return `${format}(${this.withAlpha(body, color.alpha)})`;
+      }
+      case 'lab':
+      case 'oklab': {
+        const decimals = format === 'lab' ? 2 : 4;
+        const coords = this.convert(color, format).coords
+          .map(value => this.round(value, decimals));
+        return `${format}(${this.withAlpha(coords.join(' '), color.alpha)})`;
+      }
+      case 'lch':
+      case 'oklch': {
+        const [lightness, chroma, hue] = this.convert(color, format).coords;
+        const decimals = format === 'lch' ? 2 : 4;
+        const roundedChroma = this.round(chroma, decimals);
+        const body = [
+          this.round(lightness, decimals),
+          roundedChroma,
+          roundedChroma === 0 ? 0 : this.roundHue(hue)
+        ].join(' ');
+        return `${format}(${this.withAlpha(body, color.alpha)})`;
+      }
+      case 'p3': {
+        const coords = this.toGamut(color, 'display-p3').coords
+          .map(value => this.round(value, 4));
+        return `color(${this.withAlpha(`display-p3 ${coords.join(' ')}`, color.alpha)})`;
+      }
+      default:
+        return null;
+    }
+  }
+};
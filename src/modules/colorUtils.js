@@ -1,137 +1,124 @@
 /**
- * Color manipulation utilities for the FontDetector extension
+ * Text color extraction and the color notations shown in tooltips
  */
 
-/**
- * Convert hex color to RGB
- * @param {string} hex - Hex color string
- * @returns {Array} - RGB values as array [r, g, b]
- */
-export function hexToRgb(hex) {
-  hex = hex.replace(/^#/, '');
-  let r = parseInt(hex.substring(0, 2), 16);
-  let g = parseInt(hex.substring(2, 4), 16);
-  let b = parseInt(hex.substring(4, 6), 16);
-  return [r, g, b];
-}
+import { ColorEngine } from './colorEngine.js';
 
-/**
- * Convert RGB to hex color
- * @param {number} r - Red value (0-255)
- * @param {number} g - Green value (0-255)
- * @param {number} b - Blue value (0-255)
- * @returns {string} - Hex color string
- */
-export function rgbToHex(r, g, b) {
-  return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
-}
+export const ColorUtils = {
+  // Tooltip rows after the HEX row, in settings order
+  FORMATS: [
+    { id: 'rgb', message: 'colorRGB', label: 'RGB' },
+    { id: 'hsl', message: 'colorHSL', label: 'HSL' },
+    { id: 'hwb', message: 'colorHWB', label: 'HWB' },
+    { id: 'lch', message: 'colorLCH', label: 'LCH' },
+    { id: 'hcl', message: 'colorHCL', label: 'HCL' },
+    { id: 'lab', message: 'colorLab', label: 'CIELAB' },
+    { id: 'oklch', message: 'colorOKLCH', label: 'OKLCH' },
+    { id: 'oklab', message: 'colorOKLab', label: 'OKLab' },
+    { id: 'p3', message: 'colorP3', label: 'Display P3' }
+  ],
 
-/**
- * Convert RGB to LCH color space
- * @param {number} r - Red value (0-255)
- * @param {number} g - Green value (0-255)
- * @param {number} b - Blue value (0-255)
- * @returns {Object} - LCH values {l, c, h}
- */
-export function rgbToLCH(r, g, b) {
-  // Convert to sRGB
-  r /= 255;
-  g /= 255;
-  b /= 255;
-  
-  // Convert to XYZ
-  let x = r * 0.4124 + g * 0.3576 + b * 0.1805;
-  let y = r * 0.2126 + g * 0.7152 + b * 0.0722;
-  let z = r * 0.0193 + g * 0.1192 + b * 0.9505;
-  
-  // XYZ to Lab
-  const xRef = 0.95047;
-  const yRef = 1.0;
-  const zRef = 1.08883;
-  
-  x = x / xRef;
-  y = y / yRef;
-  z = z / zRef;
-  
-  x = x > 0.008856 ? Math.pow(x, 1/3) : (7.787 * x) + 16/116;
-  y = y > 0.008856 ? Math.pow(y, 1/3) : (7.787 * y) + 16/116;
-  z = z > 0.008856 ? Math.pow(z, 1/3) : (7.787 * z) + 16/116;
-  
-  const l = (116 * y) - 16;
-  const a = 500 * (x - y);
-  const b2 = 200 * (y - z);
-  
-  // Lab to LCh
-  const c = Math.sqrt(a * a + b2 * b2);
-  let h = Math.atan2(b2, a) * (180 / Math.PI);
-  if (h < 0) h += 360;
-  
-  return {
-    l: Math.round(l),
-    c: Math.round(c),
-    h: Math.round(h)
-  };
-}
+  hexToRgb(hex) {
+    hex = hex.replace(/^#/, '');
+    return [
+      parseInt(hex.substring(0, 2), 16),
+      parseInt(hex.substring(2, 4), 16),
+      parseInt(hex.substring(4, 6), 16)
+    ];
+  },
 
-/**
- * Convert RGB to HCL color space (HCL is LCH with reordered components)
- * @param {number} r - Red value (0-255)
- * @param {number} g - Green value (0-255)
- * @param {number} b - Blue value (0-255)
- * @returns {Object} - HCL values {h, c, l}
- */
-export function rgbToHCL(r, g, b) {
-  const lch = rgbToLCH(r, g, b);
-  return {
-    h: lch.h,
-    c: lch.c,
-    l: lch.l
-  };
-}
+  rgbToHex(r, g, b) {
+    return '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+  },
 
-/**
- * Get color information from an element
- * @param {Element} element - DOM element
- * @returns {Object|null} - Color information or null if not available
- */
-export function getColorFromElement(element) {
-  try {
-    const style = getComputedStyle(element);
-    const color = style.color;
-    
-    // Create a temporary element to parse any color format
-    const tempEl = document.createElement('div');
-    tempEl.style.color = color;
-    tempEl.style.display = 'none';
-    document.body.appendChild(tempEl);
-    
-    // Get the computed color value (browser will convert various formats to rgb or rgba)
-    const computedColor = getComputedStyle(tempEl).color;
-    document.body.removeChild(tempEl);
-    
-    // Parse RGB or RGBA color
-    const rgbMatch = computedColor.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-    if (rgbMatch) {
-      const r = parseInt(rgbMatch[1]);
-      const g = parseInt(rgbMatch[2]);
-      const b = parseInt(rgbMatch[3]);
-      
-      // Convert to different formats
-      const hex = rgbToHex(r, g, b);
-      const lch = rgbToLCH(r, g, b);
-      const hcl = rgbToHCL(r, g, b);
-      
+  toLCH(color) {
+    const [l, c, h] = ColorEngine.convert(color, 'lch').coords;
+    const chroma = Math.round(c);
+    // Hue is meaningless for neutrals; report 0 rather than rounding noise
+    return { l: Math.round(l), c: chroma, h: chroma === 0 ? 0 : Math.round(h) % 360 };
+  },
+
+  rgbToLCH(r, g, b) {
+    return this.toLCH({ space: 'srgb', coords: [r / 255, g / 255, b / 255], alpha: 1 });
+  },
+
+  rgbToHCL(r, g, b) {
+    const lch = this.rgbToLCH(r, g, b);
+    return { h: lch.h, c: lch.c, l: lch.l };
+  },
+
+  // Let the browser resolve what the engine does not parse (named colors, color-mix()...)
+  parseWithCanvas(value) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = value;
+    ctx.fillRect(0, 0, 1, 1);
+    const data = ctx.getImageData(0, 0, 1, 1).data;
+    return {
+      space: 'srgb',
+      coords: [data[0] / 255, data[1] / 255, data[2] / 255],
+      alpha: data[3] / 255
+    };
+  },
+
+  parse(value) {
+    if (!value) {
+      return null;
+    }
+    try {
+      return ColorEngine.parse(value) || this.parseWithCanvas(value);
+    } catch (err) {
+      console.warn('Error parsing color:', err.message);
+      return null;
+    }
+  },
+
+  toRgb(color) {
+    const [r, g, b] = ColorEngine.toGamut(color, 'srgb').coords
+      .map(value => Math.round(value * 255));
+    return { r, g, b };
+  },
+
+  parseColor(value) {
+    if (!value || value === 'transparent') {
+      return { r: 0, g: 0, b: 0, a: 0 };
+    }
+    const color = this.parse(value);
+    return color ? { ...this.toRgb(color), a: color.alpha } : null;
+  },
+
+  getColorFromElement(element) {
+    try {
+      const color = this.parse(getComputedStyle(element).color);
+      if (!color) {
+        return null;
+      }
+
+      const rgb = this.toRgb(color);
+      // LCH comes from the original color so wide-gamut values are not flattened to sRGB
+      const lch = this.toLCH(color);
       return {
-        rgb: { r, g, b },
-        hex: hex,
-        lch: lch,
-        hcl: hcl
+        rgb,
+        hex: this.rgbToHex(rgb.r, rgb.g, rgb.b),
+        hcl: { h: lch.h, c: lch.c, l: lch.l },
+        lch,
+        alpha: color.alpha,
+        color
       };
+    } catch (err) {
+      console.warn('Error getting color from element:', err.message);
+      return null;
+    }
+  },
+
+  format(colorInfo, format) {
+    if (format === 'lch') {
+      return `L: ${colorInfo.lch.l}, C: ${colorInfo.lch.c}, H: ${colorInfo.lch.h}`;
+    }
+    if (format === 'hcl') {
+      return `H: ${colorInfo.hcl.h}, C: ${colorInfo.hcl.c}, L: ${colorInfo.hcl.l}`;
     }
-    
-    return null;
-  } catch (err) {
-    console.error('Error getting color from element:', err);
-    return null;
+    return ColorEngine.serialize(colorInfo.color, format);
   }
-} 
\ No newline at end of file
+};
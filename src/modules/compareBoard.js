@@ -0,0 +1,158 @@
+/**
+ * Side-by-side comparison of fixed tooltips
+ */
+
+import { state } from './state.js';
+import { DOMUtils } from './domUtils.js';
+import { FontDetection } from './fontDetection.js';
+import { PanelManager } from './panels.js';
+import { TypographyAudit } from './typographyAudit.js';
+import { ReportBuilder } from './reports.js';
+
+export const CompareBoard = {
+  PANEL_ID: 'compare',
+  COLUMNS: [
+    { key: 'family', message: 'fontFamily', label: 'Font Family' },
+    { key: 'fontWeight', message: 'fontWeight', label: 'Font Weight' },
+    { key: 'fontSize', message: 'fontSize', label: 'Font Size' },
+    { key: 'lineHeight', message: 'lineHeight', label: 'Line Height' },
+    { key: 'letterSpacing', message: 'letterSpacing', label: 'Letter Spacing' },
+    { key: 'color', message: 'color', label: 'Color' }
+  ],
+  SAMPLE_TEXT_LENGTH: 24,
+
+  collect() {
+    return state.fixedTooltips
+      .filter(tooltipEl => tooltipEl.isConnected)
+      .map(tooltipEl => {
+        const element = state.fixedTooltipSources.get(tooltipEl);
+        if (!element || !element.isConnected) {
+          return null;
+        }
+        const info = ReportBuilder.describeElement(element);
+        const text = tooltipEl.dataset.selectedText || element.textContent || '';
+        return {
+          element,
+          text: text.replace(/\s+/g, ' ').trim(),
+          fontFamily: info.fontFamily,
+          family: info.renderedFontFamily ||
+            FontDetection.parseFontFamilyList(info.fontFamily)[0] || info.fontFamily,
+          fontWeight: info.fontWeight,
+          fontSize: info.fontSize,
+          lineHeight: info.lineHeight,
+          letterSpacing: info.letterSpacing,
+          color: info.color ? info.color.hex : ''
+        };
+      })
+      .filter(Boolean);
+  },
+
+  getDifferingKeys(entries) {
+    return new Set(this.COLUMNS
+      .filter(column => new Set(entries.map(entry => entry[column.key])).size > 1)
+      .map(column => column.key));
+  },
+
+  renderCell(entry, column, differs) {
+    const value = DOMUtils.escapeHTML(entry[column.key] || '—');
+    const className = differs ? ' class="differs"' : '';
+    if (column.key === 'color' && entry.color) {
+      const swatch = `<i class="color-preview" style="background-color: ${value}"></i>`;
+      return `<td${className}>${swatch}${value}</td>`;
+    }
+    return `<td${className}>${value}</td>`;
+  },
+
+  renderRow(entry, index, differing) {
+    const sample = entry.text.length > this.SAMPLE_TEXT_LENGTH
+      ? `${entry.text.slice(0, this.SAMPLE_TEXT_LENGTH)}…`
+      : entry.text;
+    const previewStyle = DOMUtils.escapeHTML(
+      `font-family: ${entry.fontFamily}; font-weight: ${entry.fontWeight}`);
+    const cells = this.COLUMNS
+      .map(column => this.renderCell(entry, column, differing.has(column.key)))
+      .join('');
+
+    return `
+      <tr data-index="${index}">
+        <th scope="row">
+          <button type="button" class="compare-jump" title="${DOMUtils.escapeHTML(entry.text)}">
+            <b style="${previewStyle}">Aa</b>${DOMUtils.escapeHTML(sample)}
+          </button>
+        </th>
+        ${cells}
+      </tr>
+    `;
+  },
+
+  render(body) {
+    const entries = this.collect();
+    const differing = this.getDifferingKeys(entries);
+
+    if (entries.length === 0) {
+      body.innerHTML = `
+        <p class="compare-empty">
+          ${chrome.i18n.getMessage('compareEmpty') ||
+            'Select text while the detector is active to add fixed tooltips to compare.'}
+        </p>
+      `;
+      return;
+    }
+
+    const tooltipsLabel = chrome.i18n.getMessage('compareItems') || 'Tooltips';
+    const differencesLabel = chrome.i18n.getMessage('compareDifferences') || 'Differences';
+    const headers = this.COLUMNS.map(column => {
+      const label = chrome.i18n.getMessage(column.message) || column.label;
+      const className = differing.has(column.key) ? ' class="differs"' : '';
+      return `<th scope="col"${className}>${DOMUtils.escapeHTML(label)}</th>`;
+    }).join('');
+
+    body.innerHTML = `
+      <div class="fd-panel-summary">
+        <span>${tooltipsLabel} <b>${entries.length}</b></span>
+        <span>${differencesLabel} <b>${differing.size}</b></span>
+      </div>
+      <div class="compare-table-wrapper">
+        <table class="compare-table">
+          <thead><tr><th scope="col"></th>${headers}</tr></thead>
+          <tbody>
+            ${entries.map((entry, index) => this.renderRow(entry, index, differing)).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    body.querySelectorAll('tbody tr').forEach(row => {
+      const entry = entries[Number(row.dataset.index)];
+      row.querySelector('.compare-jump').addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        body.querySelectorAll('tr.active')
+          .forEach(activeRow => activeRow.classList.remove('active'));
+        row.classList.add('active');
+        TypographyAudit.highlight({ elements: [entry.element] });
+      });
+    });
+  },
+
+  open() {
+    const body = PanelManager.open(this.PANEL_ID,
+      chrome.i18n.getMessage('compareTooltips') || 'Compare fixed tooltips',
+      () => TypographyAudit.clearHighlights());
+    if (!body) {
+      return 0;
+    }
+    body.parentElement.classList.add('fd-panel-wide');
+    this.render(body);
+    return body.querySelectorAll('tbody tr').length;
+  },
+
+  // Keep an open board in step with fixed tooltips being added or closed
+  refresh() {
+    if (!PanelManager.isOpen(this.PANEL_ID)) {
+      return;
+    }
+    TypographyAudit.clearHighlights();
+    this.render(PanelManager.activePanel.querySelector('.fd-panel-body'));
+  }
+};
@@ -0,0 +1,56 @@
+/**
+ * Shared constants for the FontDetector content script
+ */
+
+export const CONSTANTS = {
+  TOGGLE_ACTION: 'toggleExtension',
+  Z_INDEX_MAX: 2147483647,
+  DELAYS: {
+    TOOLTIP_SHOW: 100,
+    TOOLTIP_HIDE: 200,
+    PROTECTION: 800,
+    CONTEXT_CHECK: 5000,
+    REINIT: 2000,
+    SELECTION_DEBOUNCE: 100,
+    LONG_PRESS: 300,
+    COPY_FEEDBACK: 1500
+  },
+  THRESHOLDS: {
+    EDGE: 15,
+    PROXIMITY: 20,
+    MIN_TEXT_LENGTH: 1,
+    MIN_ELEMENT_SIZE: 5,
+    DIV_TEXT_LENGTH: 20,
+    POSITION_RANGE_MAX: 50000
+  },
+  TOOLTIP: {
+    WIDTH: 250,
+    OFFSET: 15,
+    GAP: 4
+  }
+};
+
+// Non-text HTML tags that should not trigger tooltip
+export const NON_TEXT_TAGS = [
+  'SCRIPT', 'STYLE', 'SVG', 'PATH', 'IMG', 'VIDEO', 'AUDIO', 'CANVAS',
+  'IFRAME', 'OBJECT', 'EMBED', 'HR', 'BR', 'WBR', 'NOSCRIPT', 'INPUT',
+  'SELECT', 'SOURCE', 'TRACK', 'META', 'LINK', 'BASE', 'PARAM'
+];
+
+// Tags that typically contain text
+export const TEXT_TAGS = [
+  'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'CODE',
+  'TD', 'TH', 'LI', 'DT', 'DD', 'SPAN', 'A', 'DIV'
+];
+
+// Inline text elements
+export const INLINE_TEXT_TAGS = [
+  'STRONG', 'EM', 'B', 'I', 'U', 'SUP', 'SUB', 'MARK', 'SMALL', 'DEL',
+  'INS', 'Q', 'ABBR', 'CITE', 'DFN', 'LABEL'
+];
+
+// CSS generic font families, always resolvable by the browser
+export const GENERIC_FONT_FAMILIES = [
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif',
+  'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong'
+];
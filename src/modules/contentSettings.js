@@ -0,0 +1,122 @@
+/**
+ * Applies user settings to the content script and keeps them in sync
+ */
+
+import {
+  TOOLTIP_FIELDS,
+  COLOR_FORMATS,
+  sanitizeSettings,
+  getSettings,
+  onSettingsChanged
+} from './settings.js';
+import { CONSTANTS } from './constants.js';
+import { ShadowDOMManager } from './shadowDom.js';
+import { state } from './state.js';
+import { safeExecute } from './errors.js';
+import { toggleExtension } from './lifecycle.js';
+
+export const Settings = {
+  LIGHT_THEME: `
+    --fd-color-text: #5C5C5C;
+    --fd-color-text-light: #1E1E1E;
+    --fd-color-bg: rgba(255, 255, 255, 0.88);
+    --fd-color-bg-solid: rgba(255, 255, 255, 0.96);
+    --fd-color-border: #E2E2E2;
+  `,
+
+  values: null,
+  styleEl: null,
+
+  init() {
+    this.values = sanitizeSettings();
+    this.apply();
+
+    safeExecute(() => {
+      getSettings().then(settings => {
+        this.update(settings);
+        this.autoActivate();
+      }).catch(error => {
+        console.warn('FontDetector: failed to load settings', error.message);
+      });
+
+      onSettingsChanged(settings => this.update(settings));
+    }, null, 'loadSettings');
+  },
+
+  update(settings) {
+    this.values = settings;
+    this.apply();
+  },
+
+  apply() {
+    const values = this.values;
+    CONSTANTS.DELAYS.TOOLTIP_SHOW = values.tooltipShowDelay;
+    CONSTANTS.DELAYS.TOOLTIP_HIDE = values.tooltipHideDelay;
+    CONSTANTS.DELAYS.LONG_PRESS = values.longPressDelay;
+    CONSTANTS.TOOLTIP.WIDTH = values.tooltipWidth;
+
+    // Force the hover tooltip to re-render with the new field selection
+    state.lastTooltipContent = '';
+    if (state.tooltip) {
+      delete state.tooltip.dataset.lastTargetHash;
+    }
+
+    this.applyStyles();
+  },
+
+  autoActivate() {
+    // Only the top frame follows the per-site switch; frames have their own hosts
+    if (window !== window.top || state.isActive) {
+      return;
+    }
+    if (this.values.autoActivateHosts.includes(location.hostname.toLowerCase())) {
+      toggleExtension();
+    }
+  },
+
+  getStyles() {
+    const rules = [`:host { --fd-tooltip-width: ${this.values.tooltipWidth}px; }`];
+
+    // !important beats the id-scoped row rules, which set display: flex
+    TOOLTIP_FIELDS
+      .filter(field => !this.values.tooltipFields.includes(field))
+      .forEach(field => {
+        rules.push(`.font-detector [data-field="${field}"] { display: none !important; }`);
+      });
+    COLOR_FORMATS
+      .filter(format => !this.values.colorFormats.includes(format))
+      .forEach(format => {
+        rules.push(`.font-detector [data-color-format="${format}"] ` +
+          '{ display: none !important; }');
+      });
+
+    const lightRules = `
+      :host { ${this.LIGHT_THEME} }
+      .close-button svg path { stroke: #1E1E1E; }
+      .close-button:hover { background-color: rgba(0, 0, 0, 0.08); }
+      .fd-button { background-color: rgba(0, 0, 0, 0.04); }
+      .fd-button:hover { background-color: rgba(0, 0, 0, 0.08); }
+    `;
+    if (this.values.theme === 'light') {
+      rules.push(lightRules);
+    } else if (this.values.theme === 'system') {
+      rules.push(`@media (prefers-color-scheme: light) { ${lightRules} }`);
+    }
+
+    return rules.join('\n');
+  },
+
+  applyStyles() {
+    const container = ShadowDOMManager.getContainer();
+    if (!container) {
+      this.styleEl = null;
+      return;
+    }
+    if (!this.styleEl || this.styleEl.parentNode !== container) {
+      this.styleEl = document.createElement('style');
+      this.styleEl.dataset.fontDetectorSettings = '';
+      container.appendChild(this.styleEl);
+    }
+    this.styleEl.textContent = this.getStyles();
+  }
+};
@@ -0,0 +1,183 @@
+/**
+ * WCAG 2.x and APCA contrast against the effective background
+ */
+
+import { ColorUtils } from './colorUtils.js';
+
+export const ContrastUtils = {
+  // Canvas colour underneath a page that paints no background of its own
+  CANVAS_COLOR: { r: 255, g: 255, b: 255, a: 1 },
+  // Gradient stops multiply with every layer below, so keep the candidate set small
+  MAX_CANDIDATES: 16,
+  WCAG_THRESHOLDS: {
+    normal: { aa: 4.5, aaa: 7 },
+    large: { aa: 3, aaa: 4.5 }
+  },
+  // APCA-W3 0.0.98G-4g constants
+  APCA: {
+    mainTRC: 2.4,
+    sRco: 0.2126729,
+    sGco: 0.7151522,
+    sBco: 0.0721750,
+    normBG: 0.56,
+    normTXT: 0.57,
+    revTXT: 0.62,
+    revBG: 0.65,
+    blkThrs: 0.022,
+    blkClmp: 1.414,
+    scaleBoW: 1.14,
+    scaleWoB: 1.14,
+    loBoWoffset: 0.027,
+    loWoBoffset: 0.027,
+    deltaYmin: 0.0005,
+    loClip: 0.1
+  },
+  COLOR_TOKEN_PATTERN:
+    /(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^()]*\)|#[0-9a-f]{3,8}\b|\btransparent\b/gi,
+
+  composite(top, bottom) {
+    const alpha = top.a + bottom.a * (1 - top.a);
+    if (alpha === 0) {
+      return { r: 0, g: 0, b: 0, a: 0 };
+    }
+    const mix = channel => Math.round(
+      (top[channel] * top.a + bottom[channel] * bottom.a * (1 - top.a)) / alpha);
+    return { r: mix('r'), g: mix('g'), b: mix('b'), a: alpha };
+  },
+
+  getGradientColors(backgroundImage) {
+    if (!/gradient\(/.test(backgroundImage)) {
+      return [];
+    }
+    return (backgroundImage.match(this.COLOR_TOKEN_PATTERN) || [])
+      .map(token => ColorUtils.parseColor(token))
+      .filter(Boolean);
+  },
+
+  getEffectiveBackground(element) {
+    // Nearest layer first; each layer is a list of colours it may paint
+    const layers = [];
+    let approximate = false;
+
+    for (let node = element; node; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      const image = style.backgroundImage;
+      if (image && image !== 'none') {
+        const stops = this.getGradientColors(image);
+        if (stops.length > 0) {
+          layers.push(stops);
+        }
+        // Image pixels cannot be read back from cross-origin sources
+        if (/url\(/.test(image)) {
+          approximate = true;
+        }
+      }
+
+      const color = ColorUtils.parseColor(style.backgroundColor);
+      if (color && color.a > 0) {
+        layers.push([color]);
+        if (color.a >= 1) {
+          break;
+        }
+      }
+    }
+
+    let candidates = [this.CANVAS_COLOR];
+    layers.reverse().forEach(layer => {
+      const next = new Map();
+      layer.forEach(top => candidates.forEach(bottom => {
+        const color = this.composite(top, bottom);
+        next.set(ColorUtils.rgbToHex(color.r, color.g, color.b), color);
+      }));
+      candidates = Array.from(next.values()).slice(0, this.MAX_CANDIDATES);
+    });
+
+    return { candidates, approximate };
+  },
+
+  getLuminance(color) {
+    const [r, g, b] = [color.r, color.g, color.b].map(channel => {
+      const value = channel / 255;
+      return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  },
+
+  getWcagRatio(text, background) {
+    const l1 = this.getLuminance(text);
+    const l2 = this.getLuminance(background);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  },
+
+  getApcaLuminance(color) {
+    const k = this.APCA;
+    const y = k.sRco * Math.pow(color.r / 255, k.mainTRC) +
+      k.sGco * Math.pow(color.g / 255, k.mainTRC) +
+      k.sBco * Math.pow(color.b / 255, k.mainTRC);
+    // Soft clamp near black
+    return y > k.blkThrs ? y : y + Math.pow(k.blkThrs - y, k.blkClmp);
+  },
+
+  getApcaContrast(text, background) {
+    const k = this.APCA;
+    const yText = this.getApcaLuminance(text);
+    const yBackground = this.getApcaLuminance(background);
+    if (Math.abs(yBackground - yText) < k.deltaYmin) {
+      return 0;
+    }
+
+    let contrast;
+    if (yBackground > yText) {
+      // Dark text on a light background gives a positive Lc
+      const sapc = (Math.pow(yBackground, k.normBG) - Math.pow(yText, k.normTXT)) * k.scaleBoW;
+      contrast = sapc < k.loClip ? 0 : sapc - k.loBoWoffset;
+    } else {
+      const sapc = (Math.pow(yBackground, k.revBG) - Math.pow(yText, k.revTXT)) * k.scaleWoB;
+      contrast = sapc > -k.loClip ? 0 : sapc + k.loWoBoffset;
+    }
+    return contrast * 100;
+  },
+
+  // WCAG large text: at least 18pt, or 14pt bold
+  isLargeText(style) {
+    const fontSize = parseFloat(style.fontSize) || 0;
+    const fontWeight = parseInt(style.fontWeight, 10) || 400;
+    return fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+  },
+
+  analyze(element) {
+    const style = getComputedStyle(element);
+    const text = ColorUtils.parseColor(style.color);
+    if (!text) {
+      return null;
+    }
+
+    const { candidates, approximate } = this.getEffectiveBackground(element);
+    // Report the least readable spot when the background is a gradient
+    const worst = candidates
+      .map(background => {
+        const foreground = this.composite(text, background);
+        return {
+          background,
+          ratio: this.getWcagRatio(foreground, background),
+          apca: this.getApcaContrast(foreground, background)
+        };
+      })
+      .reduce((a, b) => (b.ratio < a.ratio ? b : a));
+
+    const isLarge = this.isLargeText(style);
+    const thresholds = isLarge ? this.WCAG_THRESHOLDS.large : this.WCAG_THRESHOLDS.normal;
+    const ratio = Math.floor(worst.ratio * 100) / 100;
+
+    return {
+      background: ColorUtils.rgbToHex(worst.background.r, worst.background.g,
+        worst.background.b),
+      ratio,
+      apca: Math.round(worst.apca * 10) / 10,
+      isLarge,
+      aa: ratio >= thresholds.aa,
+      aaa: ratio >= thresholds.aaa,
+      approximate: approximate || candidates.length > 1
+    };
+  }
+};
@@ -0,0 +1,333 @@
+/**
+ * Imported design system tokens the page is checked against
+ *
+ * Accepts W3C Design Tokens Community Group (DTCG) JSON ($value, $type) and the older
+ * Tokens Studio shape (value, type), including the files FontDetector exports itself.
+ * Only color, font size and typography tokens are kept. The parsed spec is stored in
+ * chrome.storage.local because token files easily exceed the sync quota.
+ */
+
+import { ColorEngine } from './colorEngine.js';
+
+export const DESIGN_SPEC_KEY = 'designSpec';
+
+// Aliases pointing at aliases are followed this many times before giving up
+const MAX_ALIAS_DEPTH = 10;
+
+const COLOR_TYPES = ['color'];
+const FONT_SIZE_TYPES = ['fontSize', 'fontSizes'];
+const TYPOGRAPHY_TYPES = ['typography'];
+
+// Weight keywords used by design tools, compared without spaces, dashes and case
+const WEIGHT_KEYWORDS = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  normal: 400,
+  regular: 400,
+  book: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900
+};
+
+const DIMENSION_UNITS = ['px', 'rem', 'em', '%', 'pt'];
+
+/**
+ * @typedef {Object} Dimension
+ * @property {number} value
+ * @property {string} unit - 'px', 'rem', 'em', '%' or 'pt'
+ */
+
+/**
+ * @typedef {Object} TypographyToken
+ * @property {string} name - Dot-separated token path
+ * @property {string[]} [fontFamily] - Family stack
+ * @property {Dimension} [fontSize]
+ * @property {number} [fontWeight]
+ * @property {number|Dimension} [lineHeight] - Unitless ratio or a length
+ * @property {Dimension} [letterSpacing]
+ */
+
+/**
+ * @typedef {Object} DesignSpecData
+ * @property {string} name - Name of the imported file
+ * @property {string} importedAt - ISO 8601 import time
+ * @property {{name: string, hex: string}[]} colors
+ * @property {{name: string, value: Dimension}[]} fontSizes
+ * @property {TypographyToken[]} typography
+ */
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Find the value of a token node, if the node is a token and not a group
+ * @param {Object} node - Node of the token tree
+ * @returns {{value: *, type: string|undefined}|null}
+ */
+function getTokenValue(node) {
+  if ('$value' in node) {
+    return { value: node.$value, type: node.$type };
+  }
+  // Tokens Studio has no $ prefix; a group named "value" would hold an object of tokens
+  if ('value' in node && !(isObject(node.value) && Object.values(node.value).some(isObject))) {
+    return { value: node.value, type: node.type };
+  }
+  return null;
+}
+
+/**
+ * Flatten the token tree into path → {value, type}, with group types inherited
+ * @param {Object} tree - Parsed JSON
+ * @returns {Map<string, {value: *, type: string|undefined}>}
+ */
+function collectTokens(tree) {
+  const tokens = new Map();
+  const visit = (node, path, inheritedType) => {
+    const type = node.$type || inheritedType;
+    const token = getTokenValue(node);
+    if (token) {
+      tokens.set(path.join('.'), { value: token.value, type: token.type || type });
+      return;
+    }
+    Object.keys(node)
+      .filter(key => !key.startsWith('$') && isObject(node[key]))
+      .forEach(key => visit(node[key], [...path, key], type));
+  };
+  visit(tree, [], undefined);
+  return tokens;
+}
+
+/**
+ * Replace {group.token} references with the values they point at
+ * @param {*} value - Token value, possibly an alias or a composite holding aliases
+ * @param {Map} tokens - Result of collectTokens
+ * @param {number} [depth] - Aliases followed so far
+ * @returns {*} - Resolved value; unknown or circular aliases resolve to undefined
+ */
+function resolveAliases(value, tokens, depth = 0) {
+  if (typeof value === 'string') {
+    const alias = /^\{([^{}]+)\}$/.exec(value.trim());
+    if (!alias) {
+      return value;
+    }
+    const target = tokens.get(alias[1]);
+    if (!target || depth >= MAX_ALIAS_DEPTH) {
+      return undefined;
+    }
+    return resolveAliases(target.value, tokens, depth + 1);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveAliases(item, tokens, depth));
+  }
+  if (isObject(value)) {
+    const resolved = {};
+    Object.keys(value).forEach(key => {
+      resolved[key] = resolveAliases(value[key], tokens, depth);
+    });
+    return resolved;
+  }
+  return value;
+}
+
+/**
+ * Read a length from '16px', '1.5rem', 16 or the DTCG object form {value: 16, unit: 'px'}
+ * @param {*} value - Token value
+ * @returns {Dimension|null} - Bare numbers are px, as in Tokens Studio
+ */
+export function parseDimension(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return { value, unit: 'px' };
+  }
+  if (isObject(value) && typeof value.value === 'number' &&
+      DIMENSION_UNITS.includes(value.unit)) {
+    return { value: value.value, unit: value.unit };
+  }
+  const match = /^(-?[\d.]+)\s*(px|rem|em|%|pt)?$/i.exec(String(value).trim());
+  if (!match || isNaN(parseFloat(match[1]))) {
+    return null;
+  }
+  return { value: parseFloat(match[1]), unit: (match[2] || 'px').toLowerCase() };
+}
+
+function parseFontWeight(value) {
+  const number = Number(value);
+  if (Number.isFinite(number) && number >= 1 && number <= 1000) {
+    return number;
+  }
+  const keyword = String(value).toLowerCase().replace(/[\s_-]+/g, '').replace(/italic$/, '');
+  return WEIGHT_KEYWORDS[keyword] || null;
+}
+
+function parseFontFamily(value) {
+  const families = Array.isArray(value) ? value : String(value || '').split(',');
+  return families
+    .map(family => String(family || '').trim().replace(/^['"]|['"]$/g, ''))
+    .filter(Boolean);
+}
+
+function parseLineHeight(value) {
+  // Unitless numbers are ratios here, unlike font sizes
+  if (typeof value === 'number' || /^[\d.]+$/.test(String(value).trim())) {
+    const ratio = parseFloat(value);
+    return Number.isFinite(ratio) ? ratio : null;
+  }
+  return parseDimension(value);
+}
+
+function parseColor(value) {
+  const color = ColorEngine.parse(String(value || ''));
+  return color ? ColorEngine.toHex(color) : null;
+}
+
+/**
+ * Keep the typography properties that parse; tokens without any are dropped
+ * @param {string} name - Token path
+ * @param {Object} value - Resolved composite value
+ * @returns {TypographyToken|null}
+ */
+function parseTypography(name, value) {
+  if (!isObject(value)) {
+    return null;
+  }
+  const token = { name };
+  const fontFamily = value.fontFamily !== undefined ? parseFontFamily(value.fontFamily) : [];
+  if (fontFamily.length > 0) {
+    token.fontFamily = fontFamily;
+  }
+  const parsers = {
+    fontSize: parseDimension,
+    fontWeight: parseFontWeight,
+    lineHeight: parseLineHeight,
+    letterSpacing: parseDimension
+  };
+  Object.keys(parsers).forEach(key => {
+    const parsed = value[key] !== undefined ? parsers[key](value[key]) : null;
+    if (parsed !== null) {
+      token[key] = parsed;
+    }
+  });
+  return Object.keys(token).length > 1 ? token : null;
+}
+
+/**
+ * Guess the type of an untyped token from its value
+ * @param {*} value - Resolved value
+ * @returns {string|undefined}
+ */
+function inferType(value) {
+  if (isObject(value) && ('fontSize' in value || 'fontFamily' in value)) {
+    return 'typography';
+  }
+  if (typeof value === 'string' && /^(#|rgba?\(|hsla?\(|oklch\(|oklab\()/i.test(value.trim())) {
+    return 'color';
+  }
+  return undefined;
+}
+
+/**
+ * Parse a design token file
+ * @param {string} text - File contents
+ * @param {string} [name] - File name shown on the options page
+ * @returns {DesignSpecData}
+ * @throws {Error} When the file is not JSON or contains no supported tokens
+ */
+export function parseDesignSpec(text, name = '') {
+  let tree;
+  try {
+    tree = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a JSON file: ${error.message}`);
+  }
+  if (!isObject(tree)) {
+    throw new Error('Token file must contain a JSON object');
+  }
+
+  const tokens = collectTokens(tree);
+  const spec = {
+    name,
+    importedAt: new Date().toISOString(),
+    colors: [],
+    fontSizes: [],
+    typography: []
+  };
+
+  tokens.forEach((token, path) => {
+    const value = resolveAliases(token.value, tokens);
+    if (value === undefined) {
+      return;
+    }
+    const type = token.type || inferType(value);
+    if (COLOR_TYPES.includes(type)) {
+      const hex = parseColor(value);
+      if (hex) {
+        spec.colors.push({ name: path, hex });
+      }
+    } else if (FONT_SIZE_TYPES.includes(type)) {
+      const size = parseDimension(value);
+      if (size) {
+        spec.fontSizes.push({ name: path, value: size });
+      }
+    } else if (TYPOGRAPHY_TYPES.includes(type)) {
+      const typography = parseTypography(path, value);
+      if (typography) {
+        spec.typography.push(typography);
+      }
+    }
+  });
+
+  if (spec.colors.length + spec.fontSizes.length + spec.typography.length === 0) {
+    throw new Error('No color, font size or typography tokens found');
+  }
+  return spec;
+}
+
+/**
+ * Read the imported spec
+ * @returns {Promise<DesignSpecData|null>}
+ */
+export async function getDesignSpec() {
+  const stored = await chrome.storage.local.get(DESIGN_SPEC_KEY);
+  return stored[DESIGN_SPEC_KEY] || null;
+}
+
+/**
+ * Replace the imported spec
+ * @param {DesignSpecData} spec - Result of parseDesignSpec
+ * @returns {Promise<void>}
+ */
+export async function saveDesignSpec(spec) {
+  await chrome.storage.local.set({ [DESIGN_SPEC_KEY]: spec });
+}
+
+/**
+ * Forget the imported spec
+ * @returns {Promise<void>}
+ */
+export async function removeDesignSpec() {
+  await chrome.storage.local.remove(DESIGN_SPEC_KEY);
+}
+
+/**
+ * Subscribe to imports and removals from any extension context
+ * @param {function(DesignSpecData|null)} callback - Receives the new spec
+ * @returns {function()} - Unsubscribe function
+ */
+export function onDesignSpecChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName === 'local' && DESIGN_SPEC_KEY in changes) {
+      callback(changes[DESIGN_SPEC_KEY].newValue || null);
+    }
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
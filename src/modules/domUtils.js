@@ -0,0 +1,181 @@
+/**
+ * DOM helpers: text detection, selectors and escaping
+ */
+
+import { CONSTANTS, NON_TEXT_TAGS, TEXT_TAGS, INLINE_TEXT_TAGS } from './constants.js';
+
+export const DOMUtils = {
+  safeRemove(element) {
+    if (!element) {
+      return;
+    }
+    try {
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      } else {
+        element.remove();
+      }
+    } catch (e) {
+      console.warn('Error removing element:', e.message);
+    }
+  },
+
+  escapeHTML(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  getElementSelector(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const parts = [];
+    let current = element;
+    while (current && current.nodeType === Node.ELEMENT_NODE &&
+           current !== document.documentElement) {
+      // A unique id anchors the selector, no need to walk further up
+      if (current.id) {
+        const idSelector = `#${CSS.escape(current.id)}`;
+        if (document.querySelectorAll(idSelector).length === 1) {
+          parts.unshift(idSelector);
+          break;
+        }
+      }
+
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children)
+          .filter(sibling => sibling.tagName === current.tagName);
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      current = parent;
+    }
+
+    return parts.join(' > ');
+  },
+
+  getElementXPath(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const parts = [];
+    let current = element;
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      if (current.id && document.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+        const id = current.id.includes('"') ? `'${current.id}'` : `"${current.id}"`;
+        parts.unshift(`//*[@id=${id}]`);
+        return parts.join('/');
+      }
+
+      let index = 1;
+      let sibling = current.previousElementSibling;
+      while (sibling) {
+        if (sibling.tagName === current.tagName) {
+          index++;
+        }
+        sibling = sibling.previousElementSibling;
+      }
+      parts.unshift(`${current.tagName.toLowerCase()}[${index}]`);
+      current = current.parentElement;
+    }
+
+    return `/${parts.join('/')}`;
+  },
+
+  hashCode(str) {
+    let hash = 0;
+    if (!str || str.length === 0) {
+      return hash;
+    }
+    for (let i = 0; i < str.length; i++) {
+      const char = str.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash = hash & hash;
+    }
+    return Math.abs(hash);
+  },
+
+  hasTextContent(element) {
+    if (!element) {
+      return false;
+    }
+
+    if (NON_TEXT_TAGS.includes(element.tagName)) {
+      return false;
+    }
+
+    const rawText = element.textContent || '';
+    const text = rawText.trim();
+    const style = getComputedStyle(element);
+
+    // Check if element is hidden
+    if (style.display === 'none' ||
+        style.visibility === 'hidden' ||
+        parseFloat(style.opacity) === 0) {
+      return false;
+    }
+
+    // Check element size
+    const rect = element.getBoundingClientRect();
+    if (rect.width < CONSTANTS.THRESHOLDS.MIN_ELEMENT_SIZE ||
+        rect.height < CONSTANTS.THRESHOLDS.MIN_ELEMENT_SIZE) {
+      return false;
+    }
+
+    // Check for meaningful text
+    if (!/\S/.test(rawText) || text.length < CONSTANTS.THRESHOLDS.MIN_TEXT_LENGTH) {
+      return false;
+    }
+
+    // Check for punctuation only
+    if (/^[\s\.,;:!?()[\]{}'"\/\\-_+=<>|&$#@%^*]+$/.test(text)) {
+      return false;
+    }
+
+    // Check for meaningful characters
+    if (!/[a-zA-Z0-9\u4e00-\u9fa5]/.test(text)) {
+      return false;
+    }
+
+    // Get direct text length
+    let directTextLength = 0;
+    for (let i = 0; i < element.childNodes.length; i++) {
+      const node = element.childNodes[i];
+      if (node.nodeType === Node.TEXT_NODE) {
+        directTextLength += node.textContent.trim().length;
+      }
+    }
+
+    // Check text elements
+    if (TEXT_TAGS.includes(element.tagName) && text.length > 0) {
+      return true;
+    }
+
+    // Check inline text elements
+    if (INLINE_TEXT_TAGS.includes(element.tagName) && text.length > 0) {
+      return true;
+    }
+
+    // Special handling for DIV
+    if (element.tagName === 'DIV') {
+      if (directTextLength > 0) {
+        return true;
+      }
+      if (style.fontFamily !== 'inherit' && text.length > 0) {
+        return true;
+      }
+    }
+
+    return directTextLength > 0;
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Error guards that shut the content script down when the extension context dies
+ */
+
+import { state } from './state.js';
+import { cleanupResources } from './lifecycle.js';
+
+export const safeExecute = (fn, fallback = null, context = 'unknown') => {
+  try {
+    return fn();
+  } catch (err) {
+    if (err.message && err.message.includes('Extension context invalidated')) {
+      state.isExtensionContextValid = false;
+      cleanupResources(true);
+    }
+    console.warn(`SafeExecute error [${context}]:`, err.message);
+    return fallback;
+  }
+};
+
+export const safeExecuteAsync = async (fn, fallback = null, context = 'unknown') => {
+  try {
+    return await fn();
+  } catch (err) {
+    if (err.message && err.message.includes('Extension context invalidated')) {
+      state.isExtensionContextValid = false;
+      cleanupResources(true);
+    }
+    console.warn(`SafeExecuteAsync error [${context}]:`, err.message);
+    return fallback;
+  }
+};
@@ -0,0 +1,260 @@
+/**
+ * Fixed tooltips created from text selections
+ */
+
+import { CONSTANTS } from './constants.js';
+import { ShadowDOMManager } from './shadowDom.js';
+import { state } from './state.js';
+import { DOMUtils } from './domUtils.js';
+import { safeExecute } from './errors.js';
+import { TooltipManager } from './tooltips.js';
+import { PinnedTooltips } from './pinnedTooltips.js';
+import { CompareBoard } from './compareBoard.js';
+import { ReportBuilder } from './reports.js';
+
+export const FixedTooltipCreator = {
+  getSelectionPosition(event) {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) {
+      return null;
+    }
+
+    const range = selection.getRangeAt(0);
+    const selectedText = selection.toString().trim();
+
+    if (!selectedText) {
+      return null;
+    }
+
+    return this.getRangePosition(range, selectedText, event);
+  },
+
+  getRangePosition(range, selectedText, event) {
+    let tooltipLeft = null;
+    let tooltipTop = null;
+    let positionMethod = null;
+    const textHash = DOMUtils.hashCode(selectedText).toString();
+
+    // Method 1: getClientRects
+    const rects = range.getClientRects();
+    if (rects && rects.length > 0) {
+      const lastRect = rects[rects.length - 1];
+      if (lastRect && lastRect.width > 0 && lastRect.height > 0) {
+        tooltipLeft = window.pageXOffset + lastRect.left;
+        tooltipTop = window.pageYOffset + lastRect.bottom + CONSTANTS.TOOLTIP.GAP;
+        positionMethod = 'getClientRects';
+      }
+    }
+
+    // Method 2: getBoundingClientRect
+    if (!tooltipLeft || !tooltipTop) {
+      const rect = range.getBoundingClientRect();
+      if (rect && rect.width > 0 && rect.height > 0) {
+        tooltipLeft = window.pageXOffset + rect.left;
+        tooltipTop = window.pageYOffset + rect.bottom + CONSTANTS.TOOLTIP.GAP;
+        positionMethod = 'getBoundingClientRect';
+      }
+    }
+
+    // Method 3: Mouse position
+    if (!tooltipLeft || !tooltipTop) {
+      if (event && ('clientX' in event || 'pageX' in event)) {
+        tooltipLeft = event.pageX !== undefined ? event.pageX :
+          (event.clientX + window.pageXOffset);
+        tooltipTop = (event.pageY !== undefined ? event.pageY :
+          (event.clientY + window.pageYOffset)) + CONSTANTS.TOOLTIP.GAP;
+        positionMethod = 'mouseEvent';
+      } else if (state.lastMouseX && state.lastMouseY) {
+        tooltipLeft = state.lastMouseX + window.pageXOffset;
+        tooltipTop = state.lastMouseY + window.pageYOffset + CONSTANTS.TOOLTIP.GAP;
+        positionMethod = 'lastMousePosition';
+      }
+    }
+
+    // Method 4: Viewport center fallback
+    if (!tooltipLeft || !tooltipTop) {
+      tooltipLeft = window.innerWidth / 2 + window.pageXOffset;
+      tooltipTop = window.innerHeight / 2 + window.pageYOffset;
+      positionMethod = 'viewportCenter';
+    }
+
+    // Validate position range
+    if (tooltipLeft < 0 || tooltipTop < 0 ||
+        tooltipLeft > CONSTANTS.THRESHOLDS.POSITION_RANGE_MAX ||
+        tooltipTop > CONSTANTS.THRESHOLDS.POSITION_RANGE_MAX) {
+      tooltipLeft = window.innerWidth / 2 + window.pageXOffset;
+      tooltipTop = window.innerHeight / 2 + window.pageYOffset;
+      positionMethod = 'safePosition';
+    }
+
+    return {
+      left: Math.round(tooltipLeft),
+      top: Math.round(tooltipTop),
+      method: positionMethod,
+      textHash,
+      selectedText,
+      range: range.cloneRange()
+    };
+  },
+
+  recordDetection(element, selectedText) {
+    safeExecute(() => {
+      const detection = {
+        ...ReportBuilder.describeElement(element),
+        text: selectedText || '',
+        url: location.href,
+        title: document.title,
+        timestamp: new Date().toISOString()
+      };
+      chrome.runtime.sendMessage({ action: 'recordDetection', detection })
+        .catch(error => console.warn('FontDetector: failed to record detection', error.message));
+    }, null, 'recordDetection');
+  },
+
+  checkDuplicateTooltip(position, selectedText) {
+    // Query from Shadow DOM container
+    const container = ShadowDOMManager.getContainer();
+    const queryTarget = container || document;
+    const existingTooltips = queryTarget.querySelectorAll('.fixed-tooltip');
+
+    for (const existingTooltip of existingTooltips) {
+      // Check same text content
+      if (existingTooltip.dataset.selectedText === selectedText) {
+        return existingTooltip;
+      }
+
+      // Check proximity
+      const existingLeft = parseFloat(existingTooltip.style.left);
+      const existingTop = parseFloat(existingTooltip.style.top);
+
+      if (!isNaN(existingLeft) && !isNaN(existingTop)) {
+        const distanceX = Math.abs(position.left - existingLeft);
+        const distanceY = Math.abs(position.top - existingTop);
+
+        if (distanceX < CONSTANTS.THRESHOLDS.PROXIMITY &&
+            distanceY < CONSTANTS.THRESHOLDS.PROXIMITY) {
+          return existingTooltip;
+        }
+      }
+    }
+
+    return null;
+  },
+
+  createPositionedTooltip(position, element, options = {}) {
+    const positionKey = `${position.method}-${position.textHash}-${position.left},${position.top}`;
+
+    // Check existing tooltip with same position key
+    if (state.fixedTooltipPositions.has(positionKey)) {
+      return null;
+    }
+
+    // Get Shadow DOM container
+    const container = ShadowDOMManager.getContainer();
+    if (!container) {
+      console.warn('FontDetector: Shadow DOM container not available for fixed tooltip');
+      return null;
+    }
+
+    state.fixedTooltipPositions.add(positionKey);
+
+    const fixedTooltip = document.createElement('div');
+    fixedTooltip.classList.add('font-detector', 'fixed-tooltip');
+    fixedTooltip.dataset.positionKey = positionKey;
+    fixedTooltip.dataset.creationTime = Date.now().toString();
+    fixedTooltip.dataset.isSelectionTooltip = 'true';
+
+    if (position.selectedText) {
+      fixedTooltip.dataset.selectedText = position.selectedText;
+    }
+
+    // Use page coordinates directly since host is absolute positioned at document origin
+    // position.left and position.top are already page coordinates (include scroll offset)
+    let adjustedLeft = position.left;
+    let adjustedTop = position.top;
+
+    // Adjust if tooltip would go off the right edge of the page
+    const pageWidth = Math.max(
+      document.documentElement.scrollWidth,
+      document.body ? document.body.scrollWidth : 0,
+      window.innerWidth + window.pageXOffset
+    );
+    if (adjustedLeft + CONSTANTS.TOOLTIP.WIDTH > pageWidth - 10) {
+      adjustedLeft = Math.max(10, pageWidth - CONSTANTS.TOOLTIP.WIDTH - 10);
+    }
+
+    fixedTooltip.style.left = `${adjustedLeft}px`;
+    fixedTooltip.style.top = `${adjustedTop}px`;
+
+    // Populate content
+    TooltipManager.updateContent(fixedTooltip, element);
+    TooltipManager.appendGlyphBreakdown(fixedTooltip, position.range || null, element);
+    TooltipManager.appendFontFileInfo(fixedTooltip, element);
+    TooltipManager.appendCopyAsMenu(fixedTooltip, element);
+    if (!options.restored) {
+      this.recordDetection(element, position.selectedText);
+    }
+
+    // Add close button
+    const closeButton = document.createElement('div');
+    closeButton.classList.add('close-button');
+    closeButton.innerHTML = `<svg width="16" height="16" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M8 8L40 40" stroke="#FFFFFF" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/><path d="M8 40L40 8" stroke="#FFFFFF" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/></svg>`;
+    closeButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      state.fixedTooltipPositions.delete(positionKey);
+      DOMUtils.safeRemove(fixedTooltip);
+      state.fixedTooltips = state.fixedTooltips.filter(t => t !== fixedTooltip);
+      PinnedTooltips.save();
+      CompareBoard.refresh();
+    });
+
+    fixedTooltip.appendChild(closeButton);
+
+    // Add to Shadow DOM container
+    container.appendChild(fixedTooltip);
+    state.fixedTooltips.push(fixedTooltip);
+    state.fixedTooltipSources.set(fixedTooltip, element);
+    if (position.range) {
+      state.fixedTooltipRanges.set(fixedTooltip, position.range);
+    }
+    if (!options.restored) {
+      PinnedTooltips.save();
+    }
+    CompareBoard.refresh();
+
+    // Show tooltip with visible class for CSS animation
+    fixedTooltip.style.display = 'block';
+    requestAnimationFrame(() => {
+      fixedTooltip.classList.add('visible');
+    });
+    fixedTooltip.dataset.protected = 'true';
+
+    // Remove protection after delay
+    setTimeout(() => {
+      if (fixedTooltip.isConnected) {
+        fixedTooltip.dataset.protected = 'false';
+      }
+    }, CONSTANTS.DELAYS.PROTECTION);
+
+    return fixedTooltip;
+  },
+
+  createFromSelection(event, element) {
+    const position = this.getSelectionPosition(event);
+    if (!position) {
+      return null;
+    }
+
+    // Check for duplicates
+    const existingTooltip = this.checkDuplicateTooltip(position, position.selectedText);
+    if (existingTooltip) {
+      // Ensure existing tooltip is visible
+      existingTooltip.style.display = 'block';
+      existingTooltip.classList.add('visible');
+      return existingTooltip;
+    }
+
+    return this.createPositionedTooltip(position, element);
+  }
+};
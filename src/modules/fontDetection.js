@@ -1,148 +1,157 @@
 /**
- * Font detection module for the FontDetector extension
+ * Rendered font detection: which family in a font stack the browser actually uses
  */
 
-import { formatFontWeight } from './i18n.js';
+import { GENERIC_FONT_FAMILIES } from './constants.js';
+import { FontFaceUtils } from './fontFaces.js';
 
-/**
- * Get font information from an element
- * @param {Element} element - The DOM element to get font information from
- * @returns {Object|null} - Font information object or null if not available
- */
-export function getFontInfo(element) {
-  if (!element || !element.nodeType || element.nodeType !== Node.ELEMENT_NODE) {
-    return null;
-  }
+export const FontDetection = {
+  BASELINE_FAMILIES: ['monospace', 'serif', 'sans-serif'],
+  TEST_STRING: 'mmmmmmmmmmlli1WQ@#',
+  MEASURE_SIZE: 72,
+  SAMPLE_LENGTH: 64,
+  cache: new Map(),
+  context: null,
+  isListeningForLoads: false,
+
+  parseFontFamilyList(fontFamily) {
+    const families = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of String(fontFamily || '')) {
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        } else {
+          current += char;
+        }
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === ',') {
+        families.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    families.push(current.trim());
+
+    return families.filter(Boolean);
+  },
+
+  isGenericFamily(family) {
+    return GENERIC_FONT_FAMILIES.includes(String(family).toLowerCase());
+  },
+
+  quoteFamily(family) {
+    return `"${family.replace(/["\\]/g, '\\$&')}"`;
+  },
+
+  getContext() {
+    if (!this.context) {
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = 1;
+      this.context = canvas.getContext('2d');
+    }
+    return this.context;
+  },
+
+  listenForFontLoads() {
+    if (this.isListeningForLoads || !document.fonts) {
+      return;
+    }
+    this.isListeningForLoads = true;
+    // Newly loaded faces can change which family in a stack wins
+    document.fonts.addEventListener('loadingdone', () => this.cache.clear());
+  },
+
+  measure(fontShorthand, text) {
+    const ctx = this.getContext();
+    ctx.font = fontShorthand;
+    const metrics = ctx.measureText(text);
+    return [
+      metrics.width,
+      metrics.actualBoundingBoxAscent,
+      metrics.actualBoundingBoxDescent
+    ].join('|');
+  },
+
+  getSampleText(element) {
+    const text = (element && element.textContent || '').replace(/\s+/g, ' ').trim();
+    return text ? text.slice(0, this.SAMPLE_LENGTH) : this.TEST_STRING;
+  },
+
+  getFontFaces(family) {
+    if (!document.fonts) {
+      return [];
+    }
+    const target = FontFaceUtils.normalizeFamily(family);
+    const faces = [];
+    document.fonts.forEach(face => {
+      if (FontFaceUtils.normalizeFamily(face.family) === target) {
+        faces.push(face);
+      }
+    });
+    return faces;
+  },
+
+  isFamilyRendering(family, fontStyle, fontWeight, text) {
+    const prefix = `${fontStyle} ${fontWeight} ${this.MEASURE_SIZE}px`;
+    const quoted = this.quoteFamily(family);
+
+    // Web fonts that failed or have not loaded cannot be painting the text
+    const faces = this.getFontFaces(family);
+    if (faces.length > 0) {
+      if (!faces.some(face => face.status === 'loaded')) {
+        return false;
+      }
+      if (!document.fonts.check(`${prefix} ${quoted}`, text)) {
+        return false;
+      }
+    }
 
-  try {
+    // A family renders the text when it changes metrics against at least one baseline
+    // fallback; glyphs missing from the family fall through to the baseline. Requiring
+    // every baseline would miss a family that is itself a baseline's default, such as
+    // Arial, which measures the same as sans-serif on Windows.
+    return this.BASELINE_FAMILIES.some(baseline =>
+      this.measure(`${prefix} ${quoted}, ${baseline}`, text) !==
+        this.measure(`${prefix} ${baseline}`, text)
+    );
+  },
+
+  getRenderedFont(element) {
     const style = getComputedStyle(element);
-    const fontFamily = style.fontFamily.replace(/['"]/g, '');
-    const fontSize = style.fontSize;
-    const fontWeight = formatFontWeight(style.fontWeight);
-    const lineHeight = style.lineHeight;
-    const letterSpacing = style.letterSpacing;
-    const textAlign = style.textAlign;
-    
-    return {
-      fontFamily,
-      fontSize,
-      fontWeight,
-      lineHeight,
-      letterSpacing,
-      textAlign
-    };
-  } catch (err) {
-    console.error('Error getting font info:', err);
-    return null;
-  }
-}
+    const stack = this.parseFontFamilyList(style.fontFamily);
+    const text = this.getSampleText(element);
+    const cacheKey = [style.fontFamily, style.fontStyle, style.fontWeight, text].join('\n');
 
-/**
- * Check if an element contains text or is a text-containing element
- * @param {Element} element - The element to check
- * @returns {boolean} - True if the element contains text
- */
-export function hasTextContent(element) {
-  // Check if element is empty
-  if (!element) {
-    console.debug('Element is empty');
-    return false;
-  }
-  
-  // Extended non-text tag list - added more tags that should not display tooltips
-  const nonTextTags = [
-    'HTML', 'BODY', 'SCRIPT', 'STYLE', 'SVG', 'PATH', 'IMG', 'VIDEO', 'AUDIO', 'CANVAS', 'IFRAME', 
-    'OBJECT', 'EMBED', 'NAV', 'UL', 'OL', 'HR', 'BR', 'WBR', 'NOSCRIPT', 'INPUT', 'SELECT', 'OPTION', 
-    'OPTGROUP', 'DATALIST', 'OUTPUT', 'MENU', 'ASIDE', 'FIGURE', 'FIGCAPTION', 'MAP', 'AREA', 
-    'SOURCE', 'TRACK', 'META', 'LINK', 'BASE', 'PARAM', 'PROGRESS', 'METER', 'TIME', 'HEADER', 
-    'FOOTER', 'MAIN', 'SECTION', 'ARTICLE', 'DIALOG', 'DETAILS', 'SUMMARY', 'PICTURE', 'TEMPLATE'
-  ];
-  
-  if (nonTextTags.includes(element.tagName)) {
-    console.debug('Non-text tag', element.tagName);
-    return false;
-  }
-  
-  // Get element text content (remove spaces)
-  const rawText = element.textContent || '';
-  const text = rawText.trim();
-  
-  // Check element computed style
-  const style = getComputedStyle(element);
-  
-  // Check if element is hidden
-  if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity) === 0) {
-    console.debug('Hidden element', element.tagName);
-    return false;
-  }
-  
-  // Get direct text content (excluding child elements)
-  let directTextLength = 0;
-  for (let i = 0; i < element.childNodes.length; i++) {
-    if (element.childNodes[i].nodeType === Node.TEXT_NODE) {
-      directTextLength += element.childNodes[i].textContent.trim().length;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
     }
-  }
-  
-  // Check if it is meaningful text content
-  // Must contain letters, numbers, or Chinese, and at least 3 characters
-  const meaningfulTextPattern = /[a-zA-Z0-9\u4e00-\u9fa5]{3,}/;
-  if (!meaningfulTextPattern.test(text)) {
-    console.debug('Does not contain meaningful text', `${element.tagName}: ${text}`);
-    return false;
-  }
-  
-  // Check if it is a clear text element
-  const textElements = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'CODE'];
-  if (textElements.includes(element.tagName) && directTextLength >= 3) {
-    console.debug('Clear text element', `${element.tagName}: ${directTextLength} characters`);
-    return true;
-  }
-  
-  // Check inline text elements
-  const inlineTextElements = ['SPAN', 'A', 'STRONG', 'EM', 'B', 'I', 'U', 'SUP', 'SUB', 'MARK', 'SMALL', 'DEL', 'INS', 'Q', 'ABBR', 'CITE', 'DFN', 'LABEL'];
-  if (inlineTextElements.includes(element.tagName) && directTextLength >= 3) {
-    console.debug('Inline text element', `${element.tagName}: ${directTextLength} characters`);
-    return true;
-  }
-  
-  // Check table cell elements
-  if (['TD', 'TH'].includes(element.tagName) && directTextLength >= 3) {
-    console.debug('Table cell text', `${element.tagName}: ${directTextLength} characters`);
-    return true;
-  }
-  
-  // Check list elements
-  if (['LI', 'DT', 'DD'].includes(element.tagName) && directTextLength >= 3) {
-    console.debug('List element text', `${element.tagName}: ${directTextLength} characters`);
-    return true;
-  }
-  
-  // Check form elements
-  if (['BUTTON', 'TEXTAREA'].includes(element.tagName) && directTextLength >= 3) {
-    console.debug('Form element text', `${element.tagName}: ${directTextLength} characters`);
-    return true;
-  }
-  
-  // Additional check for DIV elements - stricter requirements
-  if (element.tagName === 'DIV') {
-    // Only accept DIVs with a lot of text (at least 20 characters)
-    if (directTextLength >= 20) {
-      console.debug('Text-rich DIV', `Direct text length: ${directTextLength} characters`);
-      return true;
+    this.listenForFontLoads();
+
+    let rendered = null;
+    for (const family of stack) {
+      if (this.isGenericFamily(family) ||
+          this.isFamilyRendering(family, style.fontStyle, style.fontWeight, text)) {
+        rendered = family;
+        break;
+      }
     }
-    
-    // Check DIV's style to see if it looks like a text container
-    if (style.fontFamily !== 'inherit' && style.textAlign !== 'start' && directTextLength >= 5) {
-      console.debug('Style similar to text container DIV', `${element.tagName}: ${directTextLength} characters`);
-      return true;
+
+    if (this.cache.size > 200) {
+      this.cache.clear();
     }
-    
-    console.debug('Regular DIV does not meet text requirements', `Direct text length: ${directTextLength} characters`);
-    return false;
+
+    const result = {
+      declared: stack[0] || null,
+      rendered,
+      stack,
+      isFallback: rendered !== stack[0]
+    };
+    this.cache.set(cacheKey, result);
+    return result;
   }
-  
-  // By default, if it doesn't meet any of the above conditions, it's not considered a text element
-  console.debug('Does not meet any text element conditions', element.tagName);
-  return false;
-} 
\ No newline at end of file
+};
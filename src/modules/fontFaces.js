@@ -0,0 +1,155 @@
+/**
+ * @font-face rule lookup for the fonts a page loads
+ */
+
+// Highest code point; a face without unicode-range covers everything up to it
+const MAX_CODE_POINT = 0x10FFFF;
+
+export const FontFaceUtils = {
+  normalizeFamily(family) {
+    return String(family || '').replace(/['"]/g, '').trim().toLowerCase();
+  },
+
+  collectRules() {
+    const rules = [];
+
+    const visit = (ruleList, baseUrl) => {
+      for (const rule of ruleList) {
+        if (rule instanceof CSSFontFaceRule) {
+          rules.push({ rule, baseUrl });
+        } else if (rule instanceof CSSImportRule) {
+          if (rule.styleSheet) {
+            visitSheet(rule.styleSheet);
+          }
+        } else if (rule.cssRules) {
+          // @media, @supports, @layer and similar grouping rules
+          visit(rule.cssRules, baseUrl);
+        }
+      }
+    };
+
+    const visitSheet = (sheet) => {
+      let cssRules;
+      try {
+        cssRules = sheet.cssRules;
+      } catch (e) {
+        // Cross-origin stylesheets without CORS headers are not readable
+        return;
+      }
+      if (cssRules) {
+        visit(cssRules, sheet.href || document.baseURI);
+      }
+    };
+
+    for (const sheet of document.styleSheets) {
+      visitSheet(sheet);
+    }
+
+    return rules;
+  },
+
+  /**
+   * Parse a unicode-range descriptor
+   * @param {string} unicodeRange - e.g. 'U+0000-00FF, U+0131, U+4??'
+   * @returns {number[][]} - [start, end] code point pairs; all of Unicode when the descriptor
+   *   is missing or invalid, as browsers treat it
+   */
+  parseUnicodeRange(unicodeRange) {
+    const ranges = String(unicodeRange || '').split(',').map(part => {
+      const value = part.trim().replace(/^u\+/i, '');
+      if (value.includes('?')) {
+        return [parseInt(value.replace(/\?/g, '0'), 16), parseInt(value.replace(/\?/g, 'F'), 16)];
+      }
+      const [start, end] = value.split('-');
+      return [parseInt(start, 16), parseInt(end || start, 16)];
+    }).filter(([start, end]) => !isNaN(start) && !isNaN(end));
+    return ranges.length > 0 ? ranges : [[0, MAX_CODE_POINT]];
+  },
+
+  /**
+   * Check whether a unicode-range descriptor covers a code point
+   * @param {string} unicodeRange - Descriptor as in parseUnicodeRange
+   * @param {number} codePoint - Code point to test
+   */
+  coversCodePoint(unicodeRange, codePoint) {
+    return this.parseUnicodeRange(unicodeRange)
+      .some(([start, end]) => codePoint >= start && codePoint <= end);
+  },
+
+  /**
+   * Serialize a unicode-range the same way for rules and faces: 'U+0000-00FF, U+4??' and
+   * 'U+0-FF, U+400-4FF' come out alike; covering everything gives ''
+   * @param {string} unicodeRange - Descriptor as in parseUnicodeRange
+   * @returns {string}
+   */
+  normalizeUnicodeRange(unicodeRange) {
+    const ranges = this.parseUnicodeRange(unicodeRange);
+    if (ranges.length === 1 && ranges[0][0] === 0 && ranges[0][1] === MAX_CODE_POINT) {
+      return '';
+    }
+    const hex = codePoint => codePoint.toString(16).toUpperCase();
+    return ranges
+      .map(([start, end]) => (start === end ? `U+${hex(start)}` : `U+${hex(start)}-${hex(end)}`))
+      .join(', ');
+  },
+
+  parseSources(src, baseUrl) {
+    const sources = [];
+    const pattern = /url\(\s*(['"]?)(.*?)\1\s*\)(?:\s*format\(\s*['"]?([^'")]+)['"]?\s*\))?/g;
+    let match;
+    while ((match = pattern.exec(src)) !== null) {
+      try {
+        sources.push({
+          url: new URL(match[2], baseUrl).href,
+          format: match[3] ? match[3].toLowerCase() : ''
+        });
+      } catch (e) {
+        // Ignore malformed URLs
+      }
+    }
+    return sources;
+  },
+
+  /**
+   * Format of a source from its format() hint, data: MIME type or file extension
+   * @param {{url: string, format: string}} source - Source from parseSources
+   * @returns {string} - e.g. 'woff2', 'truetype' or 'ttf'; '' when unknown
+   */
+  getSourceFormat(source) {
+    if (source.format) {
+      return source.format;
+    }
+    if (/^data:/i.test(source.url)) {
+      const mime = source.url.match(/^data:(?:font|application)\/(?:x-font-)?([\w-]+)/i);
+      return mime ? mime[1].toLowerCase() : '';
+    }
+    const extension = source.url.match(/\.(woff2?|ttf|otf|eot|svg)(?:[?#]|$)/i);
+    return extension ? extension[1].toLowerCase() : '';
+  },
+
+  findSourceUrl(fontFamily) {
+    const target = this.normalizeFamily(fontFamily);
+    if (!target) {
+      return null;
+    }
+
+    let fallback = null;
+    for (const { rule, baseUrl } of this.collectRules()) {
+      if (this.normalizeFamily(rule.style.getPropertyValue('font-family')) !== target) {
+        continue;
+      }
+      const sources = this.parseSources(rule.style.getPropertyValue('src'), baseUrl)
+        .filter(source => /^https?:/i.test(source.url));
+      const woff2 = sources.find(source => source.format === 'woff2' ||
+        /\.woff2(\?|#|$)/i.test(source.url));
+      if (woff2) {
+        return woff2.url;
+      }
+      if (!fallback && sources.length > 0) {
+        fallback = sources[0].url;
+      }
+    }
+
+    return fallback;
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * CSS properties that select OpenType features and control rendering of a font
+ */
+
+export const FontFeatures = {
+  // Computed style key, CSS property and the value that means "nothing special"
+  PROPERTIES: [
+    { key: 'fontFeatureSettings', css: 'font-feature-settings', initial: 'normal' },
+    { key: 'fontVariantLigatures', css: 'font-variant-ligatures', initial: 'normal' },
+    { key: 'fontVariantCaps', css: 'font-variant-caps', initial: 'normal' },
+    { key: 'fontVariantNumeric', css: 'font-variant-numeric', initial: 'normal' },
+    { key: 'fontVariantEastAsian', css: 'font-variant-east-asian', initial: 'normal' },
+    { key: 'fontVariantAlternates', css: 'font-variant-alternates', initial: 'normal' },
+    { key: 'fontVariantPosition', css: 'font-variant-position', initial: 'normal' },
+    { key: 'fontVariantEmoji', css: 'font-variant-emoji', initial: 'normal' },
+    { key: 'fontKerning', css: 'font-kerning', initial: 'auto' },
+    { key: 'fontOpticalSizing', css: 'font-optical-sizing', initial: 'auto' },
+    { key: 'fontSynthesis', css: 'font-synthesis', initial: 'weight style small-caps' },
+    { key: 'textRendering', css: 'text-rendering', initial: 'auto' }
+  ],
+
+  /**
+   * Read the feature and rendering properties the browser supports
+   * @param {CSSStyleDeclaration} style - Computed style
+   * @returns {Object<string, string>} - Values keyed by CSS property name
+   */
+  read(style) {
+    const values = {};
+    this.PROPERTIES.forEach(({ key, css }) => {
+      if (typeof style[key] === 'string' && style[key]) {
+        values[css] = style[key];
+      }
+    });
+    return values;
+  },
+
+  /**
+   * Keep only the properties that differ from their initial value
+   * @param {Object<string, string>} values - Result of read()
+   * @returns {Array<[string, string]>} - [property, value] pairs
+   */
+  getChanged(values) {
+    return this.PROPERTIES
+      .filter(({ css, initial }) => css in values && values[css] !== initial &&
+        // Older engines serialize the initial font-synthesis without small-caps
+        !(css === 'font-synthesis' && values[css] === 'weight style'))
+      .map(({ css }) => [css, values[css]]);
+  }
+};
@@ -0,0 +1,188 @@
+/**
+ * Locates the font file behind the face an element renders with and reads its metadata
+ */
+
+import { FontFaceUtils } from './fontFaces.js';
+import { FontMatching } from './fontMatching.js';
+import { FontParser } from './fontParser.js';
+
+// OpenType script tags that differ from their ISO 15924 code
+const SCRIPT_TAG_ALIASES = {
+  dev2: 'deva',
+  bng2: 'beng',
+  gur2: 'guru',
+  gjr2: 'gujr',
+  ory2: 'orya',
+  tml2: 'taml',
+  tel2: 'telu',
+  knd2: 'knda',
+  mlm2: 'mlym',
+  mym2: 'mymr',
+  hira: 'kana'
+};
+
+// Script tags that do not name a writing system
+const IGNORED_SCRIPT_TAGS = ['DFLT', 'math'];
+
+// OS/2 ulUnicodeRange bits to ISO 15924 codes, for fonts without layout tables
+const UNICODE_RANGE_SCRIPTS = {
+  0: 'Latn', 1: 'Latn', 2: 'Latn', 3: 'Latn', 29: 'Latn', 7: 'Grek', 9: 'Cyrl',
+  10: 'Armn', 11: 'Hebr', 13: 'Arab', 15: 'Deva', 16: 'Beng', 17: 'Guru', 18: 'Gujr',
+  19: 'Orya', 20: 'Taml', 21: 'Telu', 22: 'Knda', 23: 'Mlym', 24: 'Thai', 25: 'Laoo',
+  26: 'Geor', 28: 'Hang', 49: 'Kana', 50: 'Kana', 56: 'Hang', 59: 'Hani', 70: 'Tibt',
+  71: 'Syrc', 72: 'Thaa', 73: 'Sinh', 74: 'Mymr', 75: 'Ethi', 76: 'Cher', 80: 'Khmr',
+  81: 'Mong'
+};
+
+// Formats the browser may load but FontParser cannot read
+const UNREADABLE_FORMATS = ['embedded-opentype', 'eot', 'svg'];
+
+export const FontFile = {
+  MAX_CACHE_SIZE: 20,
+  cache: new Map(),
+
+  /**
+   * Check whether FontParser can read a source, judging by its format
+   * @param {{url: string, format: string}} source - Source from FontFaceUtils.parseSources
+   */
+  canRead(source) {
+    const format = FontFaceUtils.getSourceFormat(source);
+    if (format === 'woff2') {
+      return FontParser.supportsBrotli();
+    }
+    return !UNREADABLE_FORMATS.includes(format);
+  },
+
+  /**
+   * Find the @font-face sources of the face the browser selected
+   * @param {Object} match - Result of FontMatching.match
+   * @param {string} text - Text of the element, to pick the right unicode-range subset
+   * @returns {string[]} - Font file URLs in src order, those FontParser cannot read last
+   */
+  findSources(match, text) {
+    const target = FontFaceUtils.normalizeFamily(match.family);
+    const codePoint = (text.match(/\S/u) || [' '])[0].codePointAt(0);
+    const { selected } = match;
+    const sameRange = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+    const candidates = [];
+    for (const { rule, baseUrl } of FontFaceUtils.collectRules()) {
+      if (FontFaceUtils.normalizeFamily(rule.style.getPropertyValue('font-family')) !== target) {
+        continue;
+      }
+      // Every source describes the same face, so any file that parses will do; WOFF2 comes
+      // first in most rules but needs Brotli, which not every browser exposes to scripts
+      const sources = FontFaceUtils.parseSources(rule.style.getPropertyValue('src'), baseUrl)
+        .filter(item => /^(https?|data):/i.test(item.url));
+      if (sources.length === 0) {
+        continue;
+      }
+      const style = FontMatching.parseStyle(rule.style.getPropertyValue('font-style'));
+      candidates.push({
+        urls: [
+          ...sources.filter(item => this.canRead(item)),
+          ...sources.filter(item => !this.canRead(item))
+        ].map(item => item.url),
+        sameFace: sameRange(FontMatching.parseWeight(
+          rule.style.getPropertyValue('font-weight')), selected.weight) &&
+          sameRange(FontMatching.parseStretch(
+            rule.style.getPropertyValue('font-stretch')), selected.stretch) &&
+          style.kind === selected.style.kind,
+        covers: FontFaceUtils.coversCodePoint(rule.style.getPropertyValue('unicode-range'),
+          codePoint)
+      });
+    }
+
+    const best = candidates.find(item => item.sameFace && item.covers) ||
+      candidates.find(item => item.sameFace);
+    if (best) {
+      return best.urls;
+    }
+    // A single rule is the face even when its descriptors serialize differently
+    return candidates.length === 1 ? candidates[0].urls : [];
+  },
+
+  /**
+   * Fetch and parse a font file, reusing the page's HTTP cache
+   * @param {string} url - Font file URL
+   * @returns {Promise<Object>} - Parsed metadata plus the URL
+   */
+  load(url) {
+    if (this.cache.has(url)) {
+      return this.cache.get(url);
+    }
+    if (this.cache.size >= this.MAX_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    const promise = fetch(url, { cache: 'force-cache' })
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then(buffer => FontParser.parse(buffer))
+      .then(info => ({ ...info, url }));
+    // Failed loads are retried the next time
+    promise.catch(() => this.cache.delete(url));
+    this.cache.set(url, promise);
+    return promise;
+  },
+
+  /**
+   * Parse the first of several sources of one face that can be read
+   * @param {string[]} urls - Result of findSources
+   * @returns {Promise<Object>} - Result of load for the first source that parses
+   * @throws {Error} - The error of the last source when none can be read
+   */
+  async loadFirst(urls) {
+    let lastError = new Error('No font file source');
+    for (const url of urls) {
+      try {
+        return await this.load(url);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  },
+
+  /**
+   * Get the scripts a font supports as ISO 15924 codes
+   * @param {Object} info - Parsed font metadata
+   * @returns {string[]}
+   */
+  getScripts(info) {
+    const scripts = info.scripts
+      .filter(tag => !IGNORED_SCRIPT_TAGS.includes(tag))
+      .map(tag => {
+        const trimmed = tag.trim();
+        // Short tags such as 'lao ' and 'yi  ' repeat their last letter in ISO 15924
+        const code = SCRIPT_TAG_ALIASES[trimmed] || trimmed.padEnd(4, trimmed.slice(-1));
+        return code.charAt(0).toUpperCase() + code.slice(1);
+      });
+    if (info.os2) {
+      info.os2.unicodeRanges.forEach(bit => {
+        if (UNICODE_RANGE_SCRIPTS[bit]) {
+          scripts.push(UNICODE_RANGE_SCRIPTS[bit]);
+        }
+      });
+    }
+    return [...new Set(scripts)];
+  },
+
+  /**
+   * Locate the files of the face an element renders with
+   * @param {Element} element - Element to inspect
+   * @param {Object} renderedFont - Result of FontDetection.getRenderedFont
+   * @returns {string[]} - Font file URLs, empty for system fonts and unknown sources
+   */
+  findElementSources(element, renderedFont) {
+    if (!renderedFont || !renderedFont.rendered) {
+      return [];
+    }
+    const match = FontMatching.match(element, renderedFont.rendered);
+    return match ? this.findSources(match, element.textContent || '') : [];
+  }
+};
@@ -0,0 +1,221 @@
+/**
+ * CSS font matching: which face of a family the browser picks for an element
+ */
+
+import { FontDetection } from './fontDetection.js';
+
+// font-stretch keywords as percentages (CSS Fonts 4, section 2.3)
+const STRETCH_KEYWORDS = {
+  'ultra-condensed': 50,
+  'extra-condensed': 62.5,
+  'condensed': 75,
+  'semi-condensed': 87.5,
+  'normal': 100,
+  'semi-expanded': 112.5,
+  'expanded': 125,
+  'extra-expanded': 150,
+  'ultra-expanded': 200
+};
+
+const WEIGHT_KEYWORDS = { normal: 400, bold: 700 };
+
+// Angle of `oblique` without an explicit angle
+const DEFAULT_OBLIQUE_ANGLE = 14;
+
+// Faces are tried in this order of font-style, per requested style
+const STYLE_ORDER = {
+  normal: ['normal', 'oblique', 'italic'],
+  italic: ['italic', 'oblique', 'normal'],
+  oblique: ['oblique', 'italic', 'normal']
+};
+
+export const FontMatching = {
+  // Browsers synthesize bold for requested weights from this value up
+  BOLD_THRESHOLD: 600,
+
+  parseWeight(value) {
+    const parts = String(value || 'normal').trim().split(/\s+/)
+      .map(part => WEIGHT_KEYWORDS[part] || parseFloat(part))
+      .filter(Number.isFinite);
+    if (parts.length === 0) {
+      return [400, 400];
+    }
+    return [Math.min(...parts), Math.max(...parts)];
+  },
+
+  parseStretch(value) {
+    const parts = String(value || 'normal').trim().split(/\s+/)
+      .map(part => STRETCH_KEYWORDS[part] || parseFloat(part))
+      .filter(Number.isFinite);
+    if (parts.length === 0) {
+      return [100, 100];
+    }
+    return [Math.min(...parts), Math.max(...parts)];
+  },
+
+  parseStyle(value) {
+    const [keyword, ...angles] = String(value || 'normal').trim().split(/\s+/);
+    if (keyword === 'italic') {
+      return { kind: 'italic', angles: [DEFAULT_OBLIQUE_ANGLE, DEFAULT_OBLIQUE_ANGLE] };
+    }
+    if (keyword !== 'oblique') {
+      return { kind: 'normal', angles: [0, 0] };
+    }
+    const degrees = angles.map(angle => parseFloat(angle)).filter(Number.isFinite);
+    if (degrees.length === 0) {
+      return { kind: 'oblique', angles: [DEFAULT_OBLIQUE_ANGLE, DEFAULT_OBLIQUE_ANGLE] };
+    }
+    return { kind: 'oblique', angles: [Math.min(...degrees), Math.max(...degrees)] };
+  },
+
+  describeFace(face) {
+    return {
+      face,
+      family: face.family.replace(/['"]/g, ''),
+      weight: this.parseWeight(face.weight),
+      stretch: this.parseStretch(face.stretch),
+      style: this.parseStyle(face.style),
+      status: face.status
+    };
+  },
+
+  clamp(value, [min, max]) {
+    return Math.min(max, Math.max(min, value));
+  },
+
+  /**
+   * Rank a face for one property; lower ranks win, compared element by element
+   * @returns {{value: number, rank: number[]}} - The value the face provides and its rank
+   */
+  rankStretch(desired, range) {
+    const value = this.clamp(desired, range);
+    const narrowerFirst = desired <= 100;
+    const preferred = narrowerFirst ? value <= desired : value >= desired;
+    return { value, rank: [preferred ? 0 : 1, Math.abs(value - desired)] };
+  },
+
+  rankStyle(desired, style) {
+    const kindRank = STYLE_ORDER[desired.kind].indexOf(style.kind);
+    const angle = this.clamp(desired.angles[0], style.angles);
+    return { value: style.kind, rank: [kindRank, Math.abs(angle - desired.angles[0])] };
+  },
+
+  rankWeight(desired, range) {
+    const value = this.clamp(desired, range);
+    let tier;
+    if (desired >= 400 && desired <= 500) {
+      // Heavier weights up to 500 first, then lighter ones, then heavier than 500
+      tier = value >= desired && value <= 500 ? 0 : (value < desired ? 1 : 2);
+    } else if (desired < 400) {
+      tier = value <= desired ? 0 : 1;
+    } else {
+      tier = value >= desired ? 0 : 1;
+    }
+    return { value, rank: [tier, Math.abs(value - desired)] };
+  },
+
+  compareRanks(a, b) {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) {
+        return a[i] - b[i];
+      }
+    }
+    return 0;
+  },
+
+  /**
+   * Narrow faces down property by property: stretch, then style, then weight
+   * @param {Object[]} faces - Faces from describeFace
+   * @param {Object} requested - Parsed weight, style and stretch of the element
+   * @param {string} property - Which rank function to use
+   */
+  narrow(faces, requested, property) {
+    const ranked = faces.map(face => {
+      if (property === 'stretch') {
+        return { face, ...this.rankStretch(requested.stretch, face.stretch) };
+      }
+      if (property === 'style') {
+        return { face, ...this.rankStyle(requested.style, face.style) };
+      }
+      return { face, ...this.rankWeight(requested.weight, face.weight) };
+    });
+    const best = ranked.reduce((min, item) =>
+      (this.compareRanks(item.rank, min.rank) < 0 ? item : min));
+    return ranked.filter(item => this.compareRanks(item.rank, best.rank) === 0);
+  },
+
+  isSynthesisAllowed(style, kind) {
+    const longhand = kind === 'weight' ? style.fontSynthesisWeight : style.fontSynthesisStyle;
+    if (longhand) {
+      return longhand !== 'none';
+    }
+    const shorthand = style.fontSynthesis || 'weight style';
+    return shorthand.split(/\s+/).includes(kind);
+  },
+
+  /**
+   * Walk the CSS font matching algorithm for an element
+   * @param {Element} element - Element whose font is matched
+   * @param {string} family - Family the element renders with
+   * @returns {Object|null} - Faces, the selected face and why; null without web font faces
+   */
+  match(element, family) {
+    const faces = FontDetection.getFontFaces(family).map(face => this.describeFace(face));
+    // Faces that failed to load drop out, so matching can land on a face to synthesize from
+    const usable = faces.filter(face => face.status !== 'error');
+    if (usable.length === 0) {
+      return null;
+    }
+
+    const style = getComputedStyle(element);
+    const requested = {
+      weight: this.parseWeight(style.fontWeight)[0],
+      style: this.parseStyle(style.fontStyle),
+      stretch: this.parseStretch(style.fontStretch)[0]
+    };
+
+    let candidates = this.narrow(usable, requested, 'stretch');
+    const stretch = candidates[0].value;
+    candidates = this.narrow(candidates.map(item => item.face), requested, 'style');
+    const styleKind = candidates[0].value;
+    candidates = this.narrow(candidates.map(item => item.face), requested, 'weight');
+    const weight = candidates[0].value;
+
+    // Faces with identical descriptors: the last one defined wins
+    const selected = candidates[candidates.length - 1].face;
+
+    let weightMatch = 'exact';
+    if (weight > requested.weight) {
+      weightMatch = 'heavier';
+    } else if (weight < requested.weight) {
+      weightMatch = 'lighter';
+    }
+
+    return {
+      family,
+      faces,
+      requested,
+      selected,
+      weight,
+      stretch,
+      weightMatch,
+      styleMatch: styleKind === requested.style.kind,
+      stretchMatch: stretch === requested.stretch,
+      synthesizedBold: requested.weight >= this.BOLD_THRESHOLD &&
+        selected.weight[1] < this.BOLD_THRESHOLD && this.isSynthesisAllowed(style, 'weight'),
+      synthesizedItalic: requested.style.kind !== 'normal' && selected.style.kind === 'normal' &&
+        this.isSynthesisAllowed(style, 'style')
+    };
+  },
+
+  formatRange([min, max], unit = '') {
+    return min === max ? `${min}${unit}` : `${min}–${max}${unit}`;
+  },
+
+  formatStyle(style) {
+    if (style.kind !== 'oblique') {
+      return style.kind;
+    }
+    return `oblique ${this.formatRange(style.angles, 'deg')}`;
+  }
+};
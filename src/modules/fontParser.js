@@ -0,0 +1,340 @@
+/**
+ * Font file parsing: WOFF2, WOFF, TrueType and OpenType (CFF) tables
+ */
+
+// Tags of the WOFF2 "known table" index (WOFF2 spec, section 5.1)
+const WOFF2_KNOWN_TAGS = [
+  'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf',
+  'loca', 'prep', 'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT',
+  'VDMX', 'vhea', 'vmtx', 'BASE', 'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT',
+  'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt', 'avar', 'bdat', 'bloc', 'bsln', 'cvar',
+  'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar', 'mort', 'morx', 'opbd',
+  'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+];
+
+// name table IDs shown by FontDetector
+const NAME_IDS = {
+  copyright: 0,
+  family: 1,
+  subfamily: 2,
+  fullName: 4,
+  version: 5,
+  postScriptName: 6,
+  manufacturer: 8,
+  designer: 9,
+  vendorUrl: 11,
+  designerUrl: 12,
+  license: 13,
+  licenseUrl: 14,
+  typographicFamily: 16
+};
+
+const US_ENGLISH = 0x0409;
+
+// Tables that are only needed when present; everything else is skipped
+const PARSED_TABLES = ['name', 'OS/2', 'maxp', 'fvar', 'GSUB', 'GPOS'];
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+function readFixed(view, offset) {
+  return Math.round(view.getInt32(offset) / 65536 * 1000) / 1000;
+}
+
+export const FontParser = {
+  getFormat(view) {
+    switch (readTag(view, 0)) {
+      case 'wOF2':
+        return 'woff2';
+      case 'wOFF':
+        return 'woff';
+      case 'OTTO':
+        return 'opentype';
+      case 'ttcf':
+        return 'collection';
+      case 'true':
+      case '\u0000\u0001\u0000\u0000':
+        return 'truetype';
+      default:
+        return null;
+    }
+  },
+
+  supportsBrotli() {
+    try {
+      new DecompressionStream('brotli');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+
+  async decompress(bytes, format) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  },
+
+  /**
+   * Read the table directory of an uncompressed font
+   * @param {DataView} view - Font data
+   * @param {number} offset - Start of the offset table (non-zero inside collections)
+   * @returns {Map<string, DataView>}
+   */
+  readSfntTables(view, offset = 0) {
+    const tables = new Map();
+    const numTables = view.getUint16(offset + 4);
+    for (let i = 0; i < numTables; i++) {
+      const record = offset + 12 + i * 16;
+      const tag = readTag(view, record);
+      if (PARSED_TABLES.includes(tag)) {
+        tables.set(tag, new DataView(view.buffer, view.byteOffset + view.getUint32(record + 8),
+          view.getUint32(record + 12)));
+      }
+    }
+    return tables;
+  },
+
+  async readWoffTables(view) {
+    const tables = new Map();
+    const numTables = view.getUint16(12);
+    for (let i = 0; i < numTables; i++) {
+      const record = 44 + i * 20;
+      const tag = readTag(view, record);
+      if (!PARSED_TABLES.includes(tag)) {
+        continue;
+      }
+      const offset = view.getUint32(record + 4);
+      const compLength = view.getUint32(record + 8);
+      const origLength = view.getUint32(record + 12);
+      let bytes = new Uint8Array(view.buffer, view.byteOffset + offset, compLength);
+      // Tables that did not shrink are stored uncompressed
+      if (compLength < origLength) {
+        bytes = await this.decompress(bytes, 'deflate');
+      }
+      tables.set(tag, new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+    }
+    return tables;
+  },
+
+  async readWoff2Tables(view) {
+    if (!this.supportsBrotli()) {
+      throw new Error('WOFF2 needs Brotli decompression, which this browser lacks');
+    }
+    if (readTag(view, 4) === 'ttcf') {
+      throw new Error('WOFF2 font collections are not supported');
+    }
+
+    const numTables = view.getUint16(12);
+    const compressedLength = view.getUint32(20);
+    let offset = 48;
+
+    const readBase128 = () => {
+      let value = 0;
+      for (let i = 0; i < 5; i++) {
+        const byte = view.getUint8(offset++);
+        value = value * 128 + (byte & 0x7f);
+        if (!(byte & 0x80)) {
+          return value;
+        }
+      }
+      throw new Error('Invalid UIntBase128 value');
+    };
+
+    const entries = [];
+    for (let i = 0; i < numTables; i++) {
+      const flags = view.getUint8(offset++);
+      let tag = WOFF2_KNOWN_TAGS[flags & 0x3f];
+      if ((flags & 0x3f) === 0x3f) {
+        tag = readTag(view, offset);
+        offset += 4;
+      }
+      const transform = flags >> 6;
+      const length = readBase128();
+      // glyf and loca are transformed by default (version 0); other tables only when non-zero
+      const transformed = tag === 'glyf' || tag === 'loca' ? transform === 0 : transform !== 0;
+      entries.push({ tag, length: transformed ? readBase128() : length });
+    }
+
+    const data = await this.decompress(
+      new Uint8Array(view.buffer, view.byteOffset + offset, compressedLength), 'brotli');
+
+    // Decompressed tables are concatenated in directory order without padding
+    const tables = new Map();
+    let position = 0;
+    entries.forEach(({ tag, length }) => {
+      if (PARSED_TABLES.includes(tag)) {
+        tables.set(tag, new DataView(data.buffer, data.byteOffset + position, length));
+      }
+      position += length;
+    });
+    return tables;
+  },
+
+  decodeName(view, offset, length, platformId) {
+    if (platformId === 1) {
+      // Mac Roman; metadata strings are ASCII in practice
+      let text = '';
+      for (let i = 0; i < length; i++) {
+        text += String.fromCharCode(view.getUint8(offset + i));
+      }
+      return text;
+    }
+    let text = '';
+    for (let i = 0; i + 1 < length; i += 2) {
+      text += String.fromCharCode(view.getUint16(offset + i));
+    }
+    return text;
+  },
+
+  /**
+   * Read the name table, keeping the best record per name ID: Windows US English, then any
+   * Windows or Unicode record, then Macintosh
+   * @returns {Map<number, string>}
+   */
+  parseName(view) {
+    const count = view.getUint16(2);
+    const stringOffset = view.getUint16(4);
+    const best = new Map();
+
+    for (let i = 0; i < count; i++) {
+      const record = 6 + i * 12;
+      const platformId = view.getUint16(record);
+      const languageId = view.getUint16(record + 4);
+      const nameId = view.getUint16(record + 6);
+      let score;
+      if (platformId === 3 && languageId === US_ENGLISH) {
+        score = 3;
+      } else if (platformId === 3 || platformId === 0) {
+        score = 2;
+      } else if (platformId === 1 && languageId === 0) {
+        score = 1;
+      } else {
+        continue;
+      }
+      if (best.has(nameId) && best.get(nameId).score >= score) {
+        continue;
+      }
+      best.set(nameId, {
+        score,
+        value: this.decodeName(view, stringOffset + view.getUint16(record + 10),
+          view.getUint16(record + 8), platformId).trim()
+      });
+    }
+
+    return new Map(Array.from(best, ([nameId, { value }]) => [nameId, value]));
+  },
+
+  parseOS2(view) {
+    const unicodeRanges = [];
+    for (let word = 0; word < 4; word++) {
+      const bits = view.getUint32(42 + word * 4);
+      for (let bit = 0; bit < 32; bit++) {
+        if (bits & (1 << bit)) {
+          unicodeRanges.push(word * 32 + bit);
+        }
+      }
+    }
+    return {
+      weightClass: view.getUint16(4),
+      widthClass: view.getUint16(6),
+      vendorId: readTag(view, 58).split('\u0000')[0].trim(),
+      unicodeRanges
+    };
+  },
+
+  parseFvar(view, names) {
+    const axesOffset = view.getUint16(4);
+    const axisCount = view.getUint16(8);
+    const axisSize = view.getUint16(10);
+    const axes = [];
+    for (let i = 0; i < axisCount; i++) {
+      const record = axesOffset + i * axisSize;
+      axes.push({
+        tag: readTag(view, record),
+        min: readFixed(view, record + 4),
+        default: readFixed(view, record + 8),
+        max: readFixed(view, record + 12),
+        hidden: (view.getUint16(record + 16) & 0x1) === 1,
+        nameId: view.getUint16(record + 18)
+      });
+    }
+    return axes.map(axis => ({ ...axis, name: names.get(axis.nameId) || axis.tag }));
+  },
+
+  /**
+   * Read the script and feature tags of a GSUB or GPOS table
+   */
+  parseLayout(view) {
+    const readTags = (listOffset) => {
+      if (!listOffset) {
+        return [];
+      }
+      const count = view.getUint16(listOffset);
+      const tags = [];
+      for (let i = 0; i < count; i++) {
+        tags.push(readTag(view, listOffset + 2 + i * 6));
+      }
+      return tags;
+    };
+    return {
+      scripts: readTags(view.getUint16(4)),
+      features: readTags(view.getUint16(6))
+    };
+  },
+
+  /**
+   * Parse font metadata from a font file
+   * @param {ArrayBuffer} buffer - WOFF2, WOFF, TrueType, OpenType or collection data
+   * @returns {Promise<Object>} - Format, names, OS/2 data, glyph count, axes, scripts, features
+   * @throws {Error} - When the data is not a supported font
+   */
+  async parse(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 12) {
+      throw new Error('File is too small to be a font');
+    }
+    const format = this.getFormat(view);
+
+    let tables;
+    if (format === 'woff2') {
+      tables = await this.readWoff2Tables(view);
+    } else if (format === 'woff') {
+      tables = await this.readWoffTables(view);
+    } else if (format === 'collection') {
+      // Only the first font of a collection is described
+      tables = this.readSfntTables(view, view.getUint32(12));
+    } else if (format) {
+      tables = this.readSfntTables(view);
+    } else {
+      throw new Error('Unknown font format');
+    }
+
+    const nameMap = tables.has('name') ? this.parseName(tables.get('name')) : new Map();
+    const names = {};
+    Object.entries(NAME_IDS).forEach(([key, id]) => {
+      if (nameMap.get(id)) {
+        names[key] = nameMap.get(id);
+      }
+    });
+    const gsub = tables.has('GSUB') ? this.parseLayout(tables.get('GSUB')) : null;
+    const gpos = tables.has('GPOS') ? this.parseLayout(tables.get('GPOS')) : null;
+    const unique = (...lists) => [...new Set(lists.flat())];
+
+    return {
+      format,
+      byteLength: buffer.byteLength,
+      names,
+      os2: tables.has('OS/2') ? this.parseOS2(tables.get('OS/2')) : null,
+      glyphCount: tables.has('maxp') ? tables.get('maxp').getUint16(4) : null,
+      axes: tables.has('fvar') ? this.parseFvar(tables.get('fvar'), nameMap) : [],
+      scripts: unique(gsub ? gsub.scripts : [], gpos ? gpos.scripts : []),
+      features: unique(gsub ? gsub.features : [], gpos ? gpos.features : [])
+    };
+  }
+};
@@ -0,0 +1,253 @@
+/**
+ * Web font performance checklist built on the page font inventory
+ */
+
+import { DOMUtils } from './domUtils.js';
+import { FontMatching } from './fontMatching.js';
+import { PageFonts } from './pageFonts.js';
+import { PanelManager } from './panels.js';
+
+const FONT_FILE_PATTERN = /\.(woff2?|ttf|otf|eot)(?:[?#]|$)/i;
+
+// font-display values that hide text while the font loads
+const BLOCKING_DISPLAYS = ['auto', 'block'];
+
+// font-display values that show fallback text and swap it late
+const SWAPPING_DISPLAYS = ['swap', 'fallback'];
+
+const STATUS_POINTS = { pass: 1, warn: 0.5, fail: 0 };
+
+// Message keys and English fallbacks per check
+const CHECK_MESSAGES = {
+  unused: ['perfUnused', 'Every loaded font is used',
+    'These faces were downloaded, but no visible text uses their family.'],
+  display: ['perfDisplay', 'font-display is set',
+    'Text stays invisible for up to 3 seconds while these load; use swap or optional.'],
+  rendering: ['perfRendering', 'No FOIT or FOUT',
+    'These arrived after the first paint: text was invisible (FOIT) or swapped late (FOUT).'],
+  weights: ['perfWeights', 'Few weights per family',
+    'Every static weight is a separate download; one variable font can replace them.'],
+  format: ['perfFormat', 'WOFF2 everywhere',
+    'WOFF2 files are about 30% smaller than WOFF and far smaller than TTF or OTF.'],
+  subset: ['perfSubset', 'Large fonts are subset',
+    'Split large files with unicode-range so pages download only the scripts they show.'],
+  preload: ['perfPreload', 'No render-blocking preloads',
+    'These preloads hold back the first paint until the font arrives.']
+};
+
+export const FontPerformance = {
+  PANEL_ID: 'font-performance',
+  // A family with more static weights than this is better served by a variable font
+  MAX_STATIC_WEIGHTS: 4,
+  // Files below this size gain little from unicode-range subsetting
+  SUBSET_MIN_SIZE: 40 * 1024,
+  // Without a paint timing entry, loads slower than this count as visible to the reader
+  SLOW_LOAD: 300,
+
+  describeFace(face) {
+    return `${face.family} ${FontMatching.formatRange(face.weight)} ` +
+      FontMatching.formatStyle(face.style);
+  },
+
+  // Unused faces were never fetched and failed ones never render, so only these cost anything
+  isDownloaded(face) {
+    return face.status === 'loaded' || face.status === 'loading';
+  },
+
+  getFirstContentfulPaint() {
+    const [entry] = performance.getEntriesByName('first-contentful-paint');
+    return entry ? entry.startTime : null;
+  },
+
+  /**
+   * Whether text was painted before the font file arrived
+   * @param {Object} timing - PerformanceResourceTiming of the font file
+   * @param {number|null} firstPaint - First contentful paint, in ms
+   */
+  isLateLoad(timing, firstPaint) {
+    if (firstPaint !== null) {
+      return timing.responseEnd > firstPaint;
+    }
+    return timing.responseEnd - timing.startTime > this.SLOW_LOAD;
+  },
+
+  checkUnused(families) {
+    return {
+      id: 'unused',
+      severity: 'warn',
+      items: families
+        .filter(entry => entry.references === 0)
+        .flatMap(entry => entry.faces)
+        .filter(face => face.status === 'loaded')
+        .map(face => [this.describeFace(face),
+          face.source ? PageFonts.getFileName(face.source.url) : ''].filter(Boolean).join(' · '))
+    };
+  },
+
+  checkDisplay(faces) {
+    return {
+      id: 'display',
+      severity: 'warn',
+      items: faces
+        .filter(face => this.isDownloaded(face) && BLOCKING_DISPLAYS.includes(face.display))
+        .map(face => `${this.describeFace(face)} · font-display: ${face.display}`)
+    };
+  },
+
+  checkRendering(faces) {
+    const firstPaint = this.getFirstContentfulPaint();
+    let foit = false;
+    const items = [];
+    faces.forEach(face => {
+      const timing = face.source && face.source.timing;
+      if (face.status !== 'loaded' || !timing || !this.isLateLoad(timing, firstPaint)) {
+        return;
+      }
+      const time = `${Math.round(timing.responseEnd)} ms`;
+      if (BLOCKING_DISPLAYS.includes(face.display)) {
+        foit = true;
+        items.push(`${this.describeFace(face)} · FOIT · ${time}`);
+      } else if (SWAPPING_DISPLAYS.includes(face.display)) {
+        items.push(`${this.describeFace(face)} · FOUT · ${time}`);
+      }
+    });
+    // Invisible text is worse than a late swap
+    return { id: 'rendering', severity: foit ? 'fail' : 'warn', items };
+  },
+
+  checkWeights(families) {
+    return {
+      id: 'weights',
+      severity: 'warn',
+      items: families.map(entry => {
+        const weights = new Set(entry.faces
+          .filter(face => this.isDownloaded(face) && face.weight[0] === face.weight[1])
+          .map(face => face.weight[0]));
+        if (weights.size <= this.MAX_STATIC_WEIGHTS) {
+          return null;
+        }
+        return `${entry.family} · ${Array.from(weights).sort((a, b) => a - b).join(', ')}`;
+      }).filter(Boolean)
+    };
+  },
+
+  checkFormats(faces) {
+    return {
+      id: 'format',
+      severity: 'warn',
+      items: faces
+        .filter(face => this.isDownloaded(face) && face.source && face.source.format &&
+          face.source.format !== 'woff2')
+        .map(face => `${this.describeFace(face)} · ${face.source.format.toUpperCase()}`)
+    };
+  },
+
+  checkSubsetting(faces) {
+    return {
+      id: 'subset',
+      severity: 'warn',
+      items: faces
+        .filter(face => this.isDownloaded(face) && face.source && !face.unicodeRange &&
+          (face.source.size === null || face.source.size >= this.SUBSET_MIN_SIZE))
+        .map(face => [this.describeFace(face),
+          face.source.size ? PageFonts.formatSize(face.source.size) : ''].filter(Boolean)
+          .join(' · '))
+    };
+  },
+
+  checkPreloads() {
+    const blocking = new Set();
+    performance.getEntriesByType('resource')
+      .filter(entry => entry.initiatorType === 'link' && FONT_FILE_PATTERN.test(entry.name) &&
+        entry.renderBlockingStatus === 'blocking')
+      .forEach(entry => blocking.add(entry.name));
+    // Chromium versions without renderBlockingStatus still honor blocking="render"
+    document.querySelectorAll('link[rel~="preload"][as="font"][blocking~="render"]')
+      .forEach(link => blocking.add(link.href));
+
+    return {
+      id: 'preload',
+      severity: 'fail',
+      items: Array.from(blocking, url => PageFonts.getFileName(url))
+    };
+  },
+
+  /**
+   * Run every check against the fonts of the page
+   * @returns {{score: number, checks: Object[], faceCount: number}} - Checks with status
+   *   'pass', 'warn' or 'fail' and the faces or files that triggered them
+   */
+  run() {
+    const inventory = PageFonts.run();
+    const faces = inventory.families.flatMap(entry => entry.faces);
+
+    const checks = [
+      this.checkUnused(inventory.families),
+      this.checkDisplay(faces),
+      this.checkRendering(faces),
+      this.checkWeights(inventory.families),
+      this.checkFormats(faces),
+      this.checkSubsetting(faces),
+      this.checkPreloads()
+    ].map(({ id, severity, items }) => ({
+      id,
+      status: items.length > 0 ? severity : 'pass',
+      items
+    }));
+
+    const points = checks.reduce((sum, check) => sum + STATUS_POINTS[check.status], 0);
+    return {
+      score: Math.round(points / checks.length * 100),
+      checks,
+      faceCount: inventory.faceCount
+    };
+  },
+
+  renderCheck(check) {
+    const [key, titleFallback, hintFallback] = CHECK_MESSAGES[check.id];
+    const title = chrome.i18n.getMessage(`${key}Title`) || titleFallback;
+    const hint = chrome.i18n.getMessage(`${key}Hint`) || hintFallback;
+    const icons = { pass: '✓', warn: '⚠', fail: '✗' };
+    const items = check.items
+      .map(item => `<em class="perf-check-item">${DOMUtils.escapeHTML(item)}</em>`)
+      .join('');
+
+    return `
+      <div class="perf-check ${check.status}">
+        <b class="perf-check-icon">${icons[check.status]}</b>
+        <div class="perf-check-info">
+          <strong>${DOMUtils.escapeHTML(title)}</strong>
+          ${check.status !== 'pass' ? `<small>${DOMUtils.escapeHTML(hint)}</small>` : ''}
+          ${items}
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Open the font performance checklist
+   * @returns {Object|null} - Check results, or null when the panel cannot be shown
+   */
+  open() {
+    const result = this.run();
+    const body = PanelManager.open(this.PANEL_ID,
+      chrome.i18n.getMessage('fontPerformance') || 'Font performance');
+    if (!body) {
+      return null;
+    }
+
+    const scoreLabel = chrome.i18n.getMessage('perfScore') || 'Score';
+    const facesLabel = chrome.i18n.getMessage('pageFontFaces') || 'Faces';
+    const grade = result.score >= 90 ? 'pass' : (result.score >= 50 ? 'warn' : 'fail');
+    body.innerHTML = `
+      <div class="fd-panel-summary">
+        <span>${scoreLabel} <b class="perf-score ${grade}">${result.score}</b>/100</span>
+        <span>${facesLabel} <b>${result.faceCount}</b></span>
+      </div>
+      <div class="perf-checklist">
+        ${result.checks.map(check => this.renderCheck(check)).join('')}
+      </div>
+    `;
+    return result;
+  }
+};
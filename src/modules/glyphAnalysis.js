@@ -0,0 +1,148 @@
+/**
+ * Per-glyph fallback analysis for selected text
+ */
+
+import { FontDetection } from './fontDetection.js';
+import { FontFaceUtils } from './fontFaces.js';
+
+export const GlyphAnalysis = {
+  MAX_CHARACTERS: 400,
+  SEGMENT_PREVIEW_LENGTH: 24,
+  coverageCache: new Map(),
+
+  splitGraphemes(text) {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+      const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+      return Array.from(segmenter.segment(text), part => part.segment);
+    }
+    return Array.from(text);
+  },
+
+  faceCoversCodePoint(face, codePoint) {
+    return FontFaceUtils.coversCodePoint(face.unicodeRange, codePoint);
+  },
+
+  isFamilyCovering(family, fontStyle, fontWeight, grapheme) {
+    const cacheKey = [family, fontStyle, fontWeight, grapheme].join('\n');
+    if (this.coverageCache.has(cacheKey)) {
+      return this.coverageCache.get(cacheKey);
+    }
+
+    let covers;
+    // unicode-range tells us up front which web font subsets can hold the glyph
+    const faces = FontDetection.getFontFaces(family);
+    const codePoint = grapheme.codePointAt(0);
+    if (faces.length > 0 && !faces.some(face => face.status === 'loaded' &&
+        this.faceCoversCodePoint(face, codePoint))) {
+      covers = false;
+    } else {
+      covers = FontDetection.isFamilyRendering(family, fontStyle, fontWeight, grapheme);
+    }
+
+    if (this.coverageCache.size > 2000) {
+      this.coverageCache.clear();
+    }
+    this.coverageCache.set(cacheKey, covers);
+    return covers;
+  },
+
+  getCoveringFamily(stack, fontStyle, fontWeight, grapheme) {
+    for (const family of stack) {
+      if (FontDetection.isGenericFamily(family) ||
+          this.isFamilyCovering(family, fontStyle, fontWeight, grapheme)) {
+        return family;
+      }
+    }
+    return null;
+  },
+
+  collectTextRuns(range) {
+    const runs = [];
+    const root = range.commonAncestorContainer;
+
+    const addRun = (node, start, end) => {
+      const element = node.parentElement;
+      if (!element || element.closest('#font-detector-root')) {
+        return;
+      }
+      const text = node.data.slice(start, end);
+      if (text) {
+        runs.push({ text, element });
+      }
+    };
+
+    if (root.nodeType === Node.TEXT_NODE) {
+      addRun(root, range.startOffset, range.endOffset);
+      return runs;
+    }
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => range.intersectsNode(node)
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT
+    });
+
+    let node;
+    while ((node = walker.nextNode())) {
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.data.length;
+      addRun(node, start, end);
+    }
+
+    return runs;
+  },
+
+  analyzeRuns(runs) {
+    const segments = [];
+    let remaining = this.MAX_CHARACTERS;
+
+    for (const run of runs) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const style = getComputedStyle(run.element);
+      const stack = FontDetection.parseFontFamilyList(style.fontFamily);
+      const graphemes = this.splitGraphemes(run.text).slice(0, remaining);
+      remaining -= graphemes.length;
+
+      for (const grapheme of graphemes) {
+        const last = segments[segments.length - 1];
+        // Whitespace has no meaningful glyph; keep it with the surrounding run
+        if (/^\s+$/.test(grapheme)) {
+          if (last) {
+            last.text += grapheme;
+          }
+          continue;
+        }
+
+        const family = this.getCoveringFamily(stack, style.fontStyle, style.fontWeight,
+          grapheme);
+        if (last && last.family === family) {
+          last.text += grapheme;
+        } else {
+          segments.push({ family, text: grapheme });
+        }
+      }
+    }
+
+    segments.forEach(segment => {
+      segment.text = segment.text.replace(/\s+/g, ' ').trim();
+    });
+    return segments.filter(segment => segment.text);
+  },
+
+  analyzeRange(range) {
+    return this.analyzeRuns(this.collectTextRuns(range));
+  },
+
+  analyzeElement(element) {
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    return this.analyzeRange(range);
+  },
+
+  isMixed(segments) {
+    return new Set(segments.map(segment => segment.family)).size > 1;
+  }
+};
@@ -0,0 +1,223 @@
+/**
+ * Activation, teardown and extension context monitoring
+ */
+
+import { CONSTANTS } from './constants.js';
+import { ShadowDOMManager } from './shadowDom.js';
+import { state } from './state.js';
+import { DOMUtils } from './domUtils.js';
+import { safeExecute } from './errors.js';
+import { TooltipManager } from './tooltips.js';
+import { PanelManager } from './panels.js';
+import { EventHandlers } from './listeners.js';
+import { TypeOverlay } from './typeOverlay.js';
+
+export function initializeDetector() {
+  // Initialize Shadow DOM first
+  ShadowDOMManager.initialize();
+
+  // Clean up existing tooltips
+  if (state.tooltip) {
+    DOMUtils.safeRemove(state.tooltip);
+    state.tooltip = null;
+  }
+
+  if (state.miniTooltip) {
+    DOMUtils.safeRemove(state.miniTooltip);
+    state.miniTooltip = null;
+  }
+
+  // Create tooltips inside Shadow DOM
+  state.tooltip = TooltipManager.createTooltip();
+  state.miniTooltip = TooltipManager.createMiniTooltip();
+
+  if (state.tooltip) {
+    state.tooltip.style.display = 'none';
+    state.tooltip.style.opacity = '0';
+  }
+
+  if (state.miniTooltip) {
+    state.miniTooltip.style.display = 'block';
+    requestAnimationFrame(() => {
+      state.miniTooltip.classList.add('visible');
+    });
+  }
+
+  // Add event listeners
+  document.addEventListener('keydown', EventHandlers.handleKeyDown);
+  document.addEventListener('mousemove', EventHandlers.handleMouseMove);
+  document.addEventListener('mouseup', EventHandlers.handleMouseUp);
+  document.addEventListener('mousedown', EventHandlers.handleMouseDown);
+  window.addEventListener('scroll', EventHandlers.handleViewportChange, true);
+  window.addEventListener('resize', EventHandlers.handleViewportChange);
+}
+
+export function deinitializeDetector(preserveFixedTooltips = false) {
+  // Remove event listeners
+  document.removeEventListener('keydown', EventHandlers.handleKeyDown);
+  document.removeEventListener('mousemove', EventHandlers.handleMouseMove);
+  document.removeEventListener('mouseup', EventHandlers.handleMouseUp);
+  document.removeEventListener('mousedown', EventHandlers.handleMouseDown);
+  window.removeEventListener('scroll', EventHandlers.handleViewportChange, true);
+  window.removeEventListener('resize', EventHandlers.handleViewportChange);
+
+  if (state.tooltip) {
+    TooltipManager.hideTooltip(state.tooltip);
+    DOMUtils.safeRemove(state.tooltip);
+    state.tooltip = null;
+  }
+
+  // Hide mini tooltip but keep Shadow DOM for fixed tooltips
+  if (state.miniTooltip) {
+    state.miniTooltip.classList.remove('visible');
+    state.miniTooltip.style.display = 'none';
+  }
+
+  if (!preserveFixedTooltips) {
+    PanelManager.close();
+    TooltipManager.removeAllFixedTooltips();
+    // Only cleanup Shadow DOM if not preserving fixed tooltips
+    ShadowDOMManager.cleanup();
+    state.miniTooltip = null;
+  }
+
+  if (state.animationFrameId) {
+    cancelAnimationFrame(state.animationFrameId);
+    state.animationFrameId = null;
+  }
+
+  if (state.selectionTimeout) {
+    clearTimeout(state.selectionTimeout);
+    state.selectionTimeout = null;
+  }
+
+  if (EventHandlers.viewportFrameId) {
+    cancelAnimationFrame(EventHandlers.viewportFrameId);
+    EventHandlers.viewportFrameId = null;
+  }
+
+  TypeOverlay.hide();
+  EventHandlers.lastHoverElement = null;
+  state.currentTarget = null;
+}
+
+export function cleanupResources(force = false) {
+  if (!state.isReinitializing || force) {
+    state.isReinitializing = true;
+    state.isActive = false;
+
+    DOMUtils.safeRemove(state.tooltip);
+    state.tooltip = null;
+
+    DOMUtils.safeRemove(state.miniTooltip);
+    state.miniTooltip = null;
+
+    PanelManager.close();
+    TooltipManager.removeAllFixedTooltips();
+
+    // Cleanup Shadow DOM
+    ShadowDOMManager.cleanup();
+
+    document.removeEventListener('keydown', EventHandlers.handleKeyDown);
+    document.removeEventListener('mousemove', EventHandlers.handleMouseMove);
+    document.removeEventListener('mouseup', EventHandlers.handleMouseUp);
+    document.removeEventListener('mousedown', EventHandlers.handleMouseDown);
+    window.removeEventListener('scroll', EventHandlers.handleViewportChange, true);
+    window.removeEventListener('resize', EventHandlers.handleViewportChange);
+
+    if (state.animationFrameId) {
+      cancelAnimationFrame(state.animationFrameId);
+      state.animationFrameId = null;
+    }
+
+    if (state.selectionTimeout) {
+      clearTimeout(state.selectionTimeout);
+      state.selectionTimeout = null;
+    }
+
+    if (EventHandlers.viewportFrameId) {
+      cancelAnimationFrame(EventHandlers.viewportFrameId);
+      EventHandlers.viewportFrameId = null;
+    }
+
+    state.fixedTooltipPositions.clear();
+    TypeOverlay.hide();
+    EventHandlers.lastHoverElement = null;
+    state.currentTarget = null;
+
+    setTimeout(() => {
+      state.isReinitializing = false;
+    }, CONSTANTS.DELAYS.REINIT);
+  }
+}
+
+export function toggleExtension() {
+  state.isActive = !state.isActive;
+
+  if (state.isActive) {
+    state.currentTarget = null;
+    state.lastTooltipContent = '';
+    initializeDetector();
+
+    if (state.miniTooltip) {
+      state.miniTooltip.style.display = 'block';
+      requestAnimationFrame(() => {
+        state.miniTooltip.classList.add('visible');
+      });
+    }
+
+    safeExecute(() => {
+      chrome.runtime.sendMessage({ action: 'updateIcon', iconState: 'active' });
+    }, null, 'updateIcon');
+  } else {
+    deinitializeDetector(true);
+
+    if (state.miniTooltip) {
+      state.miniTooltip.classList.remove('visible');
+      setTimeout(() => {
+        if (state.miniTooltip) {
+          state.miniTooltip.style.display = 'none';
+        }
+      }, CONSTANTS.DELAYS.TOOLTIP_HIDE);
+    }
+
+    safeExecute(() => {
+      chrome.runtime.sendMessage({ action: 'updateIcon', iconState: 'inactive' });
+    }, null, 'updateIcon');
+  }
+}
+
+
+export function setupErrorHandling() {
+  window.addEventListener('error', (event) => {
+    if (event.error && event.error.message &&
+        event.error.message.includes('Extension context invalidated')) {
+      state.isExtensionContextValid = false;
+      cleanupResources(true);
+    }
+  });
+
+  safeExecute(() => {
+    if (chrome && chrome.runtime) {
+      chrome.runtime.onConnect.addListener((port) => {
+        port.onDisconnect.addListener(() => {
+          if (chrome.runtime.lastError) {
+            state.isExtensionContextValid = false;
+            cleanupResources(true);
+          }
+        });
+      });
+
+      function checkExtensionContext() {
+        safeExecute(() => {
+          const extensionId = chrome.runtime.id;
+          if (extensionId) {
+            setTimeout(checkExtensionContext, CONSTANTS.DELAYS.CONTEXT_CHECK);
+          }
+        }, null, 'checkExtensionContext');
+      }
+
+      setTimeout(checkExtensionContext, CONSTANTS.DELAYS.CONTEXT_CHECK);
+    }
+  }, null, 'setupErrorHandling');
+}
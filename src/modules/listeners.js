@@ -1,250 +1,337 @@
 /**
- * Event listeners module for the FontDetector extension
+ * Page event handlers for hovering and selecting text
  */
 
-import { showTooltip, hideTooltip, createFixedTooltip, removeAllFixedTooltips } from './tooltips.js';
-import { hasTextContent } from './fontDetection.js';
+import { CONSTANTS } from './constants.js';
+import { state } from './state.js';
+import { Settings } from './contentSettings.js';
+import { DOMUtils } from './domUtils.js';
+import { safeExecute } from './errors.js';
+import { TooltipManager } from './tooltips.js';
+import { FixedTooltipCreator } from './fixedTooltips.js';
+import { TypeOverlay } from './typeOverlay.js';
+import { deinitializeDetector } from './lifecycle.js';
 
-// Track current target element
-let currentTarget = null;
-let animationFrameId = null;
-let selectionTimeout = null;
+export const EventHandlers = {
+  // Raw event target of the last hover, so unchanged targets skip the text check
+  lastHoverElement: null,
+  // Pending overlay redraw after a scroll or resize
+  viewportFrameId: null,
 
-/**
- * Initialize all event listeners
- * @param {Object} state - The application state
- */
-export function initListeners(state) {
-  addMouseListeners();
-  addSelectionListener();
-  document.addEventListener('keydown', (event) => handleKeyDown(event, state));
-  
-  // Listen for extension toggle message from background script
-  chrome.runtime.onMessage.addListener((message) => {
-    if (message.action === 'toggleExtension') {
-      state.isActive = !state.isActive;
-      
-      if (state.isActive) {
-        // If activated, initialize
-        console.log('Extension activated');
-      } else {
-        // If deactivated, clean up
-        console.log('Extension deactivated');
-        hideTooltip();
-        
-        // Cancel any pending animation frame
-        if (animationFrameId) {
-          cancelAnimationFrame(animationFrameId);
-          animationFrameId = null;
+  handleMouseMove(event) {
+    if (!state.isActive || !state.miniTooltip) {
+      return;
+    }
+
+    if (state.isCreatingFixedTooltip || state.isLongPress) {
+      state.miniTooltip.classList.remove('visible');
+      return;
+    }
+
+    state.lastMouseX = event.clientX;
+    state.lastMouseY = event.clientY;
+
+    if (state.animationFrameId) {
+      cancelAnimationFrame(state.animationFrameId);
+    }
+
+    state.animationFrameId = requestAnimationFrame(() => {
+      safeExecute(() => EventHandlers.updateHoverTarget(event.target), null,
+        'updateHoverTarget');
+
+      // Check window edges
+      if (state.lastMouseX < CONSTANTS.THRESHOLDS.EDGE ||
+          state.lastMouseX > window.innerWidth - CONSTANTS.THRESHOLDS.EDGE ||
+          state.lastMouseY < CONSTANTS.THRESHOLDS.EDGE ||
+          state.lastMouseY > window.innerHeight - CONSTANTS.THRESHOLDS.EDGE) {
+        state.miniTooltip.classList.remove('visible');
+        return;
+      }
+
+      TooltipManager.updatePosition(state.miniTooltip,
+        state.lastMouseX + CONSTANTS.TOOLTIP.OFFSET,
+        state.lastMouseY + CONSTANTS.TOOLTIP.OFFSET);
+
+      if (!state.isLongPress) {
+        state.miniTooltip.style.display = 'block';
+        state.miniTooltip.classList.add('visible');
+      }
+
+      state.animationFrameId = null;
+    });
+  },
+
+  /**
+   * Track the text element under the pointer and outline it
+   * @param {EventTarget} element - Target of the mouse event
+   */
+  updateHoverTarget(element) {
+    if (element !== EventHandlers.lastHoverElement) {
+      EventHandlers.lastHoverElement = element;
+      let target = element && element.nodeType === Node.ELEMENT_NODE &&
+        !element.closest('#font-detector-root') && !element.closest('.font-detector')
+        ? element
+        : null;
+      // Inline wrappers without enough text of their own measure as their text container
+      while (target && target !== document.body && !DOMUtils.hasTextContent(target)) {
+        target = target.parentElement;
+      }
+      state.currentTarget = target === document.body ? null : target;
+    }
+
+    const highlighted = Settings.values.highlightTarget ? state.currentTarget : null;
+    if (!highlighted) {
+      TypeOverlay.hide();
+    } else if (highlighted !== TypeOverlay.target) {
+      TypeOverlay.show(highlighted);
+    }
+  },
+
+  /**
+   * Redraw the type overlay once per frame while scrolling or resizing moves the text;
+   * scroll is listened for in the capture phase so nested scroll containers count too
+   */
+  handleViewportChange() {
+    if (!TypeOverlay.target || EventHandlers.viewportFrameId) {
+      return;
+    }
+    EventHandlers.viewportFrameId = requestAnimationFrame(() => {
+      EventHandlers.viewportFrameId = null;
+      safeExecute(() => {
+        const target = TypeOverlay.target;
+        if (target && target.isConnected) {
+          TypeOverlay.show(target);
+        } else {
+          TypeOverlay.hide();
+          // Look the target up again on the next mouse move
+          EventHandlers.lastHoverElement = null;
         }
+      }, null, 'redrawTypeOverlay');
+    });
+  },
+
+  handleMouseDown(event) {
+    if (!state.isActive) {
+      return;
+    }
+
+    if (state.miniTooltip) {
+      state.miniTooltip.classList.remove('visible');
+    }
+
+    state.isLongPress = false;
+
+    const longPressTimeout = Settings.values.longPressEnabled
+      ? setTimeout(() => {
+        state.isLongPress = true;
+      }, CONSTANTS.DELAYS.LONG_PRESS)
+      : null;
+
+    const clearLongPress = () => {
+      if (!state.isLongPress && longPressTimeout) {
+        clearTimeout(longPressTimeout);
+      }
+      if (state.miniTooltip && !state.isCreatingFixedTooltip) {
+        setTimeout(() => {
+          state.miniTooltip.classList.add('visible');
+        }, CONSTANTS.DELAYS.TOOLTIP_SHOW);
       }
+      document.removeEventListener('mouseup', clearLongPress);
+    };
+
+    document.addEventListener('mouseup', clearLongPress, { once: true });
+  },
+
+  handleMouseUp(event) {
+    if (!state.isActive) {
+      return;
     }
-  });
-}
 
-/**
- * Remove all event listeners
- */
-export function removeListeners() {
-  removeMouseListeners();
-  removeSelectionListener();
-  document.removeEventListener('keydown', handleKeyDown);
-  
-  // Cancel any pending animation frame
-  if (animationFrameId) {
-    cancelAnimationFrame(animationFrameId);
-    animationFrameId = null;
-  }
-}
+    // Hide mini tooltip during selection processing
+    if (state.miniTooltip) {
+      state.miniTooltip.classList.remove('visible');
+    }
 
-/**
- * Add mouse event listeners
- */
-function addMouseListeners() {
-  document.addEventListener('mousemove', handleMouseMove);
-  document.addEventListener('mouseover', handleMouseOver);
-  document.addEventListener('mouseout', handleMouseOut);
-}
+    // Save mouse position
+    if (event && 'clientX' in event && 'clientY' in event) {
+      state.lastMouseX = event.clientX;
+      state.lastMouseY = event.clientY;
+    }
 
-/**
- * Remove mouse event listeners
- */
-function removeMouseListeners() {
-  document.removeEventListener('mousemove', handleMouseMove);
-  document.removeEventListener('mouseover', handleMouseOver);
-  document.removeEventListener('mouseout', handleMouseOut);
-}
+    // Clear any pending selection timeout
+    if (state.selectionTimeout) {
+      clearTimeout(state.selectionTimeout);
+    }
 
-/**
- * Add text selection listener
- */
-function addSelectionListener() {
-  document.addEventListener('mouseup', handleTextSelection);
-}
+    // Use requestAnimationFrame to delay reading selection
+    // This helps avoid issues where page scripts clear selection immediately
+    requestAnimationFrame(() => {
+      const selection = window.getSelection();
+      
+      // Lenient selection check
+      if (!selection || selection.rangeCount === 0) {
+        // Fallback: try to find text element from event target
+        EventHandlers.handleSelectionFallback(event);
+        return;
+      }
 
-/**
- * Remove text selection listener
- */
-function removeSelectionListener() {
-  document.removeEventListener('mouseup', handleTextSelection);
-}
+      const text = selection.toString().trim();
+      if (!text) {
+        EventHandlers.showMiniTooltip();
+        return;
+      }
 
-/**
- * Handle mouse move event
- * @param {Event} event - The mouse event
- */
-function handleMouseMove(event) {
-  // Use request animation frame to throttle tooltip updates
-  if (animationFrameId) {
-    cancelAnimationFrame(animationFrameId);
-  }
-  
-  animationFrameId = requestAnimationFrame(() => {
-    if (!currentTarget) return;
-    
-    const x = event.clientX;
-    const y = event.clientY;
+      state.isCreatingFixedTooltip = true;
+
+      // Small debounce to ensure selection is stable
+      state.selectionTimeout = setTimeout(() => {
+        EventHandlers.processSelection(event, selection);
+      }, CONSTANTS.DELAYS.SELECTION_DEBOUNCE);
+    });
+  },
+
+  handleSelectionFallback(event) {
+    // When selection is not available, try to find text element from event target
+    let element = event && event.target;
     
-    showTooltip(x, y, currentTarget);
-  });
-}
+    // Skip if clicking on our own tooltip
+    if (element && (
+      element.closest('#font-detector-root') ||
+      element.closest('.font-detector') ||
+      element.closest('.fixed-tooltip')
+    )) {
+      EventHandlers.showMiniTooltip();
+      return;
+    }
 
-/**
- * Handle mouseover event 
- * @param {Event} event - The mouse event
- */
-function handleMouseOver(event) {
-  if (!window.fontDetectorState || !window.fontDetectorState.isActive) return;
-  
-  let targetElement = event.target;
-  
-  // If it's a text node, use its parent element
-  if (targetElement.nodeType === Node.TEXT_NODE) {
-    targetElement = targetElement.parentElement;
-  }
-  
-  // If the cursor is at the edge of the window or in a blank area, don't display the tooltip
-  const mouseX = event.clientX;
-  const mouseY = event.clientY;
-  const windowWidth = window.innerWidth;
-  const windowHeight = window.innerHeight;
-  
-  // Check if the mouse is at the edge of the window
-  const edgeThreshold = 15; // Edge threshold (pixels)
-  if (mouseX < edgeThreshold || mouseX > windowWidth - edgeThreshold || 
-      mouseY < edgeThreshold || mouseY > windowHeight - edgeThreshold) {
-    if (currentTarget) {
-      console.debug('Mouse at window edge', `${mouseX},${mouseY}`);
-      currentTarget = null;
-      hideTooltip();
-    }
-    return;
-  }
-  
-  // Check if the target element is the root or body element of the document (possibly a blank area)
-  if (targetElement === document.documentElement || targetElement === document.body) {
-    if (currentTarget) {
-      console.debug('Mouse over root element', targetElement.tagName);
-      currentTarget = null;
-      hideTooltip();
-    }
-    return;
-  }
-  
-  // Ignore tooltips and other extension elements
-  if (targetElement.classList.contains('font-detector')) {
-    return;
-  }
-  
-  // Check if it's a valid text element
-  if (targetElement && hasTextContent(targetElement)) {
-    currentTarget = targetElement;
+    // Walk up the DOM tree to find a text-containing element
+    while (element && element !== document.body && element !== document.documentElement) {
+      if (DOMUtils.hasTextContent(element)) {
+        // Found a text element, show mini tooltip
+        EventHandlers.showMiniTooltip();
+        return;
+      }
+      element = element.parentElement;
+    }
     
-    // Show tooltip at current mouse position
-    showTooltip(mouseX, mouseY, targetElement);
-  } else if (currentTarget) {
-    // Hide tooltip when moving over non-text element
-    currentTarget = null;
-    hideTooltip();
-  }
-}
+    EventHandlers.showMiniTooltip();
+  },
 
-/**
- * Handle mouseout event
- * @param {Event} event - The mouse event
- */
-function handleMouseOut(event) {
-  // Check if mouseout is from the current target or its ancestors
-  let relatedTarget = event.relatedTarget;
-  let isChildOfCurrentTarget = false;
-  
-  // Check if the related target is child of current target
-  if (currentTarget && relatedTarget) {
-    isChildOfCurrentTarget = currentTarget.contains(relatedTarget);
-  }
-  
-  // If moving from current target to non-child element, hide tooltip
-  if (currentTarget && !isChildOfCurrentTarget) {
-    currentTarget = null;
-    hideTooltip();
-  }
-}
+  processSelection(event, selection) {
+    safeExecute(() => {
+      // Re-check selection validity (may have changed during debounce)
+      if (!selection || selection.rangeCount === 0) {
+        state.isCreatingFixedTooltip = false;
+        EventHandlers.showMiniTooltip();
+        return;
+      }
 
-/**
- * Handle text selection event
- * @param {Event} event - The mouse event
- */
-function handleTextSelection(event) {
-  if (!window.fontDetectorState || !window.fontDetectorState.isActive) return;
-  
-  try {
-    // Debounce: cancel previous timeout
-    if (selectionTimeout) {
-      clearTimeout(selectionTimeout);
+      // Verify selection still has text
+      const text = selection.toString().trim();
+      if (!text) {
+        state.isCreatingFixedTooltip = false;
+        EventHandlers.showMiniTooltip();
+        return;
+      }
+
+      const range = selection.getRangeAt(0);
+      if (!range) {
+        state.isCreatingFixedTooltip = false;
+        EventHandlers.showMiniTooltip();
+        return;
+      }
+
+      // Find the element containing the selected text
+      let element = range.commonAncestorContainer;
+      if (element && element.nodeType === Node.TEXT_NODE) {
+        element = element.parentElement;
+      }
+
+      // Fallback to event target if element is not valid
+      if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+        element = event && event.target;
+        if (element && element.nodeType === Node.TEXT_NODE) {
+          element = element.parentElement;
+        }
+      }
+
+      // Skip if element is inside our own UI
+      if (element && (
+        element.closest('#font-detector-root') ||
+        element.closest('.font-detector')
+      )) {
+        state.isCreatingFixedTooltip = false;
+        EventHandlers.showMiniTooltip();
+        return;
+      }
+
+      if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+        state.isCreatingFixedTooltip = false;
+        EventHandlers.showMiniTooltip();
+        return;
+      }
+
+      // Create tooltip with slight delay
+      setTimeout(() => {
+        const tooltipEvent = event || {
+          target: element,
+          clientX: state.lastMouseX,
+          clientY: state.lastMouseY,
+          pageX: state.lastMouseX + window.pageXOffset,
+          pageY: state.lastMouseY + window.pageYOffset
+        };
+
+        const createdTooltip = FixedTooltipCreator.createFromSelection(tooltipEvent, element);
+
+        if (createdTooltip) {
+          createdTooltip.style.display = 'block';
+          requestAnimationFrame(() => {
+            createdTooltip.classList.add('visible');
+          });
+
+          setTimeout(() => {
+            EventHandlers.showMiniTooltip();
+          }, 50);
+        } else {
+          EventHandlers.showMiniTooltip();
+        }
+
+        state.isCreatingFixedTooltip = false;
+      }, 10);
+    }, null, 'processSelection');
+  },
+
+  showMiniTooltip() {
+    if (state.miniTooltip) {
+      state.miniTooltip.style.display = 'block';
+      state.miniTooltip.classList.add('visible');
     }
-    
-    // Set new timeout, ensure tooltip created after selection completes
-    selectionTimeout = setTimeout(() => {
-      try {
-        const selection = window.getSelection();
-        if (selection && selection.toString().trim().length > 0) {
-          // Get the element to extract font info from
-          let element = event.target;
-          if (element.nodeType === Node.TEXT_NODE) {
-            element = element.parentElement;
-          }
-          
-          // Only proceed if we have a valid element
-          if (element && element.nodeType === Node.ELEMENT_NODE) {
-            createFixedTooltip(event, element);
+  },
+
+  handleKeyDown(event) {
+    if (!state.isActive) {
+      return;
+    }
+
+    if (event.key === 'Escape' && Settings.values.escapeAction !== 'ignore') {
+      TooltipManager.hideTooltip(state.tooltip);
+
+      if (state.miniTooltip) {
+        state.miniTooltip.classList.remove('visible');
+        setTimeout(() => {
+          if (state.miniTooltip) {
+            state.miniTooltip.style.display = 'none';
           }
-        }
-      } catch (err) {
-        console.error('Error handling text selection:', err);
+        }, CONSTANTS.DELAYS.TOOLTIP_HIDE);
       }
-    }, 100); // 100ms delay, reduce multiple triggers
-  } catch (err) {
-    console.error('Error handling text selection:', err);
-  }
-}
 
-/**
- * Handle keyboard events
- * @param {Event} event - The keyboard event
- * @param {Object} state - The application state
- */
-function handleKeyDown(event, state) {
-  if (event.key === 'Escape' && state.isActive) {
-    // Hide floating tooltip
-    hideTooltip();
-    
-    // Disable extension functionality but preserve fixed tooltips
-    state.isActive = false;
-    
-    // Notify background extension state changed
-    chrome.runtime.sendMessage({ action: 'toggleExtension' });
-    
-    // Send message to background script to restore icon to default state
-    chrome.runtime.sendMessage({ action: 'updateIcon', iconState: 'inactive' });
+      state.isActive = false;
+      deinitializeDetector(Settings.values.escapeAction !== 'closeAll');
+      state.currentTarget = null;
+
+      safeExecute(() => {
+        chrome.runtime.sendMessage({ action: 'updateIcon', iconState: 'inactive' });
+      }, null, 'updateIcon');
+    }
   }
-} 
\ No newline at end of file
+};
@@ -0,0 +1,303 @@
+/**
+ * Every web font of the page: @font-face rules, load status and which ones visible text uses
+ */
+
+import { DOMUtils } from './domUtils.js';
+import { FontDetection } from './fontDetection.js';
+import { FontFaceUtils } from './fontFaces.js';
+import { FontMatching } from './fontMatching.js';
+import { PanelManager } from './panels.js';
+import { TypographyAudit } from './typographyAudit.js';
+
+// FontFace status to the status shown; unloaded faces were never needed by the page
+const STATUS_NAMES = {
+  unloaded: 'unused',
+  loading: 'loading',
+  loaded: 'loaded',
+  error: 'error'
+};
+
+const STATUS_ORDER = ['error', 'loading', 'loaded', 'unused'];
+
+export const PageFonts = {
+  PANEL_ID: 'page-fonts',
+
+  /**
+   * Key that pairs a FontFace with the @font-face rule it was created from
+   * @param {Object} descriptors - font-family, font-weight, font-style, font-stretch and
+   *   unicode-range as the rule or face serializes them
+   */
+  getDescriptorKey(descriptors) {
+    const style = FontMatching.parseStyle(descriptors.style);
+    return [
+      FontFaceUtils.normalizeFamily(descriptors.family),
+      FontMatching.parseWeight(descriptors.weight).join('-'),
+      `${style.kind} ${style.angles.join('-')}`,
+      FontMatching.parseStretch(descriptors.stretch).join('-'),
+      FontFaceUtils.normalizeUnicodeRange(descriptors.unicodeRange)
+    ].join('|');
+  },
+
+  /**
+   * Pick the source the browser fetched: the one with a resource timing entry, else the first
+   * @param {Object[]} sources - Sources from FontFaceUtils.parseSources
+   * @returns {{url: string, format: string, size: number|null, timing: Object|null}|null} -
+   *   timing is the PerformanceResourceTiming entry of the file, when there is one
+   */
+  getLoadedSource(sources) {
+    const remote = sources.filter(source => /^(https?|data):/i.test(source.url));
+    if (remote.length === 0) {
+      return null;
+    }
+
+    for (const source of remote) {
+      const [entry] = performance.getEntriesByName(source.url, 'resource');
+      if (entry) {
+        // Cross-origin files without Timing-Allow-Origin report a size of 0
+        const size = entry.encodedBodySize || entry.transferSize || null;
+        return {
+          url: source.url,
+          format: FontFaceUtils.getSourceFormat(source),
+          size,
+          timing: entry
+        };
+      }
+    }
+
+    const [first] = remote;
+    let size = null;
+    if (/^data:[^,]*;base64,/i.test(first.url)) {
+      const data = first.url.slice(first.url.indexOf(',') + 1);
+      size = Math.floor(data.replace(/=+$/, '').length * 3 / 4);
+    }
+    return { url: first.url, format: FontFaceUtils.getSourceFormat(first), size, timing: null };
+  },
+
+  /**
+   * Count visible text elements per family named in their font-family
+   * @returns {Map<string, number>} - Keyed by normalized family name
+   */
+  collectReferences() {
+    const stacks = new Map();
+    TypographyAudit.collectTextElements().forEach(element => {
+      const { fontFamily } = getComputedStyle(element);
+      stacks.set(fontFamily, (stacks.get(fontFamily) || 0) + 1);
+    });
+
+    const references = new Map();
+    stacks.forEach((count, fontFamily) => {
+      new Set(FontDetection.parseFontFamilyList(fontFamily).map(family =>
+        FontFaceUtils.normalizeFamily(family)))
+        .forEach(family => references.set(family, (references.get(family) || 0) + count));
+    });
+    return references;
+  },
+
+  /**
+   * List the faces of document.fonts with their @font-face source
+   * @returns {Object[]} - Faces with their descriptors, status, font-display and loaded source
+   */
+  collectFaces() {
+    const rules = new Map();
+    FontFaceUtils.collectRules().forEach(({ rule, baseUrl }) => {
+      const key = this.getDescriptorKey({
+        family: rule.style.getPropertyValue('font-family'),
+        weight: rule.style.getPropertyValue('font-weight'),
+        style: rule.style.getPropertyValue('font-style'),
+        stretch: rule.style.getPropertyValue('font-stretch'),
+        unicodeRange: rule.style.getPropertyValue('unicode-range')
+      });
+      if (!rules.has(key)) {
+        rules.set(key, []);
+      }
+      rules.get(key).push({
+        sources: FontFaceUtils.parseSources(rule.style.getPropertyValue('src'), baseUrl),
+        display: rule.style.getPropertyValue('font-display')
+      });
+    });
+
+    const faces = [];
+    document.fonts.forEach(face => {
+      // Identical rules create identical faces; pair them in document order
+      const candidates = rules.get(this.getDescriptorKey(face));
+      const rule = candidates && candidates.length > 0 ? candidates.shift() : null;
+      const described = FontMatching.describeFace(face);
+      faces.push({
+        family: described.family,
+        weight: described.weight,
+        style: described.style,
+        stretch: described.stretch,
+        unicodeRange: FontFaceUtils.normalizeUnicodeRange(face.unicodeRange),
+        status: STATUS_NAMES[face.status] || face.status,
+        display: face.display || (rule && rule.display) || 'auto',
+        // Faces from the FontFace API or unreadable cross-origin stylesheets have no known source
+        source: rule ? this.getLoadedSource(rule.sources) : null
+      });
+    });
+    return faces;
+  },
+
+  /**
+   * Collect web fonts grouped by family
+   * @returns {Object} - Families with their faces and the number of text elements using them
+   */
+  run() {
+    const references = this.collectReferences();
+    const families = new Map();
+
+    this.collectFaces().forEach(face => {
+      const key = FontFaceUtils.normalizeFamily(face.family);
+      if (!families.has(key)) {
+        families.set(key, { family: face.family, references: references.get(key) || 0, faces: [] });
+      }
+      families.get(key).faces.push(face);
+    });
+
+    const list = Array.from(families.values());
+    list.forEach(entry => entry.faces.sort((a, b) =>
+      a.weight[0] - b.weight[0] || a.style.kind.localeCompare(b.style.kind)));
+    list.sort((a, b) => b.references - a.references || a.family.localeCompare(b.family));
+
+    const faces = list.flatMap(entry => entry.faces);
+    return {
+      families: list,
+      faceCount: faces.length,
+      statusCounts: STATUS_ORDER.reduce((counts, status) => ({
+        ...counts,
+        [status]: faces.filter(face => face.status === status).length
+      }), {})
+    };
+  },
+
+  formatSize(bytes) {
+    const language = chrome.i18n.getUILanguage();
+    return `${new Intl.NumberFormat(language, { maximumFractionDigits: 1 })
+      .format(bytes / 1024)} KB`;
+  },
+
+  getFileName(url) {
+    if (/^data:/i.test(url)) {
+      return 'data: URL';
+    }
+    try {
+      const { pathname, hostname } = new URL(url);
+      return decodeURIComponent(pathname.split('/').filter(Boolean).pop() || hostname);
+    } catch (e) {
+      return url;
+    }
+  },
+
+  getStatusLabel(status) {
+    const key = `pageFontStatus${status.charAt(0).toUpperCase()}${status.slice(1)}`;
+    return chrome.i18n.getMessage(key) || status;
+  },
+
+  renderFace(face) {
+    const statusLabel = this.getStatusLabel(face.status);
+    const descriptors = [
+      FontMatching.formatRange(face.weight),
+      FontMatching.formatStyle(face.style),
+      FontMatching.formatRange(face.stretch, '%')
+    ].join(' · ');
+
+    let source = `<small>${chrome.i18n.getMessage('pageFontNoSource') ||
+      'Source unknown'}</small>`;
+    if (face.source) {
+      const name = DOMUtils.escapeHTML(this.getFileName(face.source.url));
+      const details = [face.source.format.toUpperCase(),
+        face.source.size ? this.formatSize(face.source.size) : ''].filter(Boolean).join(' · ');
+      const link = /^https?:/i.test(face.source.url)
+        ? `<a class="page-font-link" data-url="${DOMUtils.escapeHTML(face.source.url)}"
+            title="${DOMUtils.escapeHTML(face.source.url)}">${name}</a>`
+        : `<small>${name}</small>`;
+      source = `${link}${details ? ` <small>${DOMUtils.escapeHTML(details)}</small>` : ''}`;
+    }
+
+    const unicodeRange = DOMUtils.escapeHTML(face.unicodeRange);
+    const range = unicodeRange
+      ? `<small class="page-font-range" title="${unicodeRange}">${unicodeRange}</small>`
+      : '';
+
+    return `
+      <div class="page-font-face ${face.status}">
+        <b class="page-font-status">${DOMUtils.escapeHTML(statusLabel)}</b>
+        <strong>${DOMUtils.escapeHTML(descriptors)}</strong>
+        ${range}
+        <em class="page-font-source">${source}</em>
+      </div>
+    `;
+  },
+
+  renderFamily(entry) {
+    const family = DOMUtils.escapeHTML(entry.family);
+    const usage = entry.references > 0
+      ? (chrome.i18n.getMessage('pageFontUsedBy', [String(entry.references)]) ||
+        `Used by ${entry.references} text elements`)
+      : (chrome.i18n.getMessage('pageFontNotUsed') || 'Not used by visible text');
+
+    return `
+      <div class="page-font-family${entry.references > 0 ? '' : ' unreferenced'}">
+        <div class="page-font-header">
+          <b class="page-font-preview" style="font-family: &quot;${family}&quot;">Aa</b>
+          <strong>${family}</strong>
+          <em>${usage}</em>
+        </div>
+        ${entry.faces.map(face => this.renderFace(face)).join('')}
+      </div>
+    `;
+  },
+
+  render(body) {
+    const result = this.run();
+    const counts = result.statusCounts;
+    const label = (key, fallback) => chrome.i18n.getMessage(key) || fallback;
+    const list = result.families.length > 0
+      ? `<div class="page-font-list">${result.families.map(entry =>
+        this.renderFamily(entry)).join('')}</div>`
+      : `<p class="compare-empty">${label('pageFontsEmpty', 'This page loads no web fonts')}</p>`;
+
+    body.innerHTML = `
+      <div class="fd-panel-summary">
+        <span>${label('pageFontFamilies', 'Families')} <b>${result.families.length}</b></span>
+        <span>${label('pageFontFaces', 'Faces')} <b>${result.faceCount}</b></span>
+        ${STATUS_ORDER.filter(status => counts[status] > 0).map(status => `
+          <span>${this.getStatusLabel(status)} <b>${counts[status]}</b></span>
+        `).join('')}
+      </div>
+      ${list}
+    `;
+
+    body.querySelectorAll('.page-font-link').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        chrome.runtime.sendMessage({ action: 'openFontPage', pageUrl: link.dataset.url });
+      });
+    });
+
+    // Faces still loading settle later; show their final status if the panel is still open
+    if (counts.loading > 0) {
+      document.fonts.ready.then(() => {
+        if (PanelManager.isOpen(this.PANEL_ID) &&
+            PanelManager.activePanel.querySelector('.fd-panel-body') === body) {
+          this.render(body);
+        }
+      });
+    }
+    return result;
+  },
+
+  /**
+   * Open the "Fonts on this page" panel
+   * @returns {Object|null} - Collected fonts, or null when the panel cannot be shown
+   */
+  open() {
+    const body = PanelManager.open(this.PANEL_ID,
+      chrome.i18n.getMessage('pageFonts') || 'Fonts on this page');
+    if (!body) {
+      return null;
+    }
+    body.parentElement.classList.add('fd-panel-wide');
+    return this.render(body);
+  }
+};
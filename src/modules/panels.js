@@ -0,0 +1,69 @@
+/**
+ * Side panels shown inside the shadow root
+ */
+
+import { ShadowDOMManager } from './shadowDom.js';
+import { DOMUtils } from './domUtils.js';
+import { safeExecute } from './errors.js';
+
+export const PanelManager = {
+  CLOSE_SVG: '<svg width="16" height="16" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M8 8L40 40" stroke="#FFFFFF" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/><path d="M8 40L40 8" stroke="#FFFFFF" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/></svg>',
+  activePanel: null,
+  closeCallbacks: new Map(),
+
+  open(id, title, onClose = null) {
+    const container = ShadowDOMManager.initialize();
+    if (!container) {
+      console.warn('FontDetector: Shadow DOM container not available for panel');
+      return null;
+    }
+
+    // Only one panel is shown at a time
+    this.close();
+
+    const panel = document.createElement('div');
+    panel.classList.add('font-detector', 'fd-panel');
+    panel.dataset.panelId = id;
+    panel.innerHTML = `
+      <div class="fd-panel-header">
+        <strong class="fd-panel-title">${DOMUtils.escapeHTML(title)}</strong>
+        <div class="close-button" title="${chrome.i18n.getMessage('closePanel') || 'Close'}">
+          ${this.CLOSE_SVG}
+        </div>
+      </div>
+      <div class="fd-panel-body"></div>
+    `;
+
+    panel.querySelector('.close-button').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.close();
+    });
+
+    container.appendChild(panel);
+    this.activePanel = panel;
+    if (onClose) {
+      this.closeCallbacks.set(panel, onClose);
+    }
+
+    return panel.querySelector('.fd-panel-body');
+  },
+
+  close() {
+    if (!this.activePanel) {
+      return;
+    }
+    const panel = this.activePanel;
+    const onClose = this.closeCallbacks.get(panel);
+    this.closeCallbacks.delete(panel);
+    this.activePanel = null;
+    DOMUtils.safeRemove(panel);
+    if (onClose) {
+      safeExecute(onClose, null, 'panelClose');
+    }
+  },
+
+  isOpen(id) {
+    return !!this.activePanel && this.activePanel.dataset.panelId === id;
+  }
+};
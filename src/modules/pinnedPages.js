@@ -0,0 +1,34 @@
+/**
+ * Storage of pinned tooltips by page
+ *
+ * Kept apart from PinnedTooltips so the content script can look for pins on page load
+ * without loading the detector modules.
+ */
+
+export const PINNED_PAGES_KEY = 'pinnedTooltips';
+
+/**
+ * Key of the current page; the hash is left out because it rarely changes the content
+ * @returns {string}
+ */
+export function getPageKey() {
+  return `${location.origin}${location.pathname}${location.search}`;
+}
+
+/**
+ * Read the pinned tooltips of every page
+ * @returns {Promise<Object>} - Page key → {savedAt, anchors}
+ */
+export async function readPinnedPages() {
+  const stored = await chrome.storage.local.get(PINNED_PAGES_KEY);
+  return stored[PINNED_PAGES_KEY] || {};
+}
+
+/**
+ * Check whether the current page has tooltips to restore
+ * @returns {Promise<boolean>}
+ */
+export async function hasPinnedTooltips() {
+  const page = (await readPinnedPages())[getPageKey()];
+  return Boolean(page && page.anchors.length > 0);
+}
@@ -0,0 +1,268 @@
+/**
+ * Per-URL persistence of fixed tooltips
+ */
+
+import { ShadowDOMManager } from './shadowDom.js';
+import { state } from './state.js';
+import { DOMUtils } from './domUtils.js';
+import { safeExecute } from './errors.js';
+import { FixedTooltipCreator } from './fixedTooltips.js';
+import { ReportBuilder } from './reports.js';
+import { PINNED_PAGES_KEY, getPageKey, readPinnedPages } from './pinnedPages.js';
+
+export const PinnedTooltips = {
+  MAX_PAGES: 100,
+  // Late-rendered pages get a few more chances to produce the anchored elements
+  RESTORE_RETRY_DELAYS: [500, 1500, 3000],
+  COMPARED_PROPERTIES: [
+    { key: 'fontFamily', message: 'fontFamily', label: 'Font family' },
+    { key: 'renderedFontFamily', message: 'renderedFont', label: 'Rendered font' },
+    { key: 'fontWeight', message: 'fontWeight', label: 'Font weight' },
+    { key: 'fontSize', message: 'fontSize', label: 'Font size' },
+    { key: 'lineHeight', message: 'lineHeight', label: 'Line height' },
+    { key: 'letterSpacing', message: 'letterSpacing', label: 'Letter spacing' },
+    { key: 'textAlign', message: 'textAlign', label: 'Text alignment' },
+    { key: 'color', message: 'color', label: 'Color' }
+  ],
+
+  isPinned: false,
+  // Anchors not found on the page yet; kept so saving does not drop them
+  unresolved: [],
+
+  async writePage(page) {
+    const pages = await readPinnedPages();
+    if (page) {
+      pages[getPageKey()] = page;
+    } else {
+      delete pages[getPageKey()];
+    }
+
+    const keys = Object.keys(pages);
+    if (keys.length > this.MAX_PAGES) {
+      keys.sort((a, b) => pages[a].savedAt.localeCompare(pages[b].savedAt))
+        .slice(0, keys.length - this.MAX_PAGES)
+        .forEach(key => delete pages[key]);
+    }
+
+    await chrome.storage.local.set({ [PINNED_PAGES_KEY]: pages });
+  },
+
+  getSnapshot(element) {
+    const info = ReportBuilder.describeElement(element);
+    return {
+      fontFamily: info.fontFamily,
+      renderedFontFamily: info.renderedFontFamily,
+      fontWeight: info.fontWeight,
+      fontSize: info.fontSize,
+      lineHeight: info.lineHeight,
+      letterSpacing: info.letterSpacing,
+      textAlign: info.textAlign,
+      color: info.color ? info.color.hex : null
+    };
+  },
+
+  getTextOffset(element, range) {
+    if (!range || !element.contains(range.startContainer)) {
+      return -1;
+    }
+    const before = document.createRange();
+    before.selectNodeContents(element);
+    before.setEnd(range.startContainer, range.startOffset);
+    const raw = range.toString();
+    // The stored text is trimmed, so skip the selection's leading whitespace
+    return before.toString().length + (raw.length - raw.trimStart().length);
+  },
+
+  serialize(tooltipEl) {
+    const element = state.fixedTooltipSources.get(tooltipEl);
+    if (!element || !element.isConnected) {
+      return null;
+    }
+    // Restored tooltips keep comparing against the values from when they were pinned
+    const baseline = state.pinnedBaselines.get(tooltipEl) || {
+      pinnedAt: new Date().toISOString(),
+      snapshot: this.getSnapshot(element)
+    };
+    state.pinnedBaselines.set(tooltipEl, baseline);
+    return {
+      selector: DOMUtils.getElementSelector(element),
+      xpath: DOMUtils.getElementXPath(element),
+      text: tooltipEl.dataset.selectedText || '',
+      textOffset: this.getTextOffset(element, state.fixedTooltipRanges.get(tooltipEl)),
+      pinnedAt: baseline.pinnedAt,
+      snapshot: baseline.snapshot
+    };
+  },
+
+  save() {
+    if (!this.isPinned || window !== window.top) {
+      return;
+    }
+    const anchors = state.fixedTooltips
+      .filter(tooltipEl => tooltipEl.isConnected)
+      .map(tooltipEl => this.serialize(tooltipEl))
+      .filter(Boolean)
+      .concat(this.unresolved);
+
+    this.writePage({ savedAt: new Date().toISOString(), anchors }).catch(error => {
+      console.warn('FontDetector: failed to save pinned tooltips', error.message);
+    });
+  },
+
+  async setPinned(pinned) {
+    this.isPinned = pinned;
+    if (pinned) {
+      // Pinning again starts a fresh comparison baseline
+      state.fixedTooltips.forEach(tooltipEl => state.pinnedBaselines.delete(tooltipEl));
+      this.save();
+      return;
+    }
+    this.unresolved = [];
+    await this.writePage(null);
+  },
+
+  init() {
+    if (window !== window.top) {
+      return;
+    }
+    safeExecute(() => {
+      readPinnedPages().then(pages => {
+        const page = pages[getPageKey()];
+        if (page && page.anchors.length > 0) {
+          this.isPinned = true;
+          this.restore(page.anchors, 0);
+        }
+      }).catch(error => {
+        console.warn('FontDetector: failed to load pinned tooltips', error.message);
+      });
+    }, null, 'loadPinnedTooltips');
+  },
+
+  resolveElement(anchor) {
+    const candidates = [
+      safeExecute(() => (anchor.selector ? document.querySelector(anchor.selector) : null),
+        null, 'resolveSelector'),
+      safeExecute(() => (anchor.xpath
+        ? document.evaluate(anchor.xpath, document, null,
+          XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue
+        : null), null, 'resolveXPath')
+    ].filter(element => element && element.nodeType === Node.ELEMENT_NODE);
+
+    // Prefer the candidate that still contains the pinned text
+    return candidates.find(element => !anchor.text ||
+      element.textContent.includes(anchor.text)) || candidates[0] || null;
+  },
+
+  findTextStart(element, anchor) {
+    if (!anchor.text) {
+      return -1;
+    }
+    const content = element.textContent;
+    if (anchor.textOffset >= 0 &&
+        content.substr(anchor.textOffset, anchor.text.length) === anchor.text) {
+      return anchor.textOffset;
+    }
+    return content.indexOf(anchor.text);
+  },
+
+  createRange(element, start, length) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    const end = start + length;
+    let offset = 0;
+    let hasStart = false;
+    let node = walker.nextNode();
+    while (node) {
+      const nodeEnd = offset + node.textContent.length;
+      if (!hasStart && start <= nodeEnd) {
+        range.setStart(node, start - offset);
+        hasStart = true;
+      }
+      if (hasStart && end <= nodeEnd) {
+        range.setEnd(node, end - offset);
+        return range;
+      }
+      offset = nodeEnd;
+      node = walker.nextNode();
+    }
+    return null;
+  },
+
+  restore(anchors, attempt) {
+    ShadowDOMManager.initialize();
+
+    const pending = anchors.filter(anchor => {
+      const element = this.resolveElement(anchor);
+      if (!element) {
+        return true;
+      }
+      safeExecute(() => this.restoreTooltip(anchor, element), null, 'restorePinnedTooltip');
+      return false;
+    });
+
+    this.unresolved = pending;
+    if (pending.length > 0 && attempt < this.RESTORE_RETRY_DELAYS.length) {
+      setTimeout(() => this.restore(pending, attempt + 1), this.RESTORE_RETRY_DELAYS[attempt]);
+    }
+  },
+
+  restoreTooltip(anchor, element) {
+    const start = this.findTextStart(element, anchor);
+    let range = start >= 0 ? this.createRange(element, start, anchor.text.length) : null;
+    if (!range) {
+      range = document.createRange();
+      range.selectNodeContents(element);
+    }
+
+    const position = FixedTooltipCreator.getRangePosition(range, anchor.text, null);
+    const tooltipEl = FixedTooltipCreator.createPositionedTooltip(position, element,
+      { restored: true });
+    if (!tooltipEl) {
+      return;
+    }
+
+    state.pinnedBaselines.set(tooltipEl, {
+      pinnedAt: anchor.pinnedAt,
+      snapshot: anchor.snapshot
+    });
+    this.appendChanges(tooltipEl, anchor, this.getSnapshot(element));
+  },
+
+  getChanges(saved, live) {
+    return this.COMPARED_PROPERTIES
+      .filter(property => (saved[property.key] || '') !== (live[property.key] || ''))
+      .map(property => ({
+        label: chrome.i18n.getMessage(property.message) || property.label,
+        before: saved[property.key] || '—',
+        after: live[property.key] || '—'
+      }));
+  },
+
+  appendChanges(tooltipEl, anchor, liveSnapshot) {
+    const changes = this.getChanges(anchor.snapshot || {}, liveSnapshot);
+    const date = new Date(anchor.pinnedAt).toLocaleDateString();
+
+    const section = document.createElement('div');
+    section.classList.add('pin-status');
+    if (changes.length === 0) {
+      const message = chrome.i18n.getMessage('pinnedUnchanged', [date]) ||
+        `Unchanged since ${date}`;
+      section.innerHTML = `<i>${DOMUtils.escapeHTML(message)}</i>`;
+    } else {
+      const message = chrome.i18n.getMessage('pinnedChanged', [date]) ||
+        `Changed since ${date}`;
+      const rows = changes.map(change => `
+        <div class="pin-change">
+          <b>${DOMUtils.escapeHTML(change.label)}</b>
+          <s>${DOMUtils.escapeHTML(change.before)}</s>
+          <strong>→ ${DOMUtils.escapeHTML(change.after)}</strong>
+        </div>
+      `).join('');
+      section.classList.add('has-changes');
+      section.innerHTML = `<i>${DOMUtils.escapeHTML(message)}</i>${rows}`;
+    }
+
+    // Keep the close button last so it stays on top
+    tooltipEl.insertBefore(section, tooltipEl.querySelector(':scope > .close-button'));
+  }
+};
@@ -0,0 +1,114 @@
+/**
+ * Report data for exports
+ */
+
+import { state } from './state.js';
+import { ColorUtils } from './colorUtils.js';
+import { DOMUtils } from './domUtils.js';
+import { FontDetection } from './fontDetection.js';
+import { FontMatching } from './fontMatching.js';
+import { FontFeatures } from './fontFeatures.js';
+import { safeExecute } from './errors.js';
+import { SpecDrift } from './specDrift.js';
+import { TypographyAudit } from './typographyAudit.js';
+
+export const ReportBuilder = {
+  SOURCES: {
+    FIXED_TOOLTIPS: 'fixed-tooltips',
+    PAGE_AUDIT: 'page-audit'
+  },
+  MAX_AUDIT_SELECTORS: 50,
+
+  describeElement(element) {
+    const style = getComputedStyle(element);
+    const colorInfo = ColorUtils.getColorFromElement(element);
+    const renderedFont = safeExecute(() => FontDetection.getRenderedFont(element), null,
+      'getRenderedFont');
+    const fontMatch = renderedFont && renderedFont.rendered
+      ? safeExecute(() => FontMatching.match(element, renderedFont.rendered), null,
+        'matchFontFace')
+      : null;
+
+    const designSpec = SpecDrift.compare({
+      fontFamily: style.fontFamily,
+      fontSize: style.fontSize,
+      fontWeight: style.fontWeight,
+      lineHeight: style.lineHeight,
+      letterSpacing: style.letterSpacing,
+      color: colorInfo ? colorInfo.hex : null
+    });
+
+    return {
+      selector: DOMUtils.getElementSelector(element),
+      fontFamily: style.fontFamily,
+      renderedFontFamily: renderedFont ? renderedFont.rendered : null,
+      fontWeight: style.fontWeight,
+      fontSize: style.fontSize,
+      lineHeight: style.lineHeight,
+      letterSpacing: style.letterSpacing,
+      textAlign: style.textAlign,
+      fontStyle: style.fontStyle,
+      fontFeatures: FontFeatures.read(style),
+      synthesizedBold: !!(fontMatch && fontMatch.synthesizedBold),
+      synthesizedItalic: !!(fontMatch && fontMatch.synthesizedItalic),
+      color: colorInfo ? { hex: colorInfo.hex, rgb: colorInfo.rgb, lch: colorInfo.lch } : null,
+      designSpec
+    };
+  },
+
+  fromFixedTooltips() {
+    return state.fixedTooltips
+      .filter(tooltipEl => tooltipEl.isConnected)
+      .map(tooltipEl => {
+        const element = state.fixedTooltipSources.get(tooltipEl);
+        if (!element || !element.isConnected) {
+          return null;
+        }
+        return {
+          ...this.describeElement(element),
+          text: tooltipEl.dataset.selectedText || ''
+        };
+      })
+      .filter(Boolean);
+  },
+
+  fromAudit(result) {
+    return result.styles.map(entry => {
+      const connected = entry.elements.filter(element => element.isConnected);
+      const first = connected[0] || entry.elements[0];
+      return {
+        ...this.describeElement(first),
+        text: (first.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80),
+        count: entry.count,
+        selectors: connected.slice(0, this.MAX_AUDIT_SELECTORS)
+          .map(element => DOMUtils.getElementSelector(element))
+      };
+    });
+  },
+
+  build(source) {
+    let entries;
+    if (source === this.SOURCES.PAGE_AUDIT) {
+      const result = TypographyAudit.lastResult || TypographyAudit.run();
+      entries = this.fromAudit(result);
+    } else {
+      entries = this.fromFixedTooltips();
+    }
+
+    return {
+      source,
+      url: location.href,
+      title: document.title,
+      timestamp: new Date().toISOString(),
+      entries
+    };
+  },
+
+  async exportTo(source, format) {
+    const report = this.build(source);
+    if (report.entries.length === 0) {
+      return { success: false, error: 'Nothing to export' };
+    }
+    return chrome.runtime.sendMessage({ action: 'downloadReport', format, report });
+  }
+};
@@ -0,0 +1,286 @@
+/**
+ * User settings for the FontDetector extension
+ *
+ * Settings are stored as flat keys in chrome.storage.sync so they follow the user
+ * across devices. Every content script listens to chrome.storage.onChanged, so a
+ * write here reaches all open tabs without reloading them.
+ */
+
+export const SETTINGS_AREA = 'sync';
+
+/**
+ * Tooltip rows that can be shown or hidden
+ * @type {string[]}
+ */
+export const TOOLTIP_FIELDS = [
+  'fontFamily',
+  'renderedFont',
+  'fontWeight',
+  'fontFaces',
+  'synthesisWarning',
+  'variableAxes',
+  'fontSize',
+  'letterSpacing',
+  'lineHeight',
+  'textAlign',
+  'fontFeatures',
+  'textStyle',
+  'color',
+  'contrast',
+  'designSpec',
+  'glyphBreakdown',
+  'fontFile',
+  'copyAs'
+];
+
+/**
+ * Color notations the tooltip can show
+ * @type {string[]}
+ */
+export const COLOR_FORMATS = [
+  'hex',
+  'rgb',
+  'hsl',
+  'hwb',
+  'lch',
+  'hcl',
+  'lab',
+  'oklch',
+  'oklab',
+  'p3'
+];
+
+// The notations shown before any were configured
+const DEFAULT_COLOR_FORMATS = ['hex', 'lch', 'hcl'];
+
+export const THEMES = ['dark', 'light', 'system'];
+
+/**
+ * Units tooltip lengths are shown and copied in
+ * @type {string[]}
+ */
+export const LENGTH_UNITS = ['px', 'rem', 'em', 'pt'];
+
+/**
+ * What the Escape key does while the detector is active
+ * - deactivate: turn the detector off and keep fixed tooltips (original behavior)
+ * - closeAll: turn the detector off and remove fixed tooltips
+ * - ignore: leave Escape to the page
+ */
+export const ESCAPE_ACTIONS = ['deactivate', 'closeAll', 'ignore'];
+
+export const DEFAULT_SETTINGS = {
+  tooltipFields: [...TOOLTIP_FIELDS],
+  colorFormats: [...DEFAULT_COLOR_FORMATS],
+  theme: 'dark',
+  lengthUnit: 'px',
+  lineHeightRatio: false,
+  highlightTarget: true,
+  tooltipWidth: 250,
+  tooltipShowDelay: 100,
+  tooltipHideDelay: 200,
+  longPressEnabled: true,
+  longPressDelay: 300,
+  escapeAction: 'deactivate',
+  autoActivateHosts: [],
+  historyLimit: 500,
+  // Off by default: the lookup sends family names to fonts.googleapis.com
+  remoteFontLookup: false
+};
+
+/**
+ * Allowed ranges for numeric settings
+ */
+export const SETTING_LIMITS = {
+  tooltipWidth: { min: 200, max: 480, step: 10 },
+  tooltipShowDelay: { min: 0, max: 2000, step: 50 },
+  tooltipHideDelay: { min: 0, max: 2000, step: 50 },
+  longPressDelay: { min: 100, max: 2000, step: 50 },
+  historyLimit: { min: 50, max: 5000, step: 50 }
+};
+
+// Keeps the host list well inside the chrome.storage.sync per-item quota
+const MAX_AUTO_ACTIVATE_HOSTS = 200;
+
+const ENUM_SETTINGS = {
+  theme: THEMES,
+  lengthUnit: LENGTH_UNITS,
+  escapeAction: ESCAPE_ACTIONS
+};
+
+// Stored next to tooltipFields: the fields that existed when the list was saved, so rows
+// added in later versions are shown instead of being missing from the saved list
+const SEEN_TOOLTIP_FIELDS_KEY = 'seenTooltipFields';
+
+// Fields of the first version, for lists saved before the seen fields were stored
+const FIRST_TOOLTIP_FIELDS = [
+  'fontFamily',
+  'renderedFont',
+  'fontWeight',
+  'fontSize',
+  'letterSpacing',
+  'lineHeight',
+  'textAlign',
+  'color',
+  'glyphBreakdown',
+  'copyAs'
+];
+
+const LIST_SETTINGS = {
+  tooltipFields: TOOLTIP_FIELDS,
+  colorFormats: COLOR_FORMATS
+};
+
+/**
+ * Validate a single setting value
+ * @param {string} key - Setting key
+ * @param {*} value - Candidate value
+ * @returns {*} - Valid value, or the default when the candidate is invalid
+ */
+function sanitizeValue(key, value) {
+  const fallback = DEFAULT_SETTINGS[key];
+
+  if (SETTING_LIMITS[key]) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      return fallback;
+    }
+    const { min, max } = SETTING_LIMITS[key];
+    return Math.min(max, Math.max(min, Math.round(number)));
+  }
+
+  if (ENUM_SETTINGS[key]) {
+    return ENUM_SETTINGS[key].includes(value) ? value : fallback;
+  }
+
+  if (LIST_SETTINGS[key]) {
+    if (!Array.isArray(value)) {
+      return [...fallback];
+    }
+    // Keep the canonical order regardless of how the list was built
+    return LIST_SETTINGS[key].filter(item => value.includes(item));
+  }
+
+  if (key === 'autoActivateHosts') {
+    if (!Array.isArray(value)) {
+      return [];
+    }
+    const hosts = value
+      .filter(host => typeof host === 'string' && host.trim())
+      .map(host => host.trim().toLowerCase());
+    return [...new Set(hosts)].slice(-MAX_AUTO_ACTIVATE_HOSTS);
+  }
+
+  if (typeof fallback === 'boolean') {
+    return typeof value === 'boolean' ? value : fallback;
+  }
+
+  return fallback;
+}
+
+/**
+ * Merge stored values over the defaults, dropping unknown keys and invalid values
+ * @param {Object} values - Raw values
+ * @returns {Object} - Complete settings object
+ */
+export function sanitizeSettings(values = {}) {
+  const settings = {};
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    settings[key] = sanitizeValue(key, key in values ? values[key] : DEFAULT_SETTINGS[key]);
+  });
+  return settings;
+}
+
+/**
+ * Show the tooltip fields added since a field list was saved
+ * @param {*} fields - Stored tooltipFields value
+ * @param {*} seen - Fields that existed when it was saved
+ * @returns {*} - Field list including the new fields
+ */
+function addNewTooltipFields(fields, seen) {
+  if (!Array.isArray(fields) || !Array.isArray(seen)) {
+    return fields;
+  }
+  return [...fields, ...TOOLTIP_FIELDS.filter(field => !seen.includes(field))];
+}
+
+/**
+ * Read the current settings
+ * @returns {Promise<Object>}
+ */
+export async function getSettings() {
+  const stored = await chrome.storage[SETTINGS_AREA].get({
+    ...DEFAULT_SETTINGS,
+    [SEEN_TOOLTIP_FIELDS_KEY]: FIRST_TOOLTIP_FIELDS
+  });
+  stored.tooltipFields = addNewTooltipFields(stored.tooltipFields,
+    stored[SEEN_TOOLTIP_FIELDS_KEY]);
+  return sanitizeSettings(stored);
+}
+
+/**
+ * Validate and persist a partial settings update
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} - Settings after the update
+ */
+export async function saveSettings(changes) {
+  const updates = {};
+  Object.keys(changes || {}).forEach(key => {
+    if (key in DEFAULT_SETTINGS) {
+      updates[key] = sanitizeValue(key, changes[key]);
+    }
+  });
+  if ('tooltipFields' in updates) {
+    updates[SEEN_TOOLTIP_FIELDS_KEY] = [...TOOLTIP_FIELDS];
+  }
+  if (Object.keys(updates).length > 0) {
+    await chrome.storage[SETTINGS_AREA].set(updates);
+  }
+  return getSettings();
+}
+
+/**
+ * Restore every setting to its default
+ * @returns {Promise<Object>}
+ */
+export async function resetSettings() {
+  await chrome.storage[SETTINGS_AREA].remove([...Object.keys(DEFAULT_SETTINGS),
+    SEEN_TOOLTIP_FIELDS_KEY]);
+  return sanitizeSettings();
+}
+
+/**
+ * Turn automatic activation on or off for a host
+ * @param {string} host - Hostname, e.g. "example.com"
+ * @param {boolean} enabled - Whether the detector should start on page load
+ * @returns {Promise<Object>} - Settings after the update
+ */
+export async function setAutoActivate(host, enabled) {
+  const { autoActivateHosts } = await getSettings();
+  const normalized = String(host || '').toLowerCase();
+  const hosts = autoActivateHosts.filter(item => item !== normalized);
+  if (enabled && normalized) {
+    hosts.push(normalized);
+  }
+  return saveSettings({ autoActivateHosts: hosts });
+}
+
+/**
+ * Subscribe to settings changes from any extension context
+ * @param {function(Object, string[])} callback - Receives the new settings and changed keys
+ * @returns {function()} - Unsubscribe function
+ */
+export function onSettingsChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName !== SETTINGS_AREA) {
+      return;
+    }
+    const keys = Object.keys(changes).filter(key => key in DEFAULT_SETTINGS);
+    if (keys.length === 0) {
+      return;
+    }
+    getSettings().then(settings => callback(settings, keys));
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
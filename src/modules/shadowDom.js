@@ -0,0 +1,146 @@
+/**
+ * Shadow DOM container that isolates FontDetector UI from page styles
+ */
+
+import { CONSTANTS } from './constants.js';
+import { getInlineStyles } from './styles.js';
+import { Settings } from './contentSettings.js';
+
+export const ShadowDOMManager = {
+  root: null,
+  shadowRoot: null,
+  observer: null,
+  isFallbackMode: false,
+
+  initialize() {
+    // Prevent duplicate initialization
+    if (this.shadowRoot) {
+      return this.shadowRoot;
+    }
+
+    // Clean up any existing container
+    const existing = document.getElementById('font-detector-root');
+    if (existing) {
+      existing.remove();
+    }
+
+    // Create host element with absolute positioning for fixed tooltips to stay in place
+    // Inline styles have highest specificity, so !important is not needed
+    this.root = document.createElement('div');
+    this.root.id = 'font-detector-root';
+    this.root.style.position = 'absolute';
+    this.root.style.top = '0';
+    this.root.style.left = '0';
+    this.root.style.width = '0';
+    this.root.style.height = '0';
+    this.root.style.overflow = 'visible';
+    this.root.style.zIndex = String(CONSTANTS.Z_INDEX_MAX);
+    this.root.style.pointerEvents = 'none';
+
+    // Try to create Shadow DOM
+    try {
+      this.shadowRoot = this.root.attachShadow({ mode: 'open' });
+      this.isFallbackMode = false;
+    } catch (e) {
+      // Shadow DOM not available, use fallback
+      console.warn('FontDetector: Shadow DOM not available, using fallback mode');
+      return this.initializeFallback();
+    }
+
+    // Inject styles into Shadow DOM
+    this.injectStyles();
+    Settings.applyStyles();
+
+    // Mount to DOM
+    this.mount();
+
+    // Monitor container survival
+    this.setupSurvivalMonitor();
+
+    return this.shadowRoot;
+  },
+
+  initializeFallback() {
+    // Fallback mode: create a regular container with scoped styles
+    this.isFallbackMode = true;
+    this.root = document.createElement('div');
+    this.root.id = 'font-detector-root';
+    this.root.style.position = 'absolute';
+    this.root.style.top = '0';
+    this.root.style.left = '0';
+    this.root.style.width = '0';
+    this.root.style.height = '0';
+    this.root.style.overflow = 'visible';
+    this.root.style.zIndex = String(CONSTANTS.Z_INDEX_MAX);
+    this.root.style.pointerEvents = 'none';
+    
+    // In fallback mode, use root as the container
+    this.shadowRoot = this.root;
+    
+    // Inject inline styles for fallback mode
+    const style = document.createElement('style');
+    style.textContent = getInlineStyles();
+    this.root.appendChild(style);
+    Settings.applyStyles();
+    
+    this.mount();
+    this.setupSurvivalMonitor();
+    
+    return this.root;
+  },
+
+  mount() {
+    const host = document.body || document.documentElement;
+    if (host && this.root && !this.root.parentNode) {
+      host.appendChild(this.root);
+    }
+  },
+
+  setupSurvivalMonitor() {
+    // MutationObserver to detect if container is removed
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+
+    this.observer = new MutationObserver(() => {
+      if (this.root && !document.contains(this.root)) {
+        // Container was removed, remount it
+        this.mount();
+      }
+    });
+
+    this.observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true
+    });
+  },
+
+  injectStyles() {
+    if (!this.shadowRoot || this.isFallbackMode) return;
+
+    const style = document.createElement('style');
+    style.textContent = getInlineStyles();
+    this.shadowRoot.appendChild(style);
+  },
+
+  getContainer() {
+    return this.shadowRoot;
+  },
+
+  isInitialized() {
+    return this.shadowRoot !== null;
+  },
+
+  cleanup() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    if (this.root && this.root.parentNode) {
+      this.root.parentNode.removeChild(this.root);
+    }
+    this.root = null;
+    this.shadowRoot = null;
+    this.isFallbackMode = false;
+  }
+};
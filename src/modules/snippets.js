@@ -0,0 +1,282 @@
+/**
+ * Typography code snippets for the "Copy as" menu
+ */
+
+import { FontDetection } from './fontDetection.js';
+import { ReportBuilder } from './reports.js';
+import { UnitConverter } from './units.js';
+
+export const SnippetGenerator = {
+  FORMATS: [
+    { id: 'css', label: 'CSS' },
+    { id: 'tailwind', label: 'Tailwind' },
+    { id: 'swiftui', label: 'SwiftUI' },
+    { id: 'compose', label: 'Compose' },
+    { id: 'flutter', label: 'Flutter' }
+  ],
+
+  // Tailwind default theme scales
+  TAILWIND_FONT_SIZES: {
+    12: 'xs', 14: 'sm', 16: 'base', 18: 'lg', 20: 'xl', 24: '2xl', 30: '3xl', 36: '4xl',
+    48: '5xl', 60: '6xl', 72: '7xl', 96: '8xl', 128: '9xl'
+  },
+  TAILWIND_WEIGHTS: {
+    100: 'thin', 200: 'extralight', 300: 'light', 400: 'normal', 500: 'medium',
+    600: 'semibold', 700: 'bold', 800: 'extrabold', 900: 'black'
+  },
+  TAILWIND_LEADING_RATIOS: {
+    1: 'none', 1.25: 'tight', 1.375: 'snug', 1.5: 'normal', 1.625: 'relaxed', 2: 'loose'
+  },
+  TAILWIND_TRACKING_EMS: {
+    '-0.05': 'tighter', '-0.025': 'tight', '0': 'normal', '0.025': 'wide',
+    '0.05': 'wider', '0.1': 'widest'
+  },
+  SAMPLE_TEXT_LENGTH: 40,
+
+  SWIFTUI_WEIGHTS: {
+    100: 'ultraLight', 200: 'thin', 300: 'light', 400: 'regular', 500: 'medium',
+    600: 'semibold', 700: 'bold', 800: 'heavy', 900: 'black'
+  },
+
+  round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  },
+
+  getMetrics(info) {
+    const fontSize = parseFloat(info.fontSize) || 16;
+    const stack = FontDetection.parseFontFamilyList(info.fontFamily);
+    const primary = stack[0] || 'sans-serif';
+    const lineHeightPx = info.lineHeight === 'normal' ? null : parseFloat(info.lineHeight);
+    const letterSpacingPx = info.letterSpacing === 'normal'
+      ? 0
+      : (parseFloat(info.letterSpacing) || 0);
+    const fontWeight = parseInt(info.fontWeight, 10) || 400;
+
+    return {
+      fontSize,
+      stack,
+      primary,
+      isGeneric: FontDetection.isGenericFamily(primary),
+      fontWeight,
+      // SwiftUI, Compose and Flutter only name the weights 100 to 900
+      weightStep: Math.min(900, Math.max(100, Math.round(fontWeight / 100) * 100)),
+      isItalic: info.fontStyle === 'italic' || /^oblique/.test(info.fontStyle || ''),
+      lineHeightPx: isNaN(lineHeightPx) ? null : lineHeightPx,
+      lineHeightRatio: lineHeightPx ? this.round(lineHeightPx / fontSize, 3) : null,
+      letterSpacingPx,
+      hex: info.color ? info.color.hex : '#000000'
+    };
+  },
+
+  getColorHexDigits(hex) {
+    return hex.replace('#', '').toUpperCase();
+  },
+
+  getResourceName(family) {
+    return family.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  },
+
+  escapeString(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  },
+
+  css(info) {
+    const lines = [
+      `  font-family: ${info.fontFamily};`,
+      `  font-size: ${info.fontSize};`,
+      `  font-weight: ${info.fontWeight};`
+    ];
+    if (info.fontStyle && info.fontStyle !== 'normal') {
+      lines.push(`  font-style: ${info.fontStyle};`);
+    }
+    lines.push(
+      `  line-height: ${info.lineHeight};`,
+      `  letter-spacing: ${info.letterSpacing};`
+    );
+    if (info.textAlign && info.textAlign !== 'start') {
+      lines.push(`  text-align: ${info.textAlign};`);
+    }
+    if (info.color) {
+      lines.push(`  color: ${info.color.hex};`);
+    }
+    return `.text {\n${lines.join('\n')}\n}`;
+  },
+
+  tailwind(info) {
+    const m = this.getMetrics(info);
+    const classes = [];
+
+    const genericFonts = {
+      'sans-serif': 'font-sans',
+      serif: 'font-serif',
+      monospace: 'font-mono'
+    };
+    if (genericFonts[m.primary]) {
+      classes.push(genericFonts[m.primary]);
+    } else {
+      // Arbitrary values use underscores for spaces; multi-word names stay quoted
+      const value = m.stack.map(family => (family.includes(' ')
+        && !FontDetection.isGenericFamily(family)
+        ? `'${family}'`
+        : family)).join(',').replace(/\s+/g, '_');
+      classes.push(`font-[${value}]`);
+    }
+
+    const sizeKey = Object.keys(this.TAILWIND_FONT_SIZES)
+      .find(size => Math.abs(Number(size) - m.fontSize) <= 0.5);
+    classes.push(sizeKey
+      ? `text-${this.TAILWIND_FONT_SIZES[sizeKey]}`
+      : `text-[${this.round(m.fontSize)}px]`);
+
+    classes.push(this.TAILWIND_WEIGHTS[m.fontWeight]
+      ? `font-${this.TAILWIND_WEIGHTS[m.fontWeight]}`
+      : `font-[${m.fontWeight}]`);
+
+    if (m.isItalic) {
+      classes.push('italic');
+    }
+
+    if (m.lineHeightPx) {
+      const ratioKey = Object.keys(this.TAILWIND_LEADING_RATIOS)
+        .find(ratio => Math.abs(Number(ratio) - m.lineHeightRatio) < 0.01);
+      // Spacing-scale leading utilities are multiples of 4px from 12px to 40px
+      const spacingStep = m.lineHeightPx / 4;
+      if (ratioKey) {
+        classes.push(`leading-${this.TAILWIND_LEADING_RATIOS[ratioKey]}`);
+      } else if (Number.isInteger(spacingStep) && spacingStep >= 3 && spacingStep <= 10) {
+        classes.push(`leading-${spacingStep}`);
+      } else {
+        classes.push(`leading-[${this.round(m.lineHeightPx)}px]`);
+      }
+    }
+
+    if (m.letterSpacingPx !== 0) {
+      const em = this.round(m.letterSpacingPx / m.fontSize, 3);
+      const trackingKey = Object.keys(this.TAILWIND_TRACKING_EMS)
+        .find(value => Math.abs(Number(value) - em) < 0.002);
+      classes.push(trackingKey
+        ? `tracking-${this.TAILWIND_TRACKING_EMS[trackingKey]}`
+        : `tracking-[${this.round(m.letterSpacingPx)}px]`);
+    }
+
+    if (['left', 'center', 'right', 'justify'].includes(info.textAlign)) {
+      classes.push(`text-${info.textAlign}`);
+    }
+
+    const hex = m.hex.toLowerCase();
+    if (hex === '#000000') {
+      classes.push('text-black');
+    } else if (hex === '#ffffff') {
+      classes.push('text-white');
+    } else {
+      classes.push(`text-[${hex}]`);
+    }
+
+    return classes.join(' ');
+  },
+
+  swiftui(info, text) {
+    const m = this.getMetrics(info);
+    const size = this.round(m.fontSize);
+    const rgb = info.color ? info.color.rgb : { r: 0, g: 0, b: 0 };
+    const weight = this.SWIFTUI_WEIGHTS[m.weightStep];
+    const lines = [
+      `Text("${this.escapeString(text || 'Text')}")`,
+      m.isGeneric
+        ? `    .font(.system(size: ${size}))`
+        : `    .font(.custom("${this.escapeString(m.primary)}", size: ${size}))`,
+      `    .fontWeight(.${weight})`
+    ];
+    if (m.isItalic) {
+      lines.push('    .italic()');
+    }
+    if (m.letterSpacingPx !== 0) {
+      lines.push(`    .kerning(${this.round(m.letterSpacingPx)})`);
+    }
+    if (m.lineHeightPx && m.lineHeightPx > m.fontSize) {
+      // SwiftUI adds lineSpacing between lines on top of the font's own height
+      lines.push(`    .lineSpacing(${this.round(m.lineHeightPx - m.fontSize)})`);
+    }
+    lines.push(`    .foregroundColor(Color(red: ${this.round(rgb.r / 255, 3)}, ` +
+      `green: ${this.round(rgb.g / 255, 3)}, blue: ${this.round(rgb.b / 255, 3)}))`);
+    return lines.join('\n');
+  },
+
+  compose(info) {
+    const m = this.getMetrics(info);
+    const genericFamilies = {
+      'sans-serif': 'FontFamily.SansSerif',
+      serif: 'FontFamily.Serif',
+      monospace: 'FontFamily.Monospace',
+      cursive: 'FontFamily.Cursive'
+    };
+    const family = m.isGeneric
+      ? (genericFamilies[m.primary] || 'FontFamily.Default')
+      : `FontFamily(Font(R.font.${this.getResourceName(m.primary)}))`;
+    const lines = [
+      `    fontFamily = ${family},`,
+      `    fontSize = ${this.round(m.fontSize)}.sp,`,
+      `    fontWeight = FontWeight.W${m.weightStep},`
+    ];
+    if (m.isItalic) {
+      lines.push('    fontStyle = FontStyle.Italic,');
+    }
+    if (m.lineHeightPx) {
+      lines.push(`    lineHeight = ${this.round(m.lineHeightPx)}.sp,`);
+    }
+    lines.push(`    letterSpacing = ${this.round(m.letterSpacingPx)}.sp,`);
+    const aligns = { left: 'Left', center: 'Center', right: 'Right', justify: 'Justify',
+      end: 'End' };
+    if (aligns[info.textAlign]) {
+      lines.push(`    textAlign = TextAlign.${aligns[info.textAlign]},`);
+    }
+    lines.push(`    color = Color(0xFF${this.getColorHexDigits(m.hex)})`);
+    return `val textStyle = TextStyle(\n${lines.join('\n')}\n)`;
+  },
+
+  flutter(info) {
+    const m = this.getMetrics(info);
+    const lines = [];
+    if (!m.isGeneric) {
+      lines.push(`  fontFamily: '${m.primary.replace(/'/g, '\\\'')}',`);
+    }
+    lines.push(
+      `  fontSize: ${this.round(m.fontSize)},`,
+      `  fontWeight: FontWeight.w${m.weightStep},`
+    );
+    if (m.isItalic) {
+      lines.push('  fontStyle: FontStyle.italic,');
+    }
+    if (m.lineHeightRatio) {
+      lines.push(`  height: ${m.lineHeightRatio},`);
+    }
+    lines.push(
+      `  letterSpacing: ${this.round(m.letterSpacingPx)},`,
+      `  color: Color(0xFF${this.getColorHexDigits(m.hex)}),`
+    );
+    return `const TextStyle(\n${lines.join('\n')}\n)`;
+  },
+
+  /**
+   * Generate a snippet for an element
+   * @param {string} format - Format id from FORMATS
+   * @param {Element} element - Element to describe
+   * @param {string} text - Sample text
+   * @param {Object} [units] - Preferred `unit` and `lineHeightRatio` for CSS lengths
+   */
+  generate(format, element, text, units = null) {
+    if (!this.FORMATS.some(entry => entry.id === format)) {
+      return '';
+    }
+    let info = ReportBuilder.describeElement(element);
+    // Only CSS takes rem, em and pt; the other formats convert from px themselves
+    if (format === 'css' && units) {
+      info = { ...info };
+      ['fontSize', 'lineHeight', 'letterSpacing'].forEach(property => {
+        info[property] = UnitConverter.describe(element, property, info[property], units).value;
+      });
+    }
+    return this[format](info, text);
+  }
+};
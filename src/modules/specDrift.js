@@ -0,0 +1,261 @@
+/**
+ * Compares computed typography and colors with the imported design spec
+ */
+
+import { getDesignSpec, onDesignSpecChanged } from './designSpec.js';
+import { ColorEngine } from './colorEngine.js';
+import { DOMUtils } from './domUtils.js';
+import { UnitConverter } from './units.js';
+import { state } from './state.js';
+import { safeExecute } from './errors.js';
+
+// CSS 'line-height: normal' is roughly 1.2 for most fonts, as in the token export
+const NORMAL_LINE_HEIGHT = 1.2;
+
+const PX_PER_PT = 96 / 72;
+
+// Message keys and English labels of the compared properties
+const PROPERTY_LABELS = {
+  fontFamily: ['fontFamily', 'Font family'],
+  fontSize: ['fontSize', 'Font size'],
+  fontWeight: ['fontWeight', 'Font weight'],
+  lineHeight: ['lineHeight', 'Line height'],
+  letterSpacing: ['letterSpacing', 'Letter spacing'],
+  color: ['color', 'Color']
+};
+
+export const SpecDrift = {
+  // Differences below these are rounding in the browser or the token file, not drift
+  LENGTH_TOLERANCE: 0.05,
+  RATIO_TOLERANCE: 0.005,
+  // Variable fonts compute fractional weights such as 450.5
+  WEIGHT_TOLERANCE: 1,
+
+  spec: null,
+
+  init() {
+    safeExecute(() => {
+      getDesignSpec().then(spec => this.update(spec)).catch(error => {
+        console.warn('FontDetector: failed to load the design spec', error.message);
+      });
+      onDesignSpecChanged(spec => this.update(spec));
+    }, null, 'loadDesignSpec');
+  },
+
+  update(spec) {
+    this.spec = spec;
+    // Force the hover tooltip to re-render with or without the spec row
+    state.lastTooltipContent = '';
+    if (state.tooltip) {
+      delete state.tooltip.dataset.lastTargetHash;
+    }
+  },
+
+  /**
+   * Resolve a token length to px
+   * @param {Object} dimension - {value, unit}
+   * @param {number} emBase - Font size em and % refer to
+   * @returns {number}
+   */
+  toPx(dimension, emBase) {
+    switch (dimension.unit) {
+      case 'rem':
+        return dimension.value * UnitConverter.getFontSize(document.documentElement);
+      case 'em':
+        return dimension.value * emBase;
+      case '%':
+        return dimension.value / 100 * emBase;
+      case 'pt':
+        return dimension.value * PX_PER_PT;
+      default:
+        return dimension.value;
+    }
+  },
+
+  formatPx(px) {
+    return `${UnitConverter.round(px)}px`;
+  },
+
+  getPrimaryFamily(families) {
+    return String(families[0] || '').toLowerCase();
+  },
+
+  /**
+   * Properties of a typography token the computed style does not meet
+   * @param {Object} values - Computed fontFamily, fontSize, fontWeight, lineHeight, letterSpacing
+   * @param {Object} token - Typography token from the spec
+   * @returns {{property: string, actual: string, expected: string}[]}
+   */
+  getTypographyDrift(values, token) {
+    const drift = [];
+    const fontSize = parseFloat(values.fontSize);
+
+    if (token.fontFamily) {
+      const actual = values.fontFamily.split(',')
+        .map(family => family.trim().replace(/^['"]|['"]$/g, ''));
+      if (this.getPrimaryFamily(actual) !== this.getPrimaryFamily(token.fontFamily)) {
+        drift.push({ property: 'fontFamily', actual: actual[0], expected: token.fontFamily[0] });
+      }
+    }
+
+    if (token.fontSize) {
+      const expected = this.toPx(token.fontSize, UnitConverter.getFontSize(
+        document.documentElement));
+      if (Math.abs(fontSize - expected) > this.LENGTH_TOLERANCE) {
+        drift.push({
+          property: 'fontSize',
+          actual: this.formatPx(fontSize),
+          expected: this.formatPx(expected)
+        });
+      }
+    }
+
+    if (token.fontWeight) {
+      const actual = parseFloat(values.fontWeight);
+      if (Math.abs(actual - token.fontWeight) > this.WEIGHT_TOLERANCE) {
+        drift.push({ property: 'fontWeight', actual: UnitConverter.round(actual),
+          expected: String(token.fontWeight) });
+      }
+    }
+
+    if (token.lineHeight !== undefined) {
+      const actualPx = values.lineHeight === 'normal'
+        ? NORMAL_LINE_HEIGHT * fontSize
+        : parseFloat(values.lineHeight);
+      if (typeof token.lineHeight === 'number') {
+        // Unitless tokens are compared and shown as ratios
+        const actual = actualPx / fontSize;
+        if (Math.abs(actual - token.lineHeight) > this.RATIO_TOLERANCE) {
+          drift.push({ property: 'lineHeight', actual: UnitConverter.round(actual),
+            expected: UnitConverter.round(token.lineHeight) });
+        }
+      } else {
+        const expected = this.toPx(token.lineHeight, fontSize);
+        if (Math.abs(actualPx - expected) > this.LENGTH_TOLERANCE) {
+          drift.push({ property: 'lineHeight', actual: this.formatPx(actualPx),
+            expected: this.formatPx(expected) });
+        }
+      }
+    }
+
+    if (token.letterSpacing) {
+      const actual = parseFloat(values.letterSpacing) || 0;
+      const expected = this.toPx(token.letterSpacing, fontSize);
+      if (Math.abs(actual - expected) > this.LENGTH_TOLERANCE) {
+        drift.push({
+          property: 'letterSpacing',
+          actual: this.formatPx(actual),
+          expected: this.formatPx(expected)
+        });
+      }
+    }
+
+    return drift;
+  },
+
+  /**
+   * Typography token closest to the computed style: fewest differing properties, then the
+   * closest font size; specs with only font size tokens match on the size alone
+   * @returns {{name: string, drift: Object[]}|null}
+   */
+  matchTypography(values) {
+    const fontSize = parseFloat(values.fontSize);
+    const rootSize = UnitConverter.getFontSize(document.documentElement);
+    const sizeDistance = size => size ? Math.abs(this.toPx(size, rootSize) - fontSize) : Infinity;
+
+    if (this.spec.typography.length > 0) {
+      return this.spec.typography
+        .map(token => ({
+          name: token.name,
+          drift: this.getTypographyDrift(values, token),
+          distance: sizeDistance(token.fontSize)
+        }))
+        .sort((a, b) => a.drift.length - b.drift.length || a.distance - b.distance)
+        .map(({ name, drift }) => ({ name, drift }))[0];
+    }
+
+    if (this.spec.fontSizes.length > 0) {
+      const [nearest] = this.spec.fontSizes
+        .slice()
+        .sort((a, b) => sizeDistance(a.value) - sizeDistance(b.value));
+      return {
+        name: nearest.name,
+        drift: this.getTypographyDrift(values, { fontSize: nearest.value })
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Color token perceptually closest to the computed color; anything but an exact match drifts
+   * @param {string} value - CSS color, e.g. '#333333'
+   * @returns {{name: string, drift: Object[]}|null}
+   */
+  matchColor(value) {
+    const color = value ? ColorEngine.parse(value) : null;
+    if (!color || this.spec.colors.length === 0) {
+      return null;
+    }
+    const actual = ColorEngine.toHex(color);
+    const [nearest] = this.spec.colors
+      .map(token => ({
+        ...token,
+        distance: ColorEngine.deltaEOK(color, ColorEngine.parse(token.hex))
+      }))
+      .sort((a, b) => a.distance - b.distance);
+
+    return {
+      name: nearest.name,
+      drift: nearest.hex === actual
+        ? []
+        : [{ property: 'color', actual, expected: nearest.hex }]
+    };
+  },
+
+  /**
+   * Compare computed values with the imported spec
+   * @param {Object} values - fontFamily, fontSize, fontWeight, lineHeight, letterSpacing as
+   *   computed, and color as a CSS color
+   * @returns {{typography: Object|null, color: Object|null, onSpec: boolean}|null} - Nearest
+   *   tokens with their drift; null when no spec is imported
+   */
+  compare(values) {
+    if (!this.spec) {
+      return null;
+    }
+    const typography = this.matchTypography(values);
+    const color = this.matchColor(values.color);
+    return {
+      typography,
+      color,
+      onSpec: [typography, color].every(match => !match || match.drift.length === 0)
+    };
+  },
+
+  getPropertyLabel(property) {
+    const [key, fallback] = PROPERTY_LABELS[property];
+    return chrome.i18n.getMessage(key) || fallback;
+  },
+
+  /**
+   * Markup listing the nearest tokens and every off-spec value
+   * @param {Object} result - Result of compare
+   * @returns {string}
+   */
+  renderMatches(result) {
+    return [result.typography, result.color].filter(Boolean).map(match => {
+      const status = match.drift.length === 0 ? 'on-spec' : 'off-spec';
+      const drift = match.drift.map(item => `
+        <small class="spec-drift">${this.getPropertyLabel(item.property)}
+          <b>${DOMUtils.escapeHTML(item.actual)} → ${DOMUtils.escapeHTML(item.expected)}</b>
+        </small>
+      `).join('');
+      return `
+        <strong class="spec-token ${status}">${status === 'on-spec' ? '✓' : '⚠'}
+          ${DOMUtils.escapeHTML(match.name)}</strong>
+        ${drift}
+      `;
+    }).join('');
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Mutable state shared by the FontDetector content script modules
+ */
+
+export const state = {
+  isActive: false,
+  isExtensionContextValid: true,
+  isReinitializing: false,
+  isCreatingFixedTooltip: false,
+  isLongPress: false,
+  currentTarget: null,
+  lastMouseX: 0,
+  lastMouseY: 0,
+  lastTargetHash: '',
+  lastTooltipContent: '',
+  animationFrameId: null,
+  selectionTimeout: null,
+  fixedTooltips: [],
+  fixedTooltipPositions: new Set(),
+  fixedTooltipSources: new WeakMap(),
+  fixedTooltipRanges: new WeakMap(),
+  pinnedBaselines: new WeakMap(),
+  // DOM references
+  tooltip: null,
+  miniTooltip: null
+};
@@ -0,0 +1,1332 @@
+/**
+ * Styles injected into the FontDetector shadow root
+ */
+
+import { CONSTANTS } from './constants.js';
+
+export function getInlineStyles() {
+  // Shadow DOM provides natural style encapsulation, no !important needed
+  return `
+    /* ========================================================================
+       CSS RESET FOR SHADOW DOM
+       Using :host to establish a clean styling context
+       ======================================================================== */
+    :host {
+      all: initial;
+      display: block;
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 0;
+      height: 0;
+      overflow: visible;
+      z-index: ${CONSTANTS.Z_INDEX_MAX};
+      pointer-events: none;
+    }
+
+    *, *::before, *::after {
+      box-sizing: border-box;
+      margin: 0;
+      padding: 0;
+      border: none;
+      font-size: inherit;
+      font-weight: inherit;
+      font-style: normal;
+      line-height: inherit;
+      vertical-align: baseline;
+      text-decoration: none;
+      text-transform: none;
+      letter-spacing: normal;
+      word-spacing: normal;
+      text-indent: 0;
+      text-shadow: none;
+      background: transparent;
+      list-style: none;
+      outline: none;
+    }
+
+    /* ========================================================================
+       CSS CUSTOM PROPERTIES (Design Tokens)
+       ======================================================================== */
+    :host {
+      --fd-font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI',
+        'Helvetica Neue', Arial, 'Noto Sans', 'PingFang SC', 'PingFang TC',
+        'Hiragino Sans', 'Hiragino Kaku Gothic ProN', 'Microsoft YaHei',
+        'Microsoft JhengHei', 'Yu Gothic', 'YuGothic', 'Noto Sans CJK SC',
+        'Noto Sans CJK TC', 'Noto Sans CJK JP', sans-serif;
+      --fd-font-size-sm: 13px;
+      --fd-font-size-base: 14px;
+      --fd-font-weight-normal: 400;
+      --fd-font-weight-medium: 500;
+      --fd-line-height: 1.4;
+      --fd-color-text: #A8A8A8;
+      --fd-color-text-light: #FFFFFF;
+      --fd-color-bg: rgba(30, 30, 30, 0.85);
+      --fd-color-bg-solid: rgba(30, 30, 30, 0.95);
+      --fd-color-border: #2F2F2F;
+      --fd-border-radius-sm: 4px;
+      --fd-border-radius-lg: 16px;
+      --fd-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+      --fd-transition-fast: 0ms;
+      --fd-transition-normal: 0ms;
+      --fd-z-index: ${CONSTANTS.Z_INDEX_MAX};
+      --fd-tooltip-width: ${CONSTANTS.TOOLTIP.WIDTH}px;
+    }
+
+    /* ========================================================================
+       BASE TOOLTIP STYLES
+       ======================================================================== */
+    .font-detector {
+      all: initial;
+      display: block;
+      color: var(--fd-color-text);
+      z-index: var(--fd-z-index);
+      font-family: var(--fd-font-family);
+      font-size: var(--fd-font-size-base);
+      font-weight: var(--fd-font-weight-normal);
+      line-height: var(--fd-line-height);
+      text-align: left;
+      -webkit-font-smoothing: antialiased;
+      -moz-osx-font-smoothing: grayscale;
+    }
+
+    .font-detector span:not(.font-family-value):not(.value-with-copy):not(.color-value-container):not(.color-preview):not(.copy-icon) {
+      all: unset;
+      color: var(--fd-color-text-light);
+      font-family: inherit;
+      font-size: inherit;
+      line-height: inherit;
+    }
+
+    /* ========================================================================
+       MINI TOOLTIP
+       ======================================================================== */
+    #miniTooltip {
+      all: initial;
+      position: fixed;
+      padding: 4px 8px;
+      background-color: var(--fd-color-bg-solid);
+      border: 1px solid var(--fd-color-border);
+      border-radius: var(--fd-border-radius-sm);
+      font-size: var(--fd-font-size-sm);
+      font-weight: var(--fd-font-weight-normal);
+      line-height: var(--fd-line-height);
+      color: var(--fd-color-text-light);
+      pointer-events: none;
+      font-family: var(--fd-font-family);
+      white-space: nowrap;
+      opacity: 0;
+      display: none;
+      transition: none;
+      backdrop-filter: blur(8px);
+      -webkit-backdrop-filter: blur(8px);
+      z-index: var(--fd-z-index);
+      box-sizing: border-box;
+    }
+
+    #miniTooltip.visible {
+      opacity: 1;
+      display: block;
+    }
+
+    /* ========================================================================
+       MAIN TOOLTIP & FIXED TOOLTIP
+       ======================================================================== */
+    #fontInfoTooltip,
+    .fixed-tooltip {
+      all: initial;
+      display: block;
+      border: 1px solid var(--fd-color-border);
+      background-color: var(--fd-color-bg);
+      font-family: var(--fd-font-family);
+      font-size: var(--fd-font-size-base);
+      font-weight: var(--fd-font-weight-normal);
+      line-height: var(--fd-line-height);
+      color: var(--fd-color-text);
+      padding: 16px;
+      border-radius: var(--fd-border-radius-lg);
+      word-wrap: break-word;
+      box-shadow: var(--fd-shadow);
+      transition: none;
+      opacity: 0;
+      backdrop-filter: blur(8px);
+      -webkit-backdrop-filter: blur(8px);
+      width: var(--fd-tooltip-width);
+      transform: none;
+      pointer-events: none;
+      box-sizing: border-box;
+      text-align: left;
+      -webkit-font-smoothing: antialiased;
+      -moz-osx-font-smoothing: grayscale;
+    }
+
+    #fontInfoTooltip {
+      position: fixed;
+      pointer-events: none;
+      transform: none;
+      will-change: auto;
+      backface-visibility: hidden;
+      transition: none;
+      opacity: 0;
+      display: none;
+    }
+
+    #fontInfoTooltip.visible {
+      opacity: 1;
+      display: block;
+    }
+
+    .fixed-tooltip {
+      position: absolute;
+      z-index: var(--fd-z-index);
+      pointer-events: auto;
+      display: block;
+    }
+
+    .fixed-tooltip.visible {
+      opacity: 1;
+      transform: none;
+    }
+
+    /* ========================================================================
+       TOOLTIP CONTENT
+       ======================================================================== */
+    #fontInfoTooltip > div:not(.close-button),
+    .fixed-tooltip > div:not(.close-button) {
+      all: unset;
+      display: flex;
+      flex-direction: column;
+      color: var(--fd-color-text);
+      font-size: var(--fd-font-size-sm);
+      font-weight: var(--fd-font-weight-normal);
+      line-height: var(--fd-line-height);
+      margin-bottom: 6px;
+      gap: 2px;
+      font-family: var(--fd-font-family);
+      box-sizing: border-box;
+    }
+
+    #fontInfoTooltip > div:not(.close-button):last-of-type,
+    .fixed-tooltip > div:not(.close-button):last-of-type {
+      margin-bottom: 0;
+    }
+
+    #fontInfoTooltip > div:not(.close-button) span:not(.font-family-value):not(.value-with-copy):not(.color-value-container):not(.color-preview):not(.copy-icon),
+    .fixed-tooltip > div:not(.close-button) span:not(.font-family-value):not(.value-with-copy):not(.color-value-container):not(.color-preview):not(.copy-icon) {
+      all: unset;
+      color: var(--fd-color-text-light);
+      font-size: var(--fd-font-size-base);
+      font-weight: var(--fd-font-weight-medium);
+      line-height: var(--fd-line-height);
+      font-family: var(--fd-font-family);
+      display: inline;
+    }
+
+    #fontInfoTooltip a,
+    .fixed-tooltip a {
+      all: unset;
+      text-decoration: none;
+      color: inherit;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    /* ========================================================================
+       COLOR PREVIEW
+       ======================================================================== */
+    .color-preview {
+      all: unset;
+      width: 12px;
+      height: 12px;
+      min-width: 12px;
+      min-height: 12px;
+      border-radius: 50%;
+      display: inline-block;
+      margin-right: 8px;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      vertical-align: middle;
+      flex-shrink: 0;
+      box-sizing: border-box;
+    }
+
+    .color-value-container {
+      all: unset;
+      display: flex;
+      flex-direction: row;
+      align-items: center;
+      justify-content: flex-start;
+      font-family: inherit;
+      color: inherit;
+    }
+
+    /* ========================================================================
+       CLOSE BUTTON
+       ======================================================================== */
+    .close-button {
+      position: absolute;
+      top: 14px;
+      right: 16px;
+      width: 20px;
+      height: 20px;
+      border-radius: 50%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      cursor: pointer;
+      transition: none;
+      pointer-events: auto;
+      box-sizing: border-box;
+      background: transparent;
+      padding: 2px;
+    }
+
+    .close-button:hover {
+      background-color: rgba(80, 80, 80, 0.9);
+    }
+
+    .close-button svg {
+      width: 16px;
+      height: 16px;
+      display: block;
+      flex-shrink: 0;
+    }
+
+    .close-button svg path {
+      stroke: #FFFFFF;
+      stroke-width: 4;
+      stroke-linecap: round;
+      stroke-linejoin: round;
+    }
+
+    /* ========================================================================
+       COPY ICON
+       ======================================================================== */
+    .copy-icon {
+      width: 24px;
+      height: 24px;
+      min-width: 24px;
+      min-height: 24px;
+      margin-left: 8px;
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      cursor: pointer;
+      position: relative;
+      background-color: transparent;
+      border-radius: var(--fd-border-radius-sm);
+      transition: none;
+      pointer-events: auto;
+      box-sizing: border-box;
+      flex-shrink: 0;
+    }
+
+    .copy-icon:hover {
+      background-color: rgba(255, 255, 255, 0.1);
+    }
+
+    .copy-icon svg {
+      width: 14px;
+      height: 14px;
+      display: block;
+      flex-shrink: 0;
+    }
+
+    .copy-icon svg path {
+      stroke: #a7a7a7;
+      stroke-width: 4;
+      stroke-linecap: round;
+      stroke-linejoin: round;
+      fill: none;
+    }
+
+    /* ========================================================================
+       VALUE WITH COPY BUTTON
+       ======================================================================== */
+    .value-with-copy {
+      all: unset;
+      display: flex;
+      flex-direction: row;
+      align-items: center;
+      justify-content: space-between;
+      font-family: inherit;
+      color: var(--fd-color-text-light);
+      font-size: var(--fd-font-size-base);
+      font-weight: var(--fd-font-weight-medium);
+      line-height: var(--fd-line-height);
+      width: 100%;
+    }
+
+    /* ========================================================================
+       UNIT CONVERSIONS
+       ======================================================================== */
+    .unit-conversions {
+      color: var(--fd-color-text);
+      font-size: 11px;
+      font-variant-numeric: tabular-nums;
+    }
+
+    /* ========================================================================
+       FONT FAMILY LINK (Legacy - keeping for compatibility)
+       ======================================================================== */
+    .fontFamilyLink {
+      all: unset;
+      cursor: pointer;
+      display: inline;
+    }
+
+    .fontFamilyLink span {
+      all: unset;
+      color: var(--fd-color-text-light);
+      font-size: var(--fd-font-size-base);
+      font-weight: var(--fd-font-weight-medium);
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .fontFamilyLink:hover span {
+      text-decoration: underline;
+    }
+
+    /* ========================================================================
+       FONT FAMILY VALUE
+       ======================================================================== */
+    
+    .font-family-value {
+      cursor: default;
+      display: inline;
+      color: var(--fd-color-text-light);
+      font-size: var(--fd-font-size-base);
+      font-weight: var(--fd-font-weight-medium);
+      font-family: inherit;
+      text-decoration: none;
+      pointer-events: none;
+    }
+
+    .font-family-value[data-download-status="pending"],
+    .font-family-value[data-download-status="searching"] {
+      opacity: 1;
+    }
+
+    span.font-family-value.has-download {
+      text-decoration: underline;
+      -webkit-text-decoration: underline;
+      text-decoration-color: #FFFFFF;
+      -webkit-text-decoration-color: #FFFFFF;
+      text-decoration-style: solid;
+      text-decoration-thickness: 1px;
+      text-underline-offset: 3px;
+      cursor: pointer;
+      pointer-events: auto;
+    }
+
+    span.font-family-value.has-download:hover {
+      text-decoration: underline;
+      -webkit-text-decoration: underline;
+      text-decoration-color: #2596FF;
+      -webkit-text-decoration-color: #2596FF;
+      text-decoration-style: solid;
+      text-decoration-thickness: 1px;
+      text-underline-offset: 3px;
+      color: #2596FF;
+      cursor: pointer;
+      pointer-events: auto;
+    }
+
+    .font-family-value[data-download-status="not-found"],
+    .font-family-value[data-download-status="error"] {
+      cursor: default;
+      text-decoration: none;
+      pointer-events: none;
+    }
+
+    /* ========================================================================
+       GLYPH FALLBACK BREAKDOWN
+       ======================================================================== */
+    .glyph-segments {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+    }
+
+    .glyph-segment {
+      display: flex;
+      flex-direction: row;
+      align-items: baseline;
+      gap: 6px;
+      min-width: 0;
+    }
+
+    .glyph-segment-family {
+      color: var(--fd-color-text-light);
+      font-size: var(--fd-font-size-base);
+      font-weight: var(--fd-font-weight-medium);
+      white-space: nowrap;
+    }
+
+    .glyph-segment-text {
+      color: var(--fd-color-text);
+      font-size: var(--fd-font-size-sm);
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    /* ========================================================================
+       FONT FACE MATCHING
+       ======================================================================== */
+    .font-faces {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+    }
+
+    .font-face {
+      display: flex;
+      flex-direction: row;
+      align-items: baseline;
+      gap: 6px;
+      color: var(--fd-color-text);
+    }
+
+    .font-face.unloaded {
+      opacity: 0.6;
+    }
+
+    .font-face strong {
+      color: var(--fd-color-text);
+      font-weight: var(--fd-font-weight-normal);
+    }
+
+    .font-face i {
+      font-style: normal;
+    }
+
+    .font-face small {
+      font-size: 11px;
+    }
+
+    .font-face.selected strong {
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-medium);
+    }
+
+    .font-face.selected::before {
+      content: '✓';
+      color: #30A46C;
+    }
+
+    .font-match-reason {
+      color: var(--fd-color-text-light);
+      font-size: 11px;
+    }
+
+    /* ========================================================================
+       FONT FILE METADATA
+       ======================================================================== */
+    .font-file-status {
+      color: var(--fd-color-text);
+      font-size: 11px;
+      font-style: normal;
+    }
+
+    .font-file-rows {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+    }
+
+    .font-file-row {
+      display: flex;
+      flex-direction: row;
+      align-items: baseline;
+      gap: 6px;
+      min-width: 0;
+    }
+
+    .font-file-row b {
+      flex: none;
+      color: var(--fd-color-text);
+      font-weight: var(--fd-font-weight-normal);
+    }
+
+    .font-file-row strong,
+    .font-file-link {
+      min-width: 0;
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-normal);
+      overflow-wrap: anywhere;
+    }
+
+    .font-file-link {
+      text-decoration: underline;
+      text-underline-offset: 3px;
+      cursor: pointer;
+    }
+
+    .font-file-link:hover {
+      color: #2596FF;
+    }
+
+    /* ========================================================================
+       VARIABLE AXES
+       ======================================================================== */
+    .axis-row small,
+    .axis-slider small {
+      color: var(--fd-color-text);
+      font-size: 11px;
+      font-weight: var(--fd-font-weight-normal);
+    }
+
+    .axis-row strong {
+      margin-left: auto;
+    }
+
+    .variable-axes .fd-panel-actions {
+      margin-top: 4px;
+    }
+
+    .axis-sliders {
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+    }
+
+    .axis-slider {
+      display: grid;
+      grid-template-columns: 1fr auto;
+      gap: 4px 8px;
+      align-items: baseline;
+    }
+
+    .axis-slider b {
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-medium);
+    }
+
+    .axis-slider strong {
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-normal);
+      font-variant-numeric: tabular-nums;
+    }
+
+    .axis-slider input {
+      grid-column: 1 / -1;
+      width: 100%;
+      margin: 0;
+      accent-color: #2596FF;
+      cursor: pointer;
+    }
+
+    .axis-css {
+      padding: 6px 8px;
+      border-radius: var(--fd-border-radius-sm);
+      background-color: rgba(255, 255, 255, 0.06);
+      color: var(--fd-color-text-light);
+      font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+      font-size: 11px;
+      overflow-wrap: anywhere;
+    }
+
+    /* ========================================================================
+       SYNTHESIS WARNING AND FONT FEATURES
+       ======================================================================== */
+    #fontInfoTooltip > .synthesis-warning,
+    .fixed-tooltip > .synthesis-warning {
+      padding: 6px 8px;
+      border: 1px solid rgba(255, 176, 32, 0.6);
+      border-radius: var(--fd-border-radius-sm);
+      background-color: rgba(255, 176, 32, 0.12);
+    }
+
+    .synthesis-warning strong {
+      color: #FFB020;
+      font-weight: var(--fd-font-weight-medium);
+    }
+
+    .synthesis-warning small {
+      color: var(--fd-color-text-light);
+      font-size: 11px;
+    }
+
+    .font-feature {
+      color: var(--fd-color-text);
+      font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+      font-size: 11px;
+      overflow-wrap: anywhere;
+    }
+
+    .font-feature b {
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-normal);
+    }
+
+    /* ========================================================================
+       MORE TEXT PROPERTIES
+       ======================================================================== */
+    /* The hover tooltip cannot be clicked, so the section only shows in fixed tooltips */
+    #fontInfoTooltip > div.text-style {
+      display: none;
+    }
+
+    .text-style-toggle {
+      all: unset;
+      align-self: flex-start;
+      color: var(--fd-color-text);
+      font-family: inherit;
+      font-size: 12px;
+      text-decoration: underline;
+      text-underline-offset: 3px;
+      cursor: pointer;
+    }
+
+    .text-style-toggle:hover {
+      color: #2596FF;
+    }
+
+    .text-style-rows {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      margin-top: 4px;
+    }
+
+    .text-style-rows[hidden] {
+      display: none;
+    }
+
+    .text-style-row {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      min-width: 0;
+    }
+
+    .text-style-row .value-with-copy {
+      justify-content: flex-end;
+      width: auto;
+      min-width: 0;
+      font-size: var(--fd-font-size-sm);
+      text-align: right;
+      overflow-wrap: anywhere;
+    }
+
+    .text-style-row .copy-icon {
+      width: 20px;
+      height: 20px;
+      min-width: 20px;
+      min-height: 20px;
+      margin-left: 4px;
+    }
+
+    /* ========================================================================
+       DESIGN SPEC DRIFT
+       ======================================================================== */
+    .audit-style-spec {
+      display: flex;
+      flex-direction: column;
+      margin-top: 2px;
+    }
+
+    .spec-token {
+      font-size: var(--fd-font-size-sm);
+      font-weight: var(--fd-font-weight-medium);
+      overflow-wrap: anywhere;
+    }
+
+    .spec-token.on-spec {
+      color: #30A46C;
+    }
+
+    .spec-token.off-spec {
+      color: #FFB224;
+    }
+
+    .spec-drift {
+      color: var(--fd-color-text);
+      font-size: 11px;
+      font-variant-numeric: tabular-nums;
+    }
+
+    .spec-drift b {
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-normal);
+    }
+
+    /* ========================================================================
+       PINNED TOOLTIP CHANGES
+       ======================================================================== */
+    .pin-status i {
+      color: var(--fd-color-text);
+      font-size: var(--fd-font-size-sm);
+      font-style: normal;
+    }
+
+    .pin-status.has-changes i {
+      color: #FFB224;
+    }
+
+    .pin-change {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: baseline;
+      gap: 4px 6px;
+    }
+
+    .pin-change b {
+      color: var(--fd-color-text);
+      font-weight: var(--fd-font-weight-normal);
+    }
+
+    .pin-change s {
+      color: var(--fd-color-text);
+      text-decoration: line-through;
+    }
+
+    .pin-change strong {
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-medium);
+    }
+
+    /* ========================================================================
+       PANELS
+       ======================================================================== */
+    .fd-panel {
+      position: fixed;
+      top: 16px;
+      right: 16px;
+      width: 360px;
+      max-height: calc(100vh - 32px);
+      display: flex;
+      flex-direction: column;
+      border: 1px solid var(--fd-color-border);
+      background-color: var(--fd-color-bg-solid);
+      border-radius: var(--fd-border-radius-lg);
+      box-shadow: var(--fd-shadow);
+      backdrop-filter: blur(8px);
+      -webkit-backdrop-filter: blur(8px);
+      color: var(--fd-color-text);
+      font-size: var(--fd-font-size-sm);
+      pointer-events: auto;
+      overflow: hidden;
+      z-index: var(--fd-z-index);
+    }
+
+    .fd-panel-header {
+      position: relative;
+      display: flex;
+      align-items: center;
+      padding: 14px 48px 14px 16px;
+      border-bottom: 1px solid var(--fd-color-border);
+    }
+
+    .fd-panel-title {
+      color: var(--fd-color-text-light);
+      font-size: var(--fd-font-size-base);
+      font-weight: var(--fd-font-weight-medium);
+    }
+
+    .fd-panel-header .close-button {
+      top: 12px;
+    }
+
+    .fd-panel-body {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      padding: 12px 16px 16px;
+      overflow-y: auto;
+    }
+
+    .fd-panel-summary {
+      display: flex;
+      gap: 16px;
+    }
+
+    .fd-panel-summary b {
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-medium);
+    }
+
+    .fd-panel-actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+    }
+
+    .fd-button {
+      display: inline-flex;
+      align-items: center;
+      padding: 2px 8px;
+      border: 1px solid var(--fd-color-border);
+      border-radius: var(--fd-border-radius-sm);
+      background-color: rgba(255, 255, 255, 0.06);
+      color: var(--fd-color-text-light);
+      font-family: inherit;
+      font-size: 12px;
+      cursor: pointer;
+      white-space: nowrap;
+    }
+
+    .fd-button:hover {
+      background-color: rgba(255, 255, 255, 0.12);
+    }
+
+    .fd-button.copied {
+      border-color: #2596FF;
+      color: #2596FF;
+    }
+
+    .copy-as .fd-panel-actions {
+      margin-top: 2px;
+    }
+
+    /* ========================================================================
+       TYPOGRAPHY AUDIT
+       ======================================================================== */
+    .audit-style-list {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+    }
+
+    .audit-style {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 8px;
+      border: 1px solid transparent;
+      border-radius: 8px;
+    }
+
+    .audit-style.active {
+      border-color: #2596FF;
+    }
+
+    .audit-style-preview {
+      width: 36px;
+      flex-shrink: 0;
+      color: var(--fd-color-text-light);
+      font-size: 22px;
+      line-height: 1;
+      text-align: center;
+    }
+
+    .audit-style-info {
+      display: flex;
+      flex-direction: column;
+      flex: 1;
+      min-width: 0;
+    }
+
+    .audit-style-family {
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-medium);
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .audit-style-details {
+      display: flex;
+      align-items: center;
+      font-size: 12px;
+    }
+
+    .audit-style-details .color-preview {
+      width: 10px;
+      height: 10px;
+      min-width: 10px;
+      min-height: 10px;
+      margin-right: 6px;
+    }
+
+    .audit-style-actions {
+      display: flex;
+      flex-direction: column;
+      align-items: flex-end;
+      gap: 4px;
+    }
+
+    .audit-style-count {
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-medium);
+    }
+
+    .audit-highlight {
+      position: absolute;
+      border: 2px solid #2596FF;
+      border-radius: 2px;
+      background-color: rgba(37, 150, 255, 0.12);
+      pointer-events: none;
+    }
+
+    /* ========================================================================
+       TYPE OVERLAY
+       ======================================================================== */
+    .type-overlay[hidden] {
+      display: none;
+    }
+
+    .type-overlay > div {
+      position: absolute;
+      box-sizing: border-box;
+      pointer-events: none;
+    }
+
+    .type-overlay-box {
+      border: 1px solid #2596FF;
+    }
+
+    .type-overlay-padding {
+      border-style: solid;
+      border-color: rgba(48, 164, 108, 0.28);
+    }
+
+    .type-overlay-line {
+      border: 1px dashed rgba(37, 150, 255, 0.6);
+      background-color: rgba(37, 150, 255, 0.1);
+    }
+
+    .type-overlay-baseline {
+      border-top: 1px solid #E5484D;
+    }
+
+    .type-overlay-x {
+      border-top: 1px dashed #30A46C;
+    }
+
+    .type-overlay-cap {
+      border-top: 1px dashed #FFB224;
+    }
+
+    .type-overlay > .type-overlay-label {
+      display: flex;
+      align-items: baseline;
+      gap: 4px;
+      padding: 2px 6px;
+      border-radius: var(--fd-border-radius-sm);
+      background-color: var(--fd-color-bg-solid);
+      color: var(--fd-color-text-light);
+      font-family: var(--fd-font-family);
+      font-size: 11px;
+      line-height: 16px;
+      white-space: nowrap;
+      transform: translateY(calc(-100% - 4px));
+    }
+
+    .type-overlay-label b {
+      color: #2596FF;
+      font-weight: var(--fd-font-weight-medium);
+    }
+
+    .type-overlay-label small {
+      color: var(--fd-color-text);
+      font-size: 11px;
+    }
+
+    /* ========================================================================
+       FONTS ON THIS PAGE
+       ======================================================================== */
+    .page-font-list {
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    }
+
+    .page-font-family {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+    }
+
+    .page-font-family.unreferenced .page-font-header {
+      opacity: 0.6;
+    }
+
+    .page-font-header {
+      display: flex;
+      align-items: baseline;
+      gap: 8px;
+      padding-bottom: 4px;
+      border-bottom: 1px solid var(--fd-color-border);
+    }
+
+    .page-font-header strong {
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-medium);
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .page-font-header em {
+      margin-left: auto;
+      font-size: 12px;
+      font-style: normal;
+      white-space: nowrap;
+    }
+
+    .page-font-preview {
+      color: var(--fd-color-text-light);
+      font-size: 18px;
+      font-weight: var(--fd-font-weight-normal);
+      line-height: 1;
+    }
+
+    .page-font-face {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: baseline;
+      gap: 2px 8px;
+      font-size: 12px;
+    }
+
+    .page-font-face strong {
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-normal);
+    }
+
+    .page-font-face small {
+      font-size: 11px;
+    }
+
+    .page-font-status {
+      min-width: 56px;
+      font-size: 11px;
+      font-weight: var(--fd-font-weight-medium);
+    }
+
+    .page-font-face.loaded .page-font-status {
+      color: #30A46C;
+    }
+
+    .page-font-face.loading .page-font-status {
+      color: #2596FF;
+    }
+
+    .page-font-face.error .page-font-status {
+      color: #E5484D;
+    }
+
+    .page-font-face.unused {
+      opacity: 0.6;
+    }
+
+    .page-font-range {
+      max-width: 160px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .page-font-source {
+      margin-left: auto;
+      font-style: normal;
+      overflow-wrap: anywhere;
+    }
+
+    .page-font-link {
+      color: var(--fd-color-text-light);
+      text-decoration: underline;
+      text-underline-offset: 3px;
+      cursor: pointer;
+    }
+
+    .page-font-link:hover {
+      color: #2596FF;
+    }
+
+    /* ========================================================================
+       FONT PERFORMANCE
+       ======================================================================== */
+    .perf-score.pass,
+    .perf-check.pass .perf-check-icon {
+      color: #30A46C;
+    }
+
+    .perf-score.warn,
+    .perf-check.warn .perf-check-icon {
+      color: #FFB224;
+    }
+
+    .perf-score.fail,
+    .perf-check.fail .perf-check-icon {
+      color: #E5484D;
+    }
+
+    .perf-checklist {
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+    }
+
+    .perf-check {
+      display: flex;
+      align-items: flex-start;
+      gap: 8px;
+    }
+
+    .perf-check-icon {
+      width: 14px;
+      flex-shrink: 0;
+      font-weight: var(--fd-font-weight-medium);
+      text-align: center;
+    }
+
+    .perf-check-info {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      min-width: 0;
+    }
+
+    .perf-check-info strong {
+      color: var(--fd-color-text-light);
+      font-weight: var(--fd-font-weight-medium);
+    }
+
+    .perf-check-info small {
+      font-size: 12px;
+    }
+
+    .perf-check-item {
+      color: var(--fd-color-text-light);
+      font-size: 11px;
+      font-style: normal;
+      overflow-wrap: anywhere;
+    }
+
+    /* ========================================================================
+       COMPARE BOARD
+       ======================================================================== */
+    .fd-panel.fd-panel-wide {
+      width: min(720px, calc(100vw - 32px));
+    }
+
+    .compare-table-wrapper {
+      overflow-x: auto;
+    }
+
+    .compare-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 12px;
+    }
+
+    .compare-table th,
+    .compare-table td {
+      padding: 6px 8px;
+      border-bottom: 1px solid var(--fd-color-border);
+      text-align: left;
+      vertical-align: middle;
+      white-space: nowrap;
+    }
+
+    .compare-table thead th {
+      color: var(--fd-color-text);
+      font-weight: var(--fd-font-weight-normal);
+    }
+
+    .compare-table td {
+      color: var(--fd-color-text-light);
+    }
+
+    .compare-table .differs {
+      background-color: rgba(255, 178, 36, 0.12);
+      color: #FFB224;
+    }
+
+    .compare-table tr.active th,
+    .compare-table tr.active td {
+      border-bottom-color: #2596FF;
+    }
+
+    .compare-table .color-preview {
+      width: 10px;
+      height: 10px;
+      min-width: 10px;
+      min-height: 10px;
+      margin-right: 6px;
+      vertical-align: middle;
+    }
+
+    .compare-jump {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      max-width: 180px;
+      padding: 0;
+      border: none;
+      background: none;
+      color: var(--fd-color-text-light);
+      font-family: inherit;
+      font-size: 12px;
+      text-align: left;
+      cursor: pointer;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .compare-jump:hover {
+      color: #2596FF;
+    }
+
+    .compare-jump b {
+      font-size: 16px;
+      line-height: 1;
+    }
+
+    .compare-empty {
+      margin: 0;
+    }
+
+    /* ========================================================================
+       CONTRAST BADGES
+       ======================================================================== */
+    .contrast-badge {
+      display: inline-block;
+      margin-left: 6px;
+      padding: 0 4px;
+      border: 1px solid currentColor;
+      border-radius: var(--fd-border-radius-sm);
+      font-family: inherit;
+      font-size: 11px;
+      font-weight: var(--fd-font-weight-medium);
+      line-height: 16px;
+      vertical-align: middle;
+    }
+
+    .contrast-badge.pass {
+      color: #30A46C;
+    }
+
+    .contrast-badge.fail {
+      color: #E5484D;
+    }
+
+    .contrast-size {
+      margin-left: 6px;
+      color: var(--fd-color-text);
+      font-family: inherit;
+      font-size: 11px;
+      vertical-align: middle;
+    }
+
+    /* ========================================================================
+       RENDERED FONT FALLBACK BADGE
+       ======================================================================== */
+    .font-fallback-badge {
+      display: inline-block;
+      margin-left: 6px;
+      padding: 0 4px;
+      border: 1px solid rgba(255, 176, 32, 0.6);
+      border-radius: var(--fd-border-radius-sm);
+      color: #FFB020;
+      font-family: inherit;
+      font-size: 11px;
+      line-height: 16px;
+      vertical-align: middle;
+    }
+  `;
+}
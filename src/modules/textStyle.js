@@ -0,0 +1,63 @@
+/**
+ * Text styling properties beyond the font itself: decoration, spacing, wrapping and direction
+ */
+
+// CSS property, message key and English label, in the order the tooltip lists them
+const PROPERTIES = [
+  { css: 'font-style', message: 'fontStyle', label: 'Font style' },
+  { css: 'text-transform', message: 'textTransform', label: 'Text transform' },
+  { css: 'text-decoration-line', message: 'textDecorationLine', label: 'Decoration' },
+  { css: 'text-decoration-style', message: 'textDecorationStyle', label: 'Decoration style' },
+  { css: 'text-decoration-color', message: 'textDecorationColor', label: 'Decoration color' },
+  { css: 'text-decoration-thickness', message: 'textDecorationThickness', label: 'Thickness' },
+  { css: 'text-underline-offset', message: 'textUnderlineOffset', label: 'Underline offset' },
+  { css: 'word-spacing', message: 'wordSpacing', label: 'Word spacing' },
+  { css: 'text-indent', message: 'textIndent', label: 'Text indent' },
+  { css: 'white-space', message: 'whiteSpace', label: 'White space' },
+  { css: 'text-overflow', message: 'textOverflow', label: 'Text overflow' },
+  { css: 'writing-mode', message: 'writingMode', label: 'Writing mode' },
+  { css: 'direction', message: 'direction', label: 'Direction' },
+  { css: 'hyphens', message: 'hyphens', label: 'Hyphens' },
+  { css: 'text-shadow', message: 'textShadow', label: 'Text shadow' },
+  { css: '-webkit-text-stroke', message: 'textStroke', label: 'Text stroke' }
+];
+
+// Decoration details only matter when there is a decoration line
+const DECORATION_DETAILS = [
+  'text-decoration-style',
+  'text-decoration-color',
+  'text-decoration-thickness',
+  'text-underline-offset'
+];
+
+export const TextStyle = {
+  PROPERTIES,
+
+  getValue(style, css) {
+    if (css === '-webkit-text-stroke') {
+      const width = style.getPropertyValue('-webkit-text-stroke-width');
+      if (!width || parseFloat(width) === 0) {
+        return 'none';
+      }
+      return `${width} ${style.getPropertyValue('-webkit-text-stroke-color')}`.trim();
+    }
+    if (css === 'hyphens') {
+      // Safari still only has the prefixed property
+      return style.getPropertyValue('hyphens') || style.getPropertyValue('-webkit-hyphens');
+    }
+    return style.getPropertyValue(css);
+  },
+
+  /**
+   * Read the text styling properties of an element
+   * @param {CSSStyleDeclaration} style - Computed style
+   * @returns {Object[]} - Properties with their computed `value`; unsupported ones are left out
+   */
+  read(style) {
+    const hasDecoration = !['', 'none'].includes(style.getPropertyValue('text-decoration-line'));
+    return PROPERTIES
+      .filter(({ css }) => hasDecoration || !DECORATION_DETAILS.includes(css))
+      .map(property => ({ ...property, value: this.getValue(style, property.css) }))
+      .filter(({ value }) => value);
+  }
+};
@@ -1,540 +1,850 @@
 /**
- * Tooltip management module for the FontDetector extension
+ * Hover tooltip, mini tooltip and the rows shared with fixed tooltips
  */
 
-import { getColorFromElement } from './colorUtils.js';
-import { getMessage } from './i18n.js';
-import { getFontInfo } from './fontDetection.js';
+import { CONSTANTS } from './constants.js';
+import { ShadowDOMManager } from './shadowDom.js';
+import { state } from './state.js';
+import { ColorUtils } from './colorUtils.js';
+import { ContrastUtils } from './contrast.js';
+import { DOMUtils } from './domUtils.js';
+import { FontFaceUtils } from './fontFaces.js';
+import { FontDetection } from './fontDetection.js';
+import { FontMatching } from './fontMatching.js';
+import { FontFile } from './fontFile.js';
+import { VariableAxes } from './variableAxes.js';
+import { FontFeatures } from './fontFeatures.js';
+import { TextStyle } from './textStyle.js';
+import { UnitConverter } from './units.js';
+import { Settings } from './contentSettings.js';
+import { GlyphAnalysis } from './glyphAnalysis.js';
+import { SpecDrift } from './specDrift.js';
+import { safeExecute } from './errors.js';
+import { SnippetGenerator } from './snippets.js';
+
+export const TooltipManager = {
+  createTooltip() {
+    const container = ShadowDOMManager.getContainer();
+    if (!container) {
+      console.warn('FontDetector: Shadow DOM container not available');
+      return null;
+    }
 
-// Tooltip elements
-let tooltip = null;
-let fixedTooltips = [];
-let fixedTooltipPositions = new Set();
-let lastTooltipContent = '';
+    // Remove existing tooltip from Shadow DOM
+    const existingTooltip = container.getElementById 
+      ? container.getElementById('fontInfoTooltip')
+      : container.querySelector('#fontInfoTooltip');
+    if (existingTooltip) {
+      DOMUtils.safeRemove(existingTooltip);
+    }
 
-/**
- * Initialize tooltip system
- */
-export function initTooltips() {
-  injectCSS();
-  tooltip = createTooltip();
-  document.body.appendChild(tooltip);
-}
+    const tooltipEl = document.createElement('div');
+    tooltipEl.classList.add('font-detector');
+    tooltipEl.setAttribute('id', 'fontInfoTooltip');
+    // Styles are now handled by Shadow DOM CSS, only set initial state
+    tooltipEl.style.display = 'none';
+    tooltipEl.style.opacity = '0';
 
-/**
- * Display the tooltip at the specified position with font information
- * @param {number} x - X coordinate
- * @param {number} y - Y coordinate
- * @param {Element} element - Target element to extract font info from
- */
-export function showTooltip(x, y, element) {
-  if (!tooltip) return;
-  
-  // Update position
-  updateTooltipPosition(tooltip, x, y);
-  
-  // Update content
-  updateTooltipContent(tooltip, element);
-  
-  // Show tooltip
-  tooltip.style.display = 'block';
-  
-  // Trigger fade-in animation
-  requestAnimationFrame(() => {
-    tooltip.style.opacity = '1';
-  });
-}
+    container.appendChild(tooltipEl);
 
-/**
- * Hide the tooltip
- */
-export function hideTooltip() {
-  if (!tooltip) return;
-  
-  tooltip.style.transition = ''; // Reset transition  
-  tooltip.style.opacity = '0';
-  tooltip.style.display = 'none';
-}
+    return tooltipEl;
+  },
 
-/**
- * Create a fixed tooltip at the specified position
- * @param {Event} event - Mouse event that triggered this
- * @param {Element} element - Element to extract font info from
- */
-export function createFixedTooltip(event, element) {
-  const x = event.clientX;
-  const y = event.clientY;
-  
-  // Create a position key to avoid duplicates in same area
-  const positionKey = `${Math.round(x/10)},${Math.round(y/10)}`;
-  
-  // Check if we already have a tooltip at this position
-  if (fixedTooltipPositions.has(positionKey)) {
-    return;
-  }
-  
-  // Create tooltip element
-  const fixedTooltip = document.createElement('div');
-  fixedTooltip.classList.add('font-detector', 'fixed-tooltip');
-  
-  // Add close button
-  const closeButton = document.createElement('div');
-  closeButton.classList.add('close-button');
-  closeButton.innerHTML = `<?xml version="1.0" encoding="UTF-8"?><svg width="16" height="16" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M8 8L40 40" stroke="#FFFFFF" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/><path d="M8 40L40 8" stroke="#FFFFFF" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/></svg>`;
-  closeButton.addEventListener('click', (e) => {
-    e.stopPropagation();
-    removeFixedTooltip(fixedTooltip);
-  });
-  fixedTooltip.appendChild(closeButton);
-  
-  // Add to DOM and position
-  document.body.appendChild(fixedTooltip);
-  
-  // Position tooltip
-  fixedTooltip.style.left = `${x}px`;
-  fixedTooltip.style.top = `${y}px`;
-  
-  // Update tooltip content
-  updateTooltipContent(fixedTooltip, element);
-  
-  // Add event listeners for copy functionality
-  const copyIcons = fixedTooltip.querySelectorAll('.copy-icon');
-  copyIcons.forEach(icon => {
-    icon.addEventListener('click', handleCopyClick);
-  });
-  
-  // Add to tracking collections
-  fixedTooltips.push(fixedTooltip);
-  fixedTooltipPositions.add(positionKey);
-  
-  // Return the tooltip element
-  return fixedTooltip;
-}
+  createMiniTooltip() {
+    const container = ShadowDOMManager.getContainer();
+    if (!container) {
+      console.warn('FontDetector: Shadow DOM container not available');
+      return null;
+    }
 
-/**
- * Remove a fixed tooltip
- * @param {Element} tooltip - The tooltip element to remove
- */
-export function removeFixedTooltip(tooltip) {
-  if (!tooltip) return;
-  
-  // Remove from DOM
-  tooltip.remove();
-  
-  // Remove from tracking arrays
-  const index = fixedTooltips.indexOf(tooltip);
-  if (index !== -1) {
-    fixedTooltips.splice(index, 1);
-  }
-  
-  // Note: we can't easily remove the position from fixedTooltipPositions
-  // since we don't store the reverse lookup, but that's fine as it's just for duplication prevention
-}
+    // Remove existing mini tooltip from Shadow DOM
+    const existingMiniTooltip = container.getElementById
+      ? container.getElementById('miniTooltip')
+      : container.querySelector('#miniTooltip');
+    if (existingMiniTooltip) {
+      DOMUtils.safeRemove(existingMiniTooltip);
+    }
 
-/**
- * Remove all fixed tooltips
- */
-export function removeAllFixedTooltips() {
-  try {
-    const tooltipsToRemove = [...fixedTooltips]; // Create a copy to iterate
-    fixedTooltipPositions = new Set(); // Reset positions tracking
-    fixedTooltips = [];
+    const miniTooltipEl = document.createElement('div');
+    miniTooltipEl.setAttribute('id', 'miniTooltip');
+    miniTooltipEl.textContent = chrome.i18n.getMessage('selectToViewFontInfo') ||
+      'Select to view font info';
+    // Set initial position, styles handled by Shadow DOM CSS
+    miniTooltipEl.style.left = '0';
+    miniTooltipEl.style.top = '0';
+
+    container.appendChild(miniTooltipEl);
     
-    // Remove each tooltip
-    tooltipsToRemove.forEach(t => {
-      try {
-        if (t && t.parentNode) {
-          t.remove();
-        }
-      } catch (err) {
-        console.error('Error removing fixed tooltip:', err);
+    requestAnimationFrame(() => {
+      miniTooltipEl.classList.add('visible');
+      if (state.lastMouseX && state.lastMouseY) {
+        this.updatePosition(miniTooltipEl,
+          state.lastMouseX + CONSTANTS.TOOLTIP.OFFSET,
+          state.lastMouseY + CONSTANTS.TOOLTIP.OFFSET);
       }
     });
-    
-    // Ensure all elements with .fixed-tooltip class are removed, in case of any missed
-    try {
-      const remainingTooltips = document.querySelectorAll('.fixed-tooltip');
-      remainingTooltips.forEach(t => {
-        try {
-          t.remove();
-        } catch (err) {}
-      });
-    } catch (err) {}
-  } catch (err) {
-    console.error('Error removing all fixed tooltips:', err);
-  }
-}
 
-/**
- * Update tooltip position
- * @param {Element} tooltip - The tooltip element
- * @param {number} x - X coordinate
- * @param {number} y - Y coordinate
- */
-function updateTooltipPosition(tooltip, x, y) {
-  const padding = 15; // Padding from cursor
-  const tooltipWidth = 250; // Width from CSS
-  const tooltipHeight = tooltip.getBoundingClientRect().height || 200;
-  
-  // Check if tooltip would go outside viewport
-  const viewportWidth = window.innerWidth;
-  const viewportHeight = window.innerHeight;
-  
-  // Adjust X position if needed
-  let tooltipX = x + padding;
-  if (tooltipX + tooltipWidth > viewportWidth) {
-    tooltipX = x - tooltipWidth - padding;
-  }
-  
-  // Adjust Y position if needed
-  let tooltipY = y + padding;
-  if (tooltipY + tooltipHeight > viewportHeight) {
-    tooltipY = y - tooltipHeight - padding;
-  }
-  
-  // Make sure we don't go negative
-  tooltipX = Math.max(0, tooltipX);
-  tooltipY = Math.max(0, tooltipY);
-  
-  // Update position
-  tooltip.style.left = `${tooltipX}px`;
-  tooltip.style.top = `${tooltipY}px`;
-}
+    return miniTooltipEl;
+  },
 
-/**
- * Update tooltip content with font information
- * @param {Element} tooltip - The tooltip element
- * @param {Element} element - The element to extract font info from
- */
-function updateTooltipContent(tooltip, element) {
-  const fontInfo = getFontInfo(element);
-  const colorInfo = getColorFromElement(element);
-  
-  // Caching: Only update if content would change
-  const now = Date.now();
-  const contentKey = JSON.stringify({fontInfo, colorInfo});
-  
-  if (contentKey !== lastTooltipContent || !tooltip.lastContentUpdate || (now - tooltip.lastContentUpdate > 1000)) {
-    lastTooltipContent = contentKey;
-    
-    let html = '';
-    
-    if (fontInfo) {
-      if (fontInfo.fontFamily) {
-        html += createInfoSection(getMessage('fontFamily'), fontInfo.fontFamily, true);
-      }
-      
-      if (fontInfo.fontWeight) {
-        html += createInfoSection(getMessage('fontWeight'), fontInfo.fontWeight);
-      }
-      
-      if (fontInfo.fontSize) {
-        html += createInfoSection(getMessage('fontSize'), fontInfo.fontSize);
-      }
-      
-      if (fontInfo.lineHeight) {
-        html += createInfoSection(getMessage('lineHeight'), fontInfo.lineHeight);
-      }
-      
-      if (fontInfo.letterSpacing) {
-        html += createInfoSection(getMessage('letterSpacing'), fontInfo.letterSpacing);
+  updatePosition(tooltipEl, x, y) {
+    if (!tooltipEl) {
+      return;
+    }
+    tooltipEl.style.left = `${x}px`;
+    tooltipEl.style.top = `${y}px`;
+  },
+
+  showTooltip(tooltipEl, event) {
+    if (!tooltipEl || !state.currentTarget) {
+      return;
+    }
+    this.updatePosition(tooltipEl,
+      event.clientX + CONSTANTS.TOOLTIP.OFFSET,
+      event.clientY + CONSTANTS.TOOLTIP.OFFSET);
+    this.updateContent(tooltipEl, state.currentTarget);
+
+    if (tooltipEl.style.display !== 'block') {
+      tooltipEl.style.display = 'block';
+      requestAnimationFrame(() => {
+        tooltipEl.classList.add('visible');
+      });
+    }
+  },
+
+  hideTooltip(tooltipEl) {
+    if (!tooltipEl) {
+      return;
+    }
+    tooltipEl.classList.remove('visible');
+    setTimeout(() => {
+      if (!tooltipEl.classList.contains('visible')) {
+        tooltipEl.style.display = 'none';
       }
-      
-      if (fontInfo.textAlign) {
-        html += createInfoSection(getMessage('textAlign'), fontInfo.textAlign);
+    }, CONSTANTS.DELAYS.TOOLTIP_HIDE);
+  },
+
+  updateContent(tooltipEl, element) {
+    if (!tooltipEl || !element) {
+      return;
+    }
+
+    const targetHash = element.outerHTML;
+    if (targetHash === tooltipEl.dataset.lastTargetHash) {
+      const fontValueEl = tooltipEl.querySelector('.font-family-value');
+      if (fontValueEl && fontValueEl.dataset.downloadStatus === 'pending') {
+        this.searchAndUpdateDownloadLink(tooltipEl, fontValueEl.dataset.font);
       }
-    } else {
-      html += `<div>${getMessage('noFontFound')}</div>`;
+      return;
     }
+
+    const content = this.generateContent(element);
+    if (content && tooltipEl.innerHTML !== content) {
+      tooltipEl.innerHTML = content;
+      tooltipEl.dataset.lastTargetHash = targetHash;
+      this.setupCopyHandlers(tooltipEl);
+      this.setupFontFamilyLinks(tooltipEl);
+      this.setupTextStyleToggle(tooltipEl);
+    }
+  },
+
+  generateContent(element) {
+    const style = getComputedStyle(element);
+    const colorInfo = ColorUtils.getColorFromElement(element);
     
-    // Add color information
+    const primaryFontFamily = style.fontFamily.split(',')[0].trim().replace(/['"]/g, '');
+    const renderedFont = safeExecute(() => FontDetection.getRenderedFont(element), null,
+      'getRenderedFont');
+    // Only web fonts expose their faces; system fonts are matched by the OS
+    const fontMatch = renderedFont && renderedFont.rendered
+      ? safeExecute(() => FontMatching.match(element, renderedFont.rendered), null,
+        'matchFontFace')
+      : null;
+
+    const copySvg = `<svg width="16" height="16" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M13 12.4316V7.8125C13 6.2592 14.2592 5 15.8125 5H40.1875C41.7408 5 43 6.2592 43 7.8125V32.1875C43 33.7408 41.7408 35 40.1875 35H35.5163" stroke="#a7a7a7" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/><path d="M32.1875 13H7.8125C6.2592 13 5 14.2592 5 15.8125V40.1875C5 41.7408 6.2592 43 7.8125 43H32.1875C33.7408 43 35 41.7408 35 40.1875V15.8125C35 14.2592 33.7408 13 32.1875 13Z" stroke="#a7a7a7" stroke-width="4" stroke-linejoin="round"/></svg>`;
+
+    const lengthRows = [
+      ['fontSize', 'Font size'],
+      ['letterSpacing', 'Letter Spacing'],
+      ['lineHeight', 'Line height']
+    ].map(([property, fallback]) => this.generateLengthRow(element, property, style[property],
+      chrome.i18n.getMessage(property) || fallback, copySvg)).join('');
+
+    let content = `
+      <div data-field="fontFamily">${chrome.i18n.getMessage('fontFamily') || 'Font family'} <span class="value-with-copy">
+        <span class="font-family-value" data-font="${primaryFontFamily}" data-download-status="pending">${primaryFontFamily}</span>
+        <span class="copy-icon" data-value="${primaryFontFamily}" title="${chrome.i18n.getMessage('clickToCopy') || 'Copy font name'}">
+          ${copySvg}
+        </span>
+      </span></div>
+      ${this.generateRenderedFontRow(renderedFont, copySvg)}
+      ${this.generateSynthesisWarning(fontMatch)}
+      <div data-field="fontWeight">${chrome.i18n.getMessage('fontWeight') || 'Font weight'} <span>${style.fontWeight}</span></div>
+      ${this.generateFontFaceRows(fontMatch)}
+      ${this.generateVariationSettingsRow(style)}
+      ${lengthRows}
+      <div data-field="textAlign">${chrome.i18n.getMessage('textAlign') || 'Text alignment'} <span>${style.textAlign}</span></div>
+      ${this.generateFontFeatureRow(style)}
+      ${this.generateTextStyleSection(element, style, copySvg)}
+    `;
+
     if (colorInfo) {
-      const {hex, lch, hcl} = colorInfo;
-      
-      // HEX Color
-      html += createColorInfoSection(getMessage('color.hex'), hex, hex);
-      
-      // LCH Color
-      const lchValue = `L: ${lch.l}, C: ${lch.c}, H: ${lch.h}`;
-      html += createColorInfoSection(getMessage('color.lch'), lchValue, hex);
-      
-      // HCL Color
-      const hclValue = `H: ${hcl.h}, C: ${hcl.c}, L: ${hcl.l}`;
-      html += createColorInfoSection(getMessage('color.hcl'), hclValue, hex);
+      content += `
+        <div data-field="color" data-color-format="hex">${chrome.i18n.getMessage('color') || 'Color'} <span class="value-with-copy">
+          <span class="color-value-container">
+            <span class="color-preview" style="background-color: ${colorInfo.hex}"></span>${colorInfo.hex}
+          </span>
+          <span class="copy-icon" data-value="${colorInfo.hex}" title="${chrome.i18n.getMessage('clickToCopy') || 'Copy color value'}">
+            ${copySvg}
+          </span>
+        </span></div>
+        ${this.generateColorFormatRows(colorInfo, copySvg)}
+      `;
     }
-    
-    tooltip.innerHTML = html;
-    
-    // Add copy icon click event
-    const copyIcons = tooltip.querySelectorAll('.copy-icon');
-    copyIcons.forEach(icon => {
-      icon.addEventListener('click', handleCopyClick);
-    });
-    
-    tooltip.lastContentUpdate = now;
-  }
-}
+    content += this.generateContrastRows(element, copySvg);
+    content += this.generateDesignSpecRow(style, colorInfo);
+
+    return content;
+  },
+
+  generateColorFormatRows(colorInfo, copySvg) {
+    const copyTitle = chrome.i18n.getMessage('clickToCopy') || 'Copy color value';
+    return ColorUtils.FORMATS.map(format => {
+      const label = chrome.i18n.getMessage(format.message) || format.label;
+      const value = ColorUtils.format(colorInfo, format.id);
+      return `
+        <div data-field="color" data-color-format="${format.id}">${label}
+          <span class="value-with-copy">
+            ${value}
+            <span class="copy-icon" data-value="${value}" title="${copyTitle}">
+              ${copySvg}
+            </span>
+          </span>
+        </div>
+      `;
+    }).join('');
+  },
 
-/**
- * Create an info section HTML for the tooltip
- * @param {string} label - Section label
- * @param {string} value - Section value
- * @param {boolean} isLink - Whether the value should be a link
- * @returns {string} - HTML for the section
- */
-function createInfoSection(label, value, isLink = false) {
-  const valueHtml = isLink 
-    ? `<a href="https://www.google.com/search?q=${encodeURIComponent(value)}" target="_blank" rel="noopener noreferrer">${value}</a>` 
-    : value;
-  
-  return `
-    <div>
-      ${label}
-      <div class="value-with-copy">
-        <span>${valueHtml}</span>
-        ${createCopyButton(value)}
-      </div>
-    </div>
-  `;
-}
+  generateContrastRows(element, copySvg) {
+    const contrast = safeExecute(() => ContrastUtils.analyze(element), null, 'analyzeContrast');
+    if (!contrast) {
+      return '';
+    }
 
-/**
- * Create a color info section HTML for the tooltip
- * @param {string} label - Section label
- * @param {string} value - Section value
- * @param {string} color - Color value for preview
- * @returns {string} - HTML for the section
- */
-function createColorInfoSection(label, value, color) {
-  return `
-    <div>
-      ${label}
-      <div class="value-with-copy">
-        <span class="color-value-container">
-          <span class="color-preview" style="background-color: ${color};"></span>
-          ${value}
+    const prefix = contrast.approximate ? '≈ ' : '';
+    const title = contrast.approximate
+      ? DOMUtils.escapeHTML(chrome.i18n.getMessage('contrastApproximate') ||
+        'Background has gradients or images; showing the lowest contrast found')
+      : '';
+    const sizeLabel = contrast.isLarge
+      ? (chrome.i18n.getMessage('contrastLargeText') || 'large text')
+      : (chrome.i18n.getMessage('contrastNormalText') || 'normal text');
+    const badges = [['AA', contrast.aa], ['AAA', contrast.aaa]]
+      .map(([level, pass]) => `<b class="contrast-badge ${pass ? 'pass' : 'fail'}">${level}</b>`)
+      .join('');
+    const size = `<small class="contrast-size">${sizeLabel}</small>`;
+    const copyTitle = chrome.i18n.getMessage('clickToCopy') || 'Copy color value';
+    const contrastLabel = chrome.i18n.getMessage('contrast') || 'Contrast';
+    const backgroundLabel = chrome.i18n.getMessage('background') || 'Background';
+
+    return `
+      <div data-field="contrast" title="${title}">${contrastLabel}
+        <span>${prefix}${contrast.ratio}:1${badges}${size}</span>
+      </div>
+      <div data-field="contrast" title="${title}">APCA
+        <span>${prefix}Lc ${contrast.apca}</span>
+      </div>
+      <div data-field="contrast">${backgroundLabel}
+        <span class="value-with-copy">
+          <span class="color-value-container">
+            <span class="color-preview" style="background-color: ${contrast.background}"></span>
+            ${contrast.background}
+          </span>
+          <span class="copy-icon" data-value="${contrast.background}" title="${copyTitle}">
+            ${copySvg}
+          </span>
         </span>
-        ${createCopyButton(value)}
       </div>
-    </div>
-  `;
-}
-
-/**
- * Create copy button HTML
- * @param {string} value - Value to copy
- * @returns {string} - HTML for the copy button
- */
-function createCopyButton(value) {
-  return `
-    <div class="copy-icon" title="${getMessage('clickToCopy')}" data-copy="${value}">
-      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="#ffffff" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-        <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
-        <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
-      </svg>
-    </div>
-  `;
-}
-
-/**
- * Handle click on copy icon
- * @param {Event} event - Click event
- */
-function handleCopyClick(event) {
-  event.stopPropagation();
-  const copyText = event.currentTarget.getAttribute('data-copy');
-  
-  if (copyText) {
-    // Copy to clipboard
-    navigator.clipboard.writeText(copyText).then(() => {
-      // Change icon to checkmark
-      event.currentTarget.innerHTML = `
-        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="#4CAF50" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-          <path d="M20 6L9 17l-5-5"/>
-        </svg>
-      `;
-      
-      // Change back after 2 seconds
-      setTimeout(() => {
-        event.currentTarget.innerHTML = `
-          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="#ffffff" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
-            <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
-          </svg>
-        `;
-      }, 2000);
-    }).catch(err => {
-      console.error('Failed to copy:', err);
+    `;
+  },
+
+  generateDesignSpecRow(style, colorInfo) {
+    const result = SpecDrift.compare({
+      fontFamily: style.fontFamily,
+      fontSize: style.fontSize,
+      fontWeight: style.fontWeight,
+      lineHeight: style.lineHeight,
+      letterSpacing: style.letterSpacing,
+      color: colorInfo ? colorInfo.hex : null
     });
-  }
-}
-
-/**
- * Create the tooltip element
- * @returns {Element} - Tooltip DOM element
- */
-function createTooltip() {
-  // If existing tooltip, remove first
-  const existingTooltip = document.getElementById('fontInfoTooltip');
-  if (existingTooltip) {
-    existingTooltip.remove();
-  }
-  
-  const tooltip = document.createElement('div'); 
-  tooltip.classList.add('font-detector');
-  tooltip.setAttribute('id', 'fontInfoTooltip');
-  tooltip.style.position = 'fixed'; // Use fixed positioning
-  tooltip.style.display = 'none';
-  tooltip.style.opacity = '0';
-  tooltip.style.zIndex = '2147483647'; // Max z-index
-  tooltip.style.transition = 'opacity 0.15s ease'; // Fade animation
-  
-  return tooltip;
-}
-
-/**
- * Inject CSS styles for the font detector
- */
-function injectCSS() {
-  const fontImport = "@import url('https://fonts.googleapis.com/css2?family=Poppins:wght@400;700&display=swap');";
+    if (!result) {
+      return '';
+    }
+    const label = chrome.i18n.getMessage('designSpec') || 'Design spec';
+    return `
+      <div data-field="designSpec" class="design-spec">${label}
+        ${SpecDrift.renderMatches(result)}
+      </div>
+    `;
+  },
 
-  const css = `
-    .font-detector {
-      color: #A8A8A8;
-      z-index: 2147483647 !important;
+  generateRenderedFontRow(renderedFont, copySvg) {
+    if (!renderedFont) {
+      return '';
     }
 
-    .font-detector span {
-      color: #fff;
+    const label = chrome.i18n.getMessage('renderedFont') || 'Rendered font';
+    const value = renderedFont.rendered
+      ? DOMUtils.escapeHTML(renderedFont.rendered)
+      : (chrome.i18n.getMessage('systemDefaultFont') || 'System default');
+    const copyTitle = chrome.i18n.getMessage('clickToCopy') || 'Copy font name';
+
+    let badge = '';
+    if (renderedFont.isFallback) {
+      const stack = DOMUtils.escapeHTML(renderedFont.stack.join(', '));
+      const text = chrome.i18n.getMessage('fontFallback') || 'fallback';
+      badge = `<small class="font-fallback-badge" title="${stack}">${text}</small>`;
     }
 
-    #fontInfoTooltip, .fixed-tooltip {
-      backdrop-filter: blur(50px);
-      border: 1px solid #2F2F2F;
-      background-color: rgba(30, 30, 30, 0.85);  
-      font-family: 'Poppins', Arial, sans-serif;
-      padding: 16px 16px;
-      border-radius: 16px;
-      width: 250px;
-      word-wrap: break-word;
-      position: relative;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-      transition: opacity 0.15s ease;
-      opacity: 1;
+    return `
+      <div data-field="renderedFont">${label} <span class="value-with-copy">
+        <span>${value}${badge}</span>
+        <span class="copy-icon" data-value="${value}" title="${copyTitle}">
+          ${copySvg}
+        </span>
+      </span></div>
+    `;
+  },
+
+  generateFontFaceRows(match) {
+    if (!match) {
+      return '';
     }
 
-    #fontInfoTooltip h1, .fixed-tooltip h1 {
-      display: none; /* Remove Font Information */
+    const faces = match.faces.map(face => {
+      const classes = ['font-face'];
+      if (face === match.selected) {
+        classes.push('selected');
+      }
+      if (face.status !== 'loaded') {
+        classes.push('unloaded');
+      }
+      return `
+        <div class="${classes.join(' ')}" title="${face.status}">
+          <strong>${FontMatching.formatRange(face.weight)}</strong>
+          <i>${FontMatching.formatStyle(face.style)}</i>
+          <small>${FontMatching.formatRange(face.stretch, '%')}</small>
+        </div>
+      `;
+    }).join('');
+
+    const label = chrome.i18n.getMessage('fontFaces') || 'Font faces';
+    const reasons = this.getFontMatchReasons(match)
+      .map(reason => `<small class="font-match-reason">${DOMUtils.escapeHTML(reason)}</small>`)
+      .join('');
+
+    return `
+      <div data-field="fontFaces">${label}
+        <div class="font-faces">${faces}</div>
+        ${reasons}
+      </div>
+    `;
+  },
+
+  generateSynthesisWarning(match) {
+    if (!match || !(match.synthesizedBold || match.synthesizedItalic)) {
+      return '';
     }
-  
-    #fontInfoTooltip div, .fixed-tooltip div {
-      display: flex;
-      flex-direction: column; /* Vertical arrangement of title and content */
-      color: #A8A8A8;
-      font-size: 13px; /* Title font size */
-      margin-bottom: 6px;
-      gap: 2px;
+
+    const warnings = [];
+    if (match.synthesizedBold) {
+      const requested = String(match.requested.weight);
+      const used = FontMatching.formatRange(match.selected.weight);
+      warnings.push([
+        chrome.i18n.getMessage('fontSynthesizedBold') || 'Faux bold',
+        chrome.i18n.getMessage('fontSynthesizedBoldDetail', [requested, used]) ||
+          `No ${requested} face is loaded; the browser thickens the ${used} face`
+      ]);
     }
-  
-    #fontInfoTooltip div span, .fixed-tooltip div span {
-      color: #FFFFFF;
-      font-size: 14px; /* Content font size */
-      margin-left: 0px; /* Remove spacing between title and content */
-      font-weight: 500; /* Medium font weight for content */
+    if (match.synthesizedItalic) {
+      warnings.push([
+        chrome.i18n.getMessage('fontSynthesizedItalic') || 'Faux italic',
+        chrome.i18n.getMessage('fontSynthesizedItalicDetail') ||
+          'No italic face is loaded; the browser slants the upright face'
+      ]);
     }
 
-    #fontInfoTooltip a, .fixed-tooltip a {
-      text-decoration: none;
-      color: inherit;
+    return warnings.map(([title, detail]) => `
+      <div data-field="synthesisWarning" class="synthesis-warning">
+        <strong>⚠ ${DOMUtils.escapeHTML(title)}</strong>
+        <small>${DOMUtils.escapeHTML(detail)}</small>
+      </div>
+    `).join('');
+  },
+
+  generateFontFeatureRow(style) {
+    const changed = FontFeatures.getChanged(FontFeatures.read(style));
+    const label = chrome.i18n.getMessage('fontFeatures') || 'Font features';
+    const values = changed.length > 0
+      ? changed.map(([property, value]) => `
+        <small class="font-feature">${property}: <b>${DOMUtils.escapeHTML(value)}</b></small>
+      `).join('')
+      : `<span>${chrome.i18n.getMessage('fontFeaturesDefault') || 'Defaults'}</span>`;
+    return `<div data-field="fontFeatures">${label} ${values}</div>`;
+  },
+
+  getUnitOptions() {
+    return {
+      unit: Settings.values.lengthUnit,
+      lineHeightRatio: Settings.values.lineHeightRatio
+    };
+  },
+
+  /**
+   * Render a length in the preferred unit, copied in that unit, with the other units below
+   * @param {Element} element - Element the length belongs to
+   * @param {string} property - Computed style key, also used as the tooltip field
+   * @param {string} value - Computed value
+   * @param {string} label - Localized row label
+   * @param {string} copySvg - Copy icon markup
+   */
+  generateLengthRow(element, property, value, label, copySvg) {
+    const length = UnitConverter.describe(element, property, value, this.getUnitOptions());
+    const lengthValue = DOMUtils.escapeHTML(length.value);
+    const copyTitle = chrome.i18n.getMessage('clickToCopy') || 'Copy value';
+    const conversions = length.conversions.length > 0
+      ? `<small class="unit-conversions">${length.conversions.join(' · ')}</small>`
+      : '';
+    return `
+      <div data-field="${property}">${label}
+        <span class="value-with-copy">
+          ${lengthValue}
+          <span class="copy-icon" data-value="${lengthValue}" title="${copyTitle}">
+            ${copySvg}
+          </span>
+        </span>
+        ${conversions}
+      </div>
+    `;
+  },
+
+  generateTextStyleSection(element, style, copySvg) {
+    const copyTitle = chrome.i18n.getMessage('clickToCopy') || 'Copy value';
+    const unitOptions = this.getUnitOptions();
+    const rows = TextStyle.read(style).map(property => {
+      const label = chrome.i18n.getMessage(property.message) || property.label;
+      const value = DOMUtils.escapeHTML(
+        UnitConverter.describe(element, property.css, property.value, unitOptions).value);
+      return `
+        <div class="text-style-row" title="${property.css}">${label}
+          <span class="value-with-copy">
+            ${value}
+            <span class="copy-icon" data-value="${value}" title="${copyTitle}">
+              ${copySvg}
+            </span>
+          </span>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div data-field="textStyle" class="text-style">
+        <button type="button" class="text-style-toggle" aria-expanded="false">
+          ${chrome.i18n.getMessage('textStyleMore') || 'More text properties'}
+        </button>
+        <div class="text-style-rows" hidden>${rows}</div>
+      </div>
+    `;
+  },
+
+  setupTextStyleToggle(tooltipEl) {
+    const toggle = tooltipEl.querySelector('.text-style-toggle');
+    if (!toggle) {
+      return;
     }
+    toggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const rows = tooltipEl.querySelector('.text-style-rows');
+      const expanded = rows.hidden;
+      rows.hidden = !expanded;
+      toggle.setAttribute('aria-expanded', String(expanded));
+      toggle.textContent = expanded
+        ? (chrome.i18n.getMessage('textStyleLess') || 'Fewer text properties')
+        : (chrome.i18n.getMessage('textStyleMore') || 'More text properties');
+    });
+  },
 
-    .color-preview {
-      width: 12px;
-      height: 12px;
-      border-radius: 50%;
-      display: inline-block;
-      margin-right: 8px;
-      border: 1px solid rgba(255, 255, 255, 0.2);
-      vertical-align: middle;
+  generateVariationSettingsRow(style) {
+    const value = style.fontVariationSettings;
+    if (!value || value === 'normal') {
+      return '';
     }
-    
-    .color-value-container {
-      display: flex;
-      flex-direction: row;
-      align-items: center;
-      justify-content: flex-start;
+    const label = chrome.i18n.getMessage('variationSettings') || 'Variation settings';
+    return `
+      <div data-field="variableAxes">${label} <span>${DOMUtils.escapeHTML(value)}</span></div>
+    `;
+  },
+
+  getFontMatchReasons(match) {
+    const reasons = [];
+    const requestedWeight = String(match.requested.weight);
+    const usedWeight = String(match.weight);
+
+    if (match.weightMatch === 'exact') {
+      reasons.push(chrome.i18n.getMessage('fontMatchExact') || 'Exact weight match');
+    } else if (match.weightMatch === 'heavier') {
+      reasons.push(chrome.i18n.getMessage('fontMatchHeavier', [usedWeight, requestedWeight]) ||
+        `Nearest heavier weight: ${usedWeight} for ${requestedWeight}`);
+    } else {
+      reasons.push(chrome.i18n.getMessage('fontMatchLighter', [usedWeight, requestedWeight]) ||
+        `Nearest lighter weight: ${usedWeight} for ${requestedWeight}`);
     }
 
-    .close-button {
-      position: absolute;
-      top: 10px;
-      right: 10px;
-      width: 16px;
-      height: 16px;
-      border-radius: 50%;
-      background-color: rgba(60, 60, 60, 0.7);
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      cursor: pointer;
-      transition: background-color 0.2s;
+    if (!match.styleMatch) {
+      const requestedStyle = match.requested.style.kind;
+      const usedStyle = match.selected.style.kind;
+      reasons.push(chrome.i18n.getMessage('fontMatchStyle', [requestedStyle, usedStyle]) ||
+        `No ${requestedStyle} face, using ${usedStyle}`);
     }
-
-    .close-button:hover {
-      background-color: rgba(80, 80, 80, 0.9);
+    if (!match.stretchMatch) {
+      const requestedStretch = `${match.requested.stretch}%`;
+      const usedStretch = `${match.stretch}%`;
+      reasons.push(chrome.i18n.getMessage('fontMatchStretch', [requestedStretch, usedStretch]) ||
+        `No ${requestedStretch} width, using ${usedStretch}`);
     }
+    return reasons;
+  },
 
-    .close-button svg {
-      width: 16px;
-      height: 16px;
-    }
+  appendGlyphBreakdown(tooltipEl, range, element) {
+    const segments = safeExecute(() => (range
+      ? GlyphAnalysis.analyzeRange(range)
+      : GlyphAnalysis.analyzeElement(element)), [], 'glyphAnalysis');
 
-    .fixed-tooltip {
-      position: absolute;
-      z-index: 2147483647 !important;
+    // Single-font text is already covered by the rendered font row
+    if (!GlyphAnalysis.isMixed(segments)) {
+      return;
     }
 
-    /* CSS for copy button and checkmark */
-    .copy-icon {
-      width: 24px;
-      height: 24px;
-      margin-left: 8px;
-      display: inline-flex;
-      align-items: center;
-      justify-content: center;
-      cursor: pointer;
-      position: relative;
-      background-color: transparent;
-      border-radius: 4px;
-      transition: background-color 0.2s;
+    const fallbackName = chrome.i18n.getMessage('systemDefaultFont') || 'System default';
+    const rows = segments.map(segment => {
+      const preview = segment.text.length > GlyphAnalysis.SEGMENT_PREVIEW_LENGTH
+        ? `${segment.text.slice(0, GlyphAnalysis.SEGMENT_PREVIEW_LENGTH)}…`
+        : segment.text;
+      const family = DOMUtils.escapeHTML(segment.family || fallbackName);
+      return `
+        <div class="glyph-segment">
+          <strong class="glyph-segment-family">${family}</strong>
+          <em class="glyph-segment-text">→ '${DOMUtils.escapeHTML(preview)}'</em>
+        </div>
+      `;
+    }).join('');
+
+    const section = document.createElement('div');
+    section.classList.add('glyph-breakdown');
+    section.dataset.field = 'glyphBreakdown';
+    section.innerHTML = `${chrome.i18n.getMessage('glyphBreakdown') || 'Glyph Fallback'}
+      <div class="glyph-segments">${rows}</div>`;
+    tooltipEl.appendChild(section);
+  },
+
+  appendFontFileInfo(tooltipEl, element) {
+    const renderedFont = safeExecute(() => FontDetection.getRenderedFont(element), null,
+      'getRenderedFont');
+    const urls = safeExecute(() => FontFile.findElementSources(element, renderedFont), [],
+      'findFontFile');
+    if (urls.length === 0) {
+      return;
     }
 
-    .copy-icon:hover {
-      background-color: rgba(255, 255, 255, 0.1);
-    }
+    const section = document.createElement('div');
+    section.classList.add('font-file');
+    section.dataset.field = 'fontFile';
+    const label = chrome.i18n.getMessage('fontFile') || 'Font file';
+    const loading = chrome.i18n.getMessage('fontFileLoading') || 'Reading font file…';
+    section.innerHTML = `${label}<i class="font-file-status">${loading}</i>`;
+    tooltipEl.appendChild(section);
+
+    const loaded = FontFile.loadFirst(urls);
+    // The axes are a section of their own, so a failure rendering the file rows cannot hide them
+    loaded
+      .then(info => safeExecute(() => this.appendVariableAxes(section, element, info), null,
+        'appendVariableAxes'))
+      // Load failures are reported in the file row
+      .catch(() => {});
+    loaded
+      .then(info => {
+        const rows = this.generateFontFileRows(info);
+        section.innerHTML = `${label}<div class="font-file-rows">${rows}</div>`;
+        this.setupFontFileLinks(section);
+      })
+      .catch(error => {
+        console.warn('FontDetector: failed to read font file', urls.join(', '), error.message);
+        const message = chrome.i18n.getMessage('fontFileError') || 'Font file could not be read';
+        const reason = DOMUtils.escapeHTML(error.message);
+        section.innerHTML = `${label}<i class="font-file-status" title="${reason}">${message}</i>`;
+      });
+  },
 
-    .copy-icon svg {
-      width: 14px;
-      height: 14px;
-      display: block; /* Ensure SVG has no extra space */
+  appendVariableAxes(fontFileSection, element, info) {
+    const axes = info.axes.filter(axis => !axis.hidden);
+    if (axes.length === 0) {
+      return;
     }
 
-    .value-with-copy {
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
+    const sources = {
+      settings: chrome.i18n.getMessage('axisSourceSettings') || 'Set by font-variation-settings',
+      property: chrome.i18n.getMessage('axisSourceProperty') ||
+        'Set by font-weight, font-stretch, font-style or font-size',
+      default: chrome.i18n.getMessage('axisSourceDefault') || 'Axis default'
+    };
+    const rows = VariableAxes.getInstance(element, axes).map(axis => `
+      <div class="font-file-row axis-row" title="${DOMUtils.escapeHTML(sources[axis.source])}">
+        <b>${DOMUtils.escapeHTML(axis.name)} <small>${DOMUtils.escapeHTML(axis.tag)}</small></b>
+        <strong>${axis.value}</strong>
+        <small>${axis.min} · ${axis.default} · ${axis.max}</small>
+      </div>
+    `).join('');
+
+    const section = document.createElement('div');
+    section.classList.add('variable-axes');
+    section.dataset.field = 'variableAxes';
+    section.innerHTML = `${chrome.i18n.getMessage('variableAxes') || 'Variable axes'}
+      <div class="font-file-rows">${rows}</div>
+      <div class="fd-panel-actions">
+        <button type="button" class="fd-button">
+          ${chrome.i18n.getMessage('axesPlayground') || 'Axis playground'}
+        </button>
+      </div>`;
+
+    section.querySelector('button').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      VariableAxes.open(element, info.axes);
+    });
+    fontFileSection.after(section);
+  },
+
+  generateFontFileRows(info) {
+    const { names, os2 } = info;
+    const language = chrome.i18n.getUILanguage();
+    const scriptNames = typeof Intl.DisplayNames === 'function'
+      ? new Intl.DisplayNames([language], { type: 'script', fallback: 'code' })
+      : null;
+    const scripts = FontFile.getScripts(info)
+      .map(code => (scriptNames ? scriptNames.of(code) : code))
+      .join(', ');
+    const size = new Intl.NumberFormat(language, { maximumFractionDigits: 1 })
+      .format(info.byteLength / 1024);
+
+    const rows = [
+      ['fontFullName', 'Full name', names.fullName],
+      ['fontVersion', 'Version', names.version],
+      ['fontDesigner', 'Designer', names.designer],
+      ['fontFoundry', 'Foundry', names.manufacturer || (os2 && os2.vendorId)],
+      ['fontGlyphCount', 'Glyphs', info.glyphCount],
+      ['fontScripts', 'Scripts', scripts],
+      ['fontFileFeatures', 'Features', info.features.map(tag => tag.trim()).sort().join(', ')],
+      ['fontFileFormat', 'File', `${info.format.toUpperCase()} · ${size} KB`]
+    ];
+
+    let html = rows
+      .filter(([, , value]) => value !== null && value !== undefined && value !== '')
+      .map(([message, fallback, value]) => `
+        <div class="font-file-row">
+          <b>${chrome.i18n.getMessage(message) || fallback}</b>
+          <strong>${DOMUtils.escapeHTML(String(value))}</strong>
+        </div>
+      `).join('');
+
+    if (names.licenseUrl && /^https?:\/\//i.test(names.licenseUrl)) {
+      const licenseUrl = DOMUtils.escapeHTML(names.licenseUrl);
+      html += `
+        <div class="font-file-row">
+          <b>${chrome.i18n.getMessage('fontLicense') || 'License'}</b>
+          <a class="font-file-link" data-url="${licenseUrl}" title="${licenseUrl}">${licenseUrl}</a>
+        </div>
+      `;
     }
+    return html;
+  },
+
+  setupFontFileLinks(section) {
+    section.querySelectorAll('.font-file-link').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        chrome.runtime.sendMessage({ action: 'openFontPage', pageUrl: link.dataset.url });
+      });
+    });
+  },
+
+  appendCopyAsMenu(tooltipEl, element) {
+    const buttons = SnippetGenerator.FORMATS.map(format => `
+      <button type="button" class="fd-button" data-snippet="${format.id}">${format.label}</button>
+    `).join('');
+
+    const section = document.createElement('div');
+    section.classList.add('copy-as');
+    section.dataset.field = 'copyAs';
+    section.innerHTML = `${chrome.i18n.getMessage('copyAs') || 'Copy as'}
+      <div class="fd-panel-actions">${buttons}</div>`;
+
+    section.querySelectorAll('[data-snippet]').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (!navigator.clipboard) {
+          return;
+        }
+
+        const sampleText = (tooltipEl.dataset.selectedText || element.textContent || '')
+          .trim()
+          .replace(/\s+/g, ' ')
+          .slice(0, SnippetGenerator.SAMPLE_TEXT_LENGTH);
+        const snippet = safeExecute(
+          () => SnippetGenerator.generate(button.dataset.snippet, element, sampleText,
+            this.getUnitOptions()),
+          '',
+          'generateSnippet'
+        );
+        if (!snippet) {
+          return;
+        }
+
+        navigator.clipboard.writeText(snippet).then(() => {
+          const label = SnippetGenerator.FORMATS
+            .find(format => format.id === button.dataset.snippet).label;
+          button.textContent = chrome.i18n.getMessage('copied') || 'Copied';
+          button.classList.add('copied');
+          setTimeout(() => {
+            button.textContent = label;
+            button.classList.remove('copied');
+          }, CONSTANTS.DELAYS.COPY_FEEDBACK);
+        });
+      });
+    });
+
+    tooltipEl.appendChild(section);
+  },
+
+  setupCopyHandlers(tooltipEl) {
+    const copyIcons = tooltipEl.querySelectorAll('.copy-icon');
+    copyIcons.forEach(icon => {
+      icon.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const valueToCopy = icon.dataset.value;
+        if (!valueToCopy || !navigator.clipboard) {
+          return;
+        }
 
-    #fontInfoTooltip {
-      pointer-events: none;
+        navigator.clipboard.writeText(valueToCopy).then(() => {
+          const originalSvg = icon.innerHTML;
+          icon.innerHTML = `<svg width="16" height="16" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M43 11L16.875 37L5 25.1818" stroke="#2596FF" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/></svg>`;
+          setTimeout(() => {
+            icon.innerHTML = originalSvg;
+          }, CONSTANTS.DELAYS.COPY_FEEDBACK);
+        });
+      });
+    });
+  },
+
+  async searchAndUpdateDownloadLink(tooltipEl, fontFamily) {
+    const fontValueEl = tooltipEl.querySelector('.font-family-value');
+    if (!fontValueEl) return;
+    
+    if (fontValueEl.dataset.downloadStatus !== 'pending') return;
+    fontValueEl.dataset.downloadStatus = 'searching';
+    
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: 'searchFontDownload',
+        fontFamily: fontFamily,
+        fontFaceUrl: safeExecute(() => FontFaceUtils.findSourceUrl(fontFamily), null,
+          'findSourceUrl')
+      });
+      
+      if (result?.url) {
+        fontValueEl.classList.add('has-download');
+        fontValueEl.dataset.url = result.url;
+        fontValueEl.dataset.type = result.type;
+        fontValueEl.dataset.downloadStatus = 'found';
+        fontValueEl.dataset.source = result.source;
+        const label = chrome.i18n.getMessage('downloadFont') || 'Download font';
+        fontValueEl.title = `${label} (${result.source})`;
+      } else {
+        fontValueEl.classList.remove('has-download');
+        delete fontValueEl.dataset.url;
+        delete fontValueEl.dataset.type;
+        delete fontValueEl.dataset.source;
+        fontValueEl.removeAttribute('title');
+        fontValueEl.dataset.downloadStatus = 'not-found';
+      }
+    } catch (error) {
+      console.warn('searchFontDownload failed:', error);
+      fontValueEl.classList.remove('has-download');
+      delete fontValueEl.dataset.url;
+      delete fontValueEl.dataset.type;
+      delete fontValueEl.dataset.source;
+      fontValueEl.dataset.downloadStatus = 'error';
     }
+  },
+
+  setupFontFamilyLinks(tooltipEl) {
+    const fontValueEl = tooltipEl.querySelector('.font-family-value');
+    if (!fontValueEl) return;
+    
+    if (fontValueEl.dataset.listenerBound) return;
+    fontValueEl.dataset.listenerBound = 'true';
+    
+    fontValueEl.addEventListener('click', (e) => {
+      const url = fontValueEl.dataset.url;
+      if (!url || !fontValueEl.classList.contains('has-download')) {
+        return;
+      }
+
+      e.preventDefault();
+      e.stopPropagation();
 
-    #fontInfoTooltip .copy-icon {
-      pointer-events: auto;
+      chrome.runtime.sendMessage({
+        action: 'openFontPage',
+        pageUrl: url,
+        type: fontValueEl.dataset.type
+      });
+    });
+    
+    this.searchAndUpdateDownloadLink(tooltipEl, fontValueEl.dataset.font);
+  },
+
+  removeAllFixedTooltips() {
+    const container = ShadowDOMManager.getContainer();
+    
+    if (state.isCreatingFixedTooltip) {
+      // Query from Shadow DOM container if available, fallback to document
+      const queryTarget = container || document;
+      const tooltipsToRemove = queryTarget.querySelectorAll(
+        '.fixed-tooltip:not([data-protected="true"])'
+      );
+      tooltipsToRemove.forEach(t => {
+        state.fixedTooltipPositions.delete(t.dataset.positionKey);
+        DOMUtils.safeRemove(t);
+        state.fixedTooltips = state.fixedTooltips.filter(existing => existing !== t);
+      });
+      return;
     }
-  `;
 
-  const style = document.createElement('style');
-  style.textContent = fontImport + css;
-  document.head.appendChild(style);
-} 
\ No newline at end of file
+    state.fixedTooltipPositions.clear();
+    const tooltipsToRemove = [...state.fixedTooltips];
+    state.fixedTooltips = [];
+
+    tooltipsToRemove.forEach(t => DOMUtils.safeRemove(t));
+
+    // Cleanup any remaining tooltips from Shadow DOM
+    setTimeout(() => {
+      const queryTarget = container || document;
+      queryTarget.querySelectorAll('.fixed-tooltip').forEach(t => DOMUtils.safeRemove(t));
+    }, 10);
+  }
+};
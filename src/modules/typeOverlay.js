@@ -0,0 +1,216 @@
+/**
+ * Typography overlay for the hovered element: text box, padding, line boxes and the baseline,
+ * x-height and cap-height guides of every line
+ */
+
+import { ShadowDOMManager } from './shadowDom.js';
+import { DOMUtils } from './domUtils.js';
+import { FontDetection } from './fontDetection.js';
+
+export const TypeOverlay = {
+  // Long articles would otherwise add thousands of guide boxes per hover
+  MAX_LINES: 200,
+  MAX_TEXT_NODES: 2000,
+
+  el: null,
+  target: null,
+  // Font metrics by font shorthand; measureText is slow enough to notice on every hover
+  metricsCache: new Map(),
+
+  /**
+   * Ascent and descent of the font's content area, and its x-height and cap height, in px
+   * @param {CSSStyleDeclaration} style - Computed style of the text
+   * @returns {{ascent: number, descent: number, xHeight: number, capHeight: number}|null} -
+   *   null when the browser has no font metrics in canvas
+   */
+  getMetrics(style) {
+    const font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+    if (this.metricsCache.has(font)) {
+      return this.metricsCache.get(font);
+    }
+
+    const ctx = FontDetection.getContext();
+    let metrics = null;
+    if (ctx) {
+      ctx.font = font;
+      const box = ctx.measureText('Hx');
+      if (typeof box.fontBoundingBoxAscent === 'number') {
+        metrics = {
+          ascent: box.fontBoundingBoxAscent,
+          descent: box.fontBoundingBoxDescent,
+          xHeight: ctx.measureText('x').actualBoundingBoxAscent,
+          capHeight: ctx.measureText('H').actualBoundingBoxAscent
+        };
+      }
+    }
+    this.metricsCache.set(font, metrics);
+    return metrics;
+  },
+
+  /**
+   * Group the client rects of the element's text into lines
+   * @param {Element} element - Hovered element
+   * @returns {Object[]} - Lines with left, right, top, bottom and the node that starts them
+   */
+  collectLines(element) {
+    const lines = [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => /\S/.test(node.data)
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT
+    });
+    const range = document.createRange();
+
+    let node;
+    let count = 0;
+    while ((node = walker.nextNode()) && count++ < this.MAX_TEXT_NODES &&
+        lines.length <= this.MAX_LINES) {
+      range.selectNodeContents(node);
+      Array.from(range.getClientRects()).forEach(rect => {
+        if (rect.width === 0 || rect.height === 0) {
+          return;
+        }
+        // A fragment is on a line when its vertical center falls inside that line
+        const center = rect.top + rect.height / 2;
+        const line = lines.find(item => center >= item.top && center <= item.bottom);
+        if (line) {
+          line.left = Math.min(line.left, rect.left);
+          line.right = Math.max(line.right, rect.right);
+          if (node.parentElement === element && line.node.parentElement !== element) {
+            // The element's own text sets the baseline its font is measured against
+            Object.assign(line, { node, rectTop: rect.top });
+          }
+        } else {
+          lines.push({
+            left: rect.left,
+            right: rect.right,
+            top: rect.top,
+            bottom: rect.bottom,
+            rectTop: rect.top,
+            node
+          });
+        }
+      });
+    }
+    return lines.slice(0, this.MAX_LINES);
+  },
+
+  /**
+   * Markup of a box in page coordinates
+   * @param {string} className - Class of the box
+   * @param {{left: number, top: number, width: number, height: number}} box - Viewport box
+   * @param {string} [extraStyle] - Additional inline style
+   */
+  renderBox(className, box, extraStyle = '') {
+    const left = box.left + window.pageXOffset;
+    const top = box.top + window.pageYOffset;
+    return `<div class="${className}" style="left: ${left}px; top: ${top}px; ` +
+      `width: ${Math.max(0, box.width)}px; height: ${Math.max(0, box.height)}px;` +
+      `${extraStyle}"></div>`;
+  },
+
+  renderLine(line, style) {
+    const text = line.node.parentElement;
+    const textStyle = text ? getComputedStyle(text) : style;
+    const metrics = this.getMetrics(textStyle);
+    const width = line.right - line.left;
+    const guide = (className, y) => this.renderBox(className,
+      { left: line.left, top: y, width, height: 0 });
+
+    if (!metrics) {
+      return this.renderBox('type-overlay-line',
+        { left: line.left, top: line.top, width, height: line.bottom - line.top });
+    }
+
+    // Text rects cover the content area, so the baseline sits one ascent below their top
+    const baseline = line.rectTop + metrics.ascent;
+    const contentHeight = metrics.ascent + metrics.descent;
+    const lineHeight = parseFloat(textStyle.lineHeight);
+    const height = Number.isFinite(lineHeight) ? lineHeight : contentHeight;
+    const ownMetrics = text === this.target ? metrics : this.getMetrics(style);
+
+    return [
+      // Half the leading goes above the content area and half below
+      this.renderBox('type-overlay-line', {
+        left: line.left,
+        top: baseline - metrics.ascent - (height - contentHeight) / 2,
+        width,
+        height
+      }),
+      ownMetrics ? guide('type-overlay-cap', baseline - ownMetrics.capHeight) : '',
+      ownMetrics ? guide('type-overlay-x', baseline - ownMetrics.xHeight) : '',
+      guide('type-overlay-baseline', baseline)
+    ].join('');
+  },
+
+  renderLabel(element, style, rect) {
+    const tag = element.tagName.toLowerCase();
+    const size = `${style.fontSize} / ${style.lineHeight}`;
+    const left = rect.left + window.pageXOffset;
+    const top = rect.top + window.pageYOffset;
+    return `
+      <div class="type-overlay-label" style="left: ${left}px; top: ${top}px;">
+        <b>${DOMUtils.escapeHTML(tag)}</b> ${DOMUtils.escapeHTML(size)}
+        <small>${Math.round(rect.width)} × ${Math.round(rect.height)}</small>
+      </div>
+    `;
+  },
+
+  getElement() {
+    const container = ShadowDOMManager.getContainer();
+    if (!container) {
+      return null;
+    }
+    if (!this.el || this.el.parentNode !== container) {
+      this.el = document.createElement('div');
+      this.el.classList.add('type-overlay');
+      // First in the container so tooltips and panels paint above it
+      container.insertBefore(this.el, container.firstChild);
+    }
+    return this.el;
+  },
+
+  /**
+   * Outline an element with its padding, line boxes and font guides
+   * @param {Element} element - Element being measured
+   */
+  show(element) {
+    const overlay = this.getElement();
+    if (!overlay) {
+      return;
+    }
+    this.target = element;
+
+    const style = getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    const border = ['Top', 'Right', 'Bottom', 'Left']
+      .map(side => parseFloat(style[`border${side}Width`]) || 0);
+    const padding = ['Top', 'Right', 'Bottom', 'Left']
+      .map(side => parseFloat(style[`padding${side}`]) || 0);
+
+    // Padding is drawn as the border of a box filling the area inside the element's border
+    const paddingBox = {
+      left: rect.left + border[3],
+      top: rect.top + border[0],
+      width: rect.width - border[1] - border[3],
+      height: rect.height - border[0] - border[2]
+    };
+
+    overlay.innerHTML = [
+      this.renderBox('type-overlay-box', rect),
+      this.renderBox('type-overlay-padding', paddingBox,
+        ` border-width: ${padding.map(value => `${value}px`).join(' ')};`),
+      ...this.collectLines(element).map(line => this.renderLine(line, style)),
+      this.renderLabel(element, style, rect)
+    ].join('');
+    overlay.hidden = false;
+  },
+
+  hide() {
+    this.target = null;
+    if (this.el) {
+      this.el.hidden = true;
+      this.el.innerHTML = '';
+    }
+  }
+};
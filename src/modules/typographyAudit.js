@@ -0,0 +1,222 @@
+/**
+ * Whole-page typography audit
+ */
+
+import { ShadowDOMManager } from './shadowDom.js';
+import { ColorUtils } from './colorUtils.js';
+import { DOMUtils } from './domUtils.js';
+import { FontDetection } from './fontDetection.js';
+import { safeExecuteAsync } from './errors.js';
+import { PanelManager } from './panels.js';
+import { ReportBuilder } from './reports.js';
+import { SpecDrift } from './specDrift.js';
+
+export const TypographyAudit = {
+  MAX_ELEMENTS: 5000,
+  highlights: [],
+  lastResult: null,
+
+  collectTextElements() {
+    const elements = new Set();
+    if (!document.body) {
+      return [];
+    }
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => /\S/.test(node.data)
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT
+    });
+
+    let node;
+    while ((node = walker.nextNode()) && elements.size < this.MAX_ELEMENTS) {
+      const element = node.parentElement;
+      if (!element || elements.has(element) || element.closest('#font-detector-root')) {
+        continue;
+      }
+      if (DOMUtils.hasTextContent(element)) {
+        elements.add(element);
+      }
+    }
+
+    return Array.from(elements);
+  },
+
+  getStyleSignature(element) {
+    const style = getComputedStyle(element);
+    const colorInfo = ColorUtils.getColorFromElement(element);
+    return {
+      fontFamily: style.fontFamily,
+      family: FontDetection.parseFontFamilyList(style.fontFamily)[0] || style.fontFamily,
+      fontWeight: style.fontWeight,
+      fontSize: style.fontSize,
+      lineHeight: style.lineHeight,
+      letterSpacing: style.letterSpacing,
+      color: colorInfo ? colorInfo.hex : style.color
+    };
+  },
+
+  run() {
+    const styles = new Map();
+    const elements = this.collectTextElements();
+
+    elements.forEach(element => {
+      const signature = this.getStyleSignature(element);
+      const key = [
+        signature.fontFamily, signature.fontWeight, signature.fontSize,
+        signature.lineHeight, signature.letterSpacing, signature.color
+      ].join('|');
+
+      if (!styles.has(key)) {
+        styles.set(key, { ...signature, key, count: 0, elements: [] });
+      }
+      const entry = styles.get(key);
+      entry.count++;
+      entry.elements.push(element);
+    });
+
+    this.lastResult = {
+      url: location.href,
+      timestamp: new Date().toISOString(),
+      elementCount: elements.length,
+      styles: Array.from(styles.values()).sort((a, b) => b.count - a.count)
+    };
+    return this.lastResult;
+  },
+
+  clearHighlights() {
+    this.highlights.forEach(highlight => DOMUtils.safeRemove(highlight));
+    this.highlights = [];
+  },
+
+  highlight(entry) {
+    this.clearHighlights();
+    const container = ShadowDOMManager.getContainer();
+    if (!container) {
+      return;
+    }
+
+    entry.elements.filter(element => element.isConnected).forEach(element => {
+      const rect = element.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) {
+        return;
+      }
+      const box = document.createElement('div');
+      box.classList.add('audit-highlight');
+      // Host is absolutely positioned at the document origin, so use page coordinates
+      box.style.left = `${rect.left + window.pageXOffset}px`;
+      box.style.top = `${rect.top + window.pageYOffset}px`;
+      box.style.width = `${rect.width}px`;
+      box.style.height = `${rect.height}px`;
+      container.appendChild(box);
+      this.highlights.push(box);
+    });
+
+    const first = entry.elements.find(element => element.isConnected);
+    if (first) {
+      first.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  },
+
+  /**
+   * @param {Object} entry - Style from run()
+   * @param {number} index - Position in the style list
+   * @param {Object|null} spec - Result of SpecDrift.compare for the style
+   */
+  renderStyleRow(entry, index, spec) {
+    const family = DOMUtils.escapeHTML(entry.family);
+    const details = [entry.fontWeight, `${entry.fontSize} / ${entry.lineHeight}`,
+      entry.letterSpacing].map(DOMUtils.escapeHTML).join(' · ');
+    const color = DOMUtils.escapeHTML(entry.color);
+    const previewStyle = DOMUtils.escapeHTML(
+      `font-family: ${entry.fontFamily}; font-weight: ${entry.fontWeight}`);
+
+    return `
+      <div class="audit-style" data-index="${index}">
+        <div class="audit-style-preview" style="${previewStyle}">Aa</div>
+        <div class="audit-style-info">
+          <strong class="audit-style-family">${family}</strong>
+          <em class="audit-style-details">${details}</em>
+          <em class="audit-style-details">
+            <i class="color-preview" style="background-color: ${color}"></i>${color}
+          </em>
+          ${spec ? `<div class="audit-style-spec">${SpecDrift.renderMatches(spec)}</div>` : ''}
+        </div>
+        <div class="audit-style-actions">
+          <b class="audit-style-count">×${entry.count}</b>
+          <button type="button" class="fd-button audit-highlight-button">
+            ${chrome.i18n.getMessage('highlightAll') || 'Highlight all'}
+          </button>
+        </div>
+      </div>
+    `;
+  },
+
+  openReport() {
+    const result = this.run();
+    const body = PanelManager.open('typography-audit',
+      chrome.i18n.getMessage('typographyAudit') || 'Typography Audit',
+      () => this.clearHighlights());
+    if (!body) {
+      return result;
+    }
+
+    const stylesLabel = chrome.i18n.getMessage('auditStyles') || 'Styles';
+    const elementsLabel = chrome.i18n.getMessage('auditElements') || 'Elements';
+    const specs = result.styles.map(entry => SpecDrift.compare(entry));
+    const offSpec = specs.filter(spec => spec && !spec.onSpec).length;
+    const offSpecSummary = SpecDrift.spec
+      ? `<span>${chrome.i18n.getMessage('specOffSpec') || 'Off spec'} <b>${offSpec}</b></span>`
+      : '';
+    const rows = result.styles
+      .map((entry, index) => this.renderStyleRow(entry, index, specs[index]))
+      .join('');
+    body.innerHTML = `
+      <div class="fd-panel-summary">
+        <span>${stylesLabel} <b>${result.styles.length}</b></span>
+        <span>${elementsLabel} <b>${result.elementCount}</b></span>
+        ${offSpecSummary}
+      </div>
+      <div class="fd-panel-actions">
+        <button type="button" class="fd-button" data-export="json">JSON</button>
+        <button type="button" class="fd-button" data-export="csv">CSV</button>
+        <button type="button" class="fd-button" data-export="markdown">Markdown</button>
+        <button type="button" class="fd-button" data-export="tokens">
+          ${chrome.i18n.getMessage('designTokens') || 'Design tokens'}
+        </button>
+      </div>
+      <div class="audit-style-list">
+        ${rows}
+      </div>
+    `;
+
+    body.querySelectorAll('[data-export]').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        safeExecuteAsync(() => ReportBuilder.exportTo(ReportBuilder.SOURCES.PAGE_AUDIT,
+          button.dataset.export), null, 'exportAudit');
+      });
+    });
+
+    body.querySelectorAll('.audit-style').forEach(row => {
+      const entry = result.styles[Number(row.dataset.index)];
+      const button = row.querySelector('.audit-highlight-button');
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const isActive = row.classList.contains('active');
+        body.querySelectorAll('.audit-style.active')
+          .forEach(activeRow => activeRow.classList.remove('active'));
+        if (isActive) {
+          this.clearHighlights();
+        } else {
+          row.classList.add('active');
+          this.highlight(entry);
+        }
+      });
+    });
+
+    return result;
+  }
+};
@@ -0,0 +1,116 @@
+/**
+ * Converts computed px lengths to rem, em and pt, and line heights to unitless ratios
+ */
+
+import { LENGTH_UNITS } from './settings.js';
+
+// CSS pixels per point: 1pt = 1/72in and 1px = 1/96in
+const PX_PER_PT = 96 / 72;
+
+const DEFAULT_FONT_SIZE = 16;
+
+// Properties whose percentages are relative to the element's font size (CSS Text 4 and
+// Text Decoration 4); other percentages depend on a box or glyph that is not known here
+const FONT_RELATIVE_PERCENT = ['letterSpacing', 'text-decoration-thickness',
+  'text-underline-offset'];
+
+export const UnitConverter = {
+  round(value) {
+    return String(Math.round(value * 1000) / 1000);
+  },
+
+  getFontSize(element) {
+    if (!element) {
+      return DEFAULT_FONT_SIZE;
+    }
+    return parseFloat(getComputedStyle(element).fontSize) || DEFAULT_FONT_SIZE;
+  },
+
+  /**
+   * Font sizes rem and em are relative to for one property of an element
+   * @param {Element} element - Element the length belongs to
+   * @param {string} property - Computed style key, e.g. 'fontSize'
+   * @returns {{rem: number, em: number}}
+   */
+  getContext(element, property) {
+    return {
+      rem: this.getFontSize(document.documentElement),
+      // em in font-size refers to the parent; in every other property to the element itself
+      em: property === 'fontSize'
+        ? this.getFontSize(element.parentElement)
+        : this.getFontSize(element)
+    };
+  },
+
+  /**
+   * Express a px length in another unit
+   * @param {number} px - Length in CSS pixels
+   * @param {string} unit - 'px', 'rem', 'em' or 'pt'
+   * @param {{rem: number, em: number}} context - Result of getContext
+   * @returns {string}
+   */
+  convert(px, unit, context) {
+    switch (unit) {
+      case 'rem':
+        return `${this.round(px / context.rem)}rem`;
+      case 'em':
+        return `${this.round(px / context.em)}em`;
+      case 'pt':
+        return `${this.round(px / PX_PER_PT)}pt`;
+      default:
+        return `${this.round(px)}px`;
+    }
+  },
+
+  /**
+   * Resolve a computed value to px
+   * @param {Element} element - Element the value belongs to
+   * @param {string} property - Computed style key
+   * @param {string} value - Computed value
+   * @returns {number|null} - null for keywords such as `normal` and for percentages with no
+   *   font-relative reference; letter-spacing `normal` is not 0 because justification may
+   *   still space letters
+   */
+  toPx(element, property, value) {
+    const match = /^(-?[\d.]+(?:e[+-]?\d+)?)(px|%)$/i.exec(String(value).trim());
+    if (!match) {
+      return null;
+    }
+    if (match[2] === 'px') {
+      return parseFloat(match[1]);
+    }
+    return FONT_RELATIVE_PERCENT.includes(property)
+      ? parseFloat(match[1]) / 100 * this.getFontSize(element)
+      : null;
+  },
+
+  /**
+   * Convert a computed value to the preferred unit and list the alternatives
+   * @param {Element} element - Element the value belongs to
+   * @param {string} property - Computed style key
+   * @param {string} value - Computed value, e.g. '24px' or 'normal'
+   * @param {Object} options - Preferred `unit` and `lineHeightRatio` flag
+   * @returns {{value: string, conversions: string[]}} - Values toPx cannot resolve and lists
+   *   of lengths come back unchanged with no conversions
+   */
+  describe(element, property, value, { unit = 'px', lineHeightRatio = false } = {}) {
+    const px = this.toPx(element, property, value);
+    if (px === null) {
+      return { value, conversions: [] };
+    }
+
+    const context = this.getContext(element, property);
+    const conversions = LENGTH_UNITS.map(item => this.convert(px, item, context));
+    let preferred = this.convert(px, unit, context);
+
+    if (property === 'lineHeight') {
+      const ratio = this.round(px / this.getFontSize(element));
+      conversions.push(ratio);
+      if (lineHeightRatio) {
+        preferred = ratio;
+      }
+    }
+
+    return { value: preferred, conversions: conversions.filter(item => item !== preferred) };
+  }
+};
@@ -0,0 +1,180 @@
+/**
+ * Variable font axes: the instance an element renders and a live axis playground
+ */
+
+import { DOMUtils } from './domUtils.js';
+import { FontMatching } from './fontMatching.js';
+import { PanelManager } from './panels.js';
+
+export const VariableAxes = {
+  PANEL_ID: 'axes',
+  preview: null,
+
+  /**
+   * Parse a font-variation-settings value
+   * @param {string} value - e.g. '"wght" 650, "GRAD" 0'
+   * @returns {Map<string, number>}
+   */
+  parseSettings(value) {
+    const settings = new Map();
+    const pattern = /["']([\x20-\x7e]{4})["']\s+(-?[\d.]+(?:e[+-]?\d+)?)/gi;
+    let match;
+    while ((match = pattern.exec(String(value || ''))) !== null) {
+      settings.set(match[1], parseFloat(match[2]));
+    }
+    return settings;
+  },
+
+  formatSettings(values) {
+    return Array.from(values, ([tag, value]) => `"${tag}" ${value}`).join(', ');
+  },
+
+  /**
+   * Value a registered axis gets from the high-level CSS properties
+   * @param {string} tag - Axis tag
+   * @param {CSSStyleDeclaration} style - Computed style of the element
+   * @returns {number|null} - null when no property sets the axis
+   */
+  getPropertyValue(tag, style) {
+    switch (tag) {
+      case 'wght':
+        return FontMatching.parseWeight(style.fontWeight)[0];
+      case 'wdth':
+        return FontMatching.parseStretch(style.fontStretch)[0];
+      case 'opsz':
+        return style.fontOpticalSizing === 'none' ? null : parseFloat(style.fontSize);
+      case 'ital':
+        return style.fontStyle === 'italic' ? 1 : 0;
+      case 'slnt': {
+        // CSS oblique angles lean right; slnt is counter-clockwise
+        const parsed = FontMatching.parseStyle(style.fontStyle);
+        return parsed.kind === 'oblique' ? -parsed.angles[0] : 0;
+      }
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Work out the value of every fvar axis for an element
+   * @param {Element} element - Element rendered with the variable font
+   * @param {Object[]} axes - Axes from FontParser
+   * @returns {Object[]} - Axes with `value` and `source` ('settings', 'property' or 'default')
+   */
+  getInstance(element, axes) {
+    const style = getComputedStyle(element);
+    const settings = this.parseSettings(style.fontVariationSettings);
+    const clamp = (axis, value) => Math.min(axis.max, Math.max(axis.min, value));
+
+    return axes.map(axis => {
+      // font-variation-settings wins over font-weight, font-stretch and friends
+      if (settings.has(axis.tag)) {
+        return { ...axis, value: clamp(axis, settings.get(axis.tag)), source: 'settings' };
+      }
+      const propertyValue = this.getPropertyValue(axis.tag, style);
+      if (propertyValue !== null && Number.isFinite(propertyValue)) {
+        return { ...axis, value: clamp(axis, propertyValue), source: 'property' };
+      }
+      return { ...axis, value: axis.default, source: 'default' };
+    });
+  },
+
+  getStep(axis) {
+    if (axis.tag === 'ital') {
+      return 1;
+    }
+    return axis.max - axis.min <= 20 ? 0.1 : 1;
+  },
+
+  restorePreview() {
+    if (!this.preview) {
+      return;
+    }
+    const { element, value, priority } = this.preview;
+    if (value) {
+      element.style.setProperty('font-variation-settings', value, priority);
+    } else {
+      element.style.removeProperty('font-variation-settings');
+    }
+    this.preview = null;
+  },
+
+  applyPreview(element, values) {
+    if (!this.preview || this.preview.element !== element) {
+      this.restorePreview();
+      this.preview = {
+        element,
+        value: element.style.getPropertyValue('font-variation-settings'),
+        priority: element.style.getPropertyPriority('font-variation-settings')
+      };
+    }
+    // !important so page rules cannot hide the preview; restorePreview puts the original back
+    element.style.setProperty('font-variation-settings', this.formatSettings(values), 'important');
+  },
+
+  renderSliders(body, element, axes) {
+    const instance = this.getInstance(element, axes.filter(axis => !axis.hidden));
+    const values = new Map(instance.map(axis => [axis.tag, axis.value]));
+
+    const sliders = instance.map(axis => {
+      const tag = DOMUtils.escapeHTML(axis.tag);
+      return `
+        <label class="axis-slider">
+          <b>${DOMUtils.escapeHTML(axis.name)} <small>${tag}</small></b>
+          <strong class="axis-value" data-tag="${tag}">${axis.value}</strong>
+          <input type="range" data-tag="${tag}" min="${axis.min}" max="${axis.max}"
+            step="${this.getStep(axis)}" value="${axis.value}">
+        </label>
+      `;
+    }).join('');
+
+    body.innerHTML = `
+      <div class="axis-sliders">${sliders}</div>
+      <code class="axis-css"></code>
+      <div class="fd-panel-actions">
+        <button type="button" class="fd-button" data-action="reset">
+          ${chrome.i18n.getMessage('axesReset') || 'Reset'}
+        </button>
+      </div>
+    `;
+
+    const output = body.querySelector('.axis-css');
+    const showValue = () => {
+      output.textContent = `font-variation-settings: ${this.formatSettings(values)};`;
+    };
+    showValue();
+
+    body.querySelectorAll('input[type="range"]').forEach(slider => {
+      slider.addEventListener('input', () => {
+        const value = parseFloat(slider.value);
+        values.set(slider.dataset.tag, value);
+        const tag = CSS.escape(slider.dataset.tag);
+        body.querySelector(`.axis-value[data-tag="${tag}"]`).textContent = value;
+        showValue();
+        this.applyPreview(element, values);
+      });
+    });
+
+    body.querySelector('[data-action="reset"]').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.restorePreview();
+      this.renderSliders(body, element, axes);
+    });
+  },
+
+  /**
+   * Open the axis playground for an element
+   * @param {Element} element - Element to preview
+   * @param {Object[]} axes - Axes from FontParser
+   */
+  open(element, axes) {
+    const body = PanelManager.open(this.PANEL_ID,
+      chrome.i18n.getMessage('axesPlayground') || 'Axis playground',
+      () => this.restorePreview());
+    if (!body) {
+      return;
+    }
+    this.renderSliders(body, element, axes);
+  }
+};
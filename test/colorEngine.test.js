@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ColorEngine } from '../src/modules/colorEngine.js';
+
+const serialize = (value, format) => ColorEngine.serialize(ColorEngine.parse(value), format);
+
+test('parses hex, functional and color() syntax', () => {
+  assert.deepEqual(ColorEngine.parse('#f80'), {
+    space: 'srgb', coords: [1, 0x88 / 255, 0], alpha: 1
+  });
+  assert.equal(ColorEngine.parse('#ff000080').alpha, 0x80 / 255);
+  assert.deepEqual(ColorEngine.parse('rgba(255, 0, 0, 0.5)'), {
+    space: 'srgb', coords: [1, 0, 0], alpha: 0.5
+  });
+  assert.deepEqual(ColorEngine.parse('hsl(0.5turn 50% 25%)').coords, [180, 50, 25]);
+  assert.deepEqual(ColorEngine.parse('oklch(50% 0.2 none)').coords, [0.5, 0.2, 0]);
+  assert.equal(ColorEngine.parse('color(xyz 0.1 0.2 0.3)').space, 'xyz-d65');
+  assert.equal(ColorEngine.parse('transparent').alpha, 0);
+  assert.equal(ColorEngine.parse('red'), null);
+  assert.equal(ColorEngine.parse('#12345'), null);
+  assert.equal(ColorEngine.parse('rgb(1 2)'), null);
+});
+
+test('wraps negative and oversized hues', () => {
+  assert.equal(serialize('hsl(-120 100% 50%)', 'hex'), '#0000ff');
+  assert.equal(serialize('hsl(480 100% 50%)', 'hex'), '#00ff00');
+  assert.equal(serialize('hwb(-1turn 0% 0%)', 'hex'), '#ff0000');
+  assert.equal(ColorEngine.roundHue(-90), 270);
+  assert.equal(ColorEngine.roundHue(359.999), 0);
+  assert.equal(ColorEngine.roundHue(720.5), 0.5);
+});
+
+test('clamps rgb() channels and alpha', () => {
+  assert.deepEqual(ColorEngine.parse('rgb(300 -20 0)').coords, [1, 0, 0]);
+  assert.equal(serialize('rgb(300 0 0)', 'rgb'), 'rgb(255 0 0)');
+  assert.equal(serialize('rgb(150% 50% 0%)', 'hex'), '#ff8000');
+  assert.equal(ColorEngine.parse('rgb(0 0 0 / 2)').alpha, 1);
+});
+
+test('serializes every output notation', () => {
+  const color = '#ff0000';
+  assert.equal(serialize(color, 'hex'), '#ff0000');
+  assert.equal(serialize(color, 'rgb'), 'rgb(255 0 0)');
+  assert.equal(serialize(color, 'hsl'), 'hsl(0 100% 50%)');
+  assert.equal(serialize(color, 'hwb'), 'hwb(0 0% 0%)');
+  assert.equal(serialize(color, 'lab'), 'lab(54.29 80.8 69.89)');
+  assert.equal(serialize(color, 'lch'), 'lch(54.29 106.84 40.86)');
+  assert.equal(serialize(color, 'oklab'), 'oklab(0.628 0.2249 0.1258)');
+  assert.equal(serialize(color, 'oklch'), 'oklch(0.628 0.2577 29.23)');
+  assert.equal(serialize(color, 'p3'), 'color(display-p3 0.9175 0.2003 0.1386)');
+  assert.equal(serialize(color, 'unknown'), null);
+});
+
+test('keeps alpha and drops hue noise from neutrals', () => {
+  assert.equal(serialize('rgb(0 0 255 / 50%)', 'rgb'), 'rgb(0 0 255 / 0.5)');
+  assert.equal(serialize('#808080', 'hsl'), 'hsl(0 0% 50.2%)');
+  assert.equal(serialize('#ffffff', 'oklch'), 'oklch(1 0 0)');
+});
+
+test('maps out of gamut colors into sRGB', () => {
+  // Chroma is reduced in OKLCH rather than clipped to #00ff00
+  assert.equal(serialize('color(display-p3 0 1 0)', 'hex'), '#00fb29');
+  const mapped = ColorEngine.toGamut(ColorEngine.parse('oklch(0.9 0.4 140)'), 'srgb');
+  assert.ok(mapped.coords.every(value => value >= 0 && value <= 1));
+});
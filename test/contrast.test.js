@@ -0,0 +1,95 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContrastUtils } from '../src/modules/contrast.js';
+import { ColorUtils } from '../src/modules/colorUtils.js';
+
+const rgb = value => ColorUtils.parseColor(value);
+
+// Elements are plain objects carrying the computed style getComputedStyle returns
+const node = (style, parentElement = null) => ({
+  style: { backgroundColor: 'rgba(0, 0, 0, 0)', backgroundImage: 'none', ...style },
+  parentElement
+});
+
+beforeEach(() => {
+  globalThis.getComputedStyle = element => element.style;
+});
+
+test('computes WCAG 2 ratios', () => {
+  assert.equal(ContrastUtils.getWcagRatio(rgb('#777'), rgb('#fff')).toFixed(2), '4.48');
+  assert.equal(ContrastUtils.getWcagRatio(rgb('#000'), rgb('#fff')), 21);
+  assert.equal(ContrastUtils.getWcagRatio(rgb('#fff'), rgb('#fff')), 1);
+});
+
+test('matches the APCA 0.0.98G reference values', () => {
+  // Published with the apca-w3 package
+  [
+    ['#888', '#fff', 63.056469930209424],
+    ['#fff', '#888', -68.54146436644962],
+    ['#000', '#aaa', 58.146262578561334],
+    ['#aaa', '#000', -56.24113336839742],
+    ['#123', '#def', 91.66830811481631],
+    ['#def', '#123', -93.06770049484275],
+    ['#123', '#444', 8.32326136957393],
+    ['#444', '#123', -7.526878460278154]
+  ].forEach(([text, background, expected]) => {
+    assert.ok(Math.abs(ContrastUtils.getApcaContrast(rgb(text), rgb(background)) - expected) <
+      1e-9, `${text} on ${background}`);
+  });
+  assert.equal(ContrastUtils.getApcaContrast(rgb('#777'), rgb('#777')), 0);
+});
+
+test('composites translucent colors', () => {
+  assert.deepEqual(ContrastUtils.composite(rgb('rgba(0, 0, 0, 0.5)'), rgb('#fff')),
+    { r: 128, g: 128, b: 128, a: 1 });
+  assert.deepEqual(ContrastUtils.composite(rgb('rgba(255, 0, 0, 0.5)'),
+    rgb('rgba(0, 0, 255, 0.5)')), { r: 170, g: 0, b: 85, a: 0.75 });
+  assert.deepEqual(ContrastUtils.composite(rgb('transparent'), rgb('transparent')),
+    { r: 0, g: 0, b: 0, a: 0 });
+});
+
+test('stacks translucent ancestors over the canvas', () => {
+  const body = node({ backgroundColor: 'rgba(0, 0, 0, 0.5)' });
+  const card = node({ backgroundColor: 'rgba(255, 255, 255, 0.5)' }, body);
+  const text = node({}, card);
+
+  const { candidates, approximate } = ContrastUtils.getEffectiveBackground(text);
+  assert.deepEqual(candidates, [{ r: 192, g: 192, b: 192, a: 1 }]);
+  assert.equal(approximate, false);
+});
+
+test('stops at the first opaque background', () => {
+  const page = node({ backgroundColor: 'rgb(255, 0, 0)' });
+  const panel = node({ backgroundColor: 'rgb(0, 0, 0)' }, page);
+  assert.deepEqual(ContrastUtils.getEffectiveBackground(node({}, panel)).candidates,
+    [{ r: 0, g: 0, b: 0, a: 1 }]);
+});
+
+test('treats gradient stops as candidates and images as approximate', () => {
+  const hero = node({
+    backgroundImage: 'url("hero.jpg"), linear-gradient(#000, rgb(255, 255, 255))'
+  });
+  const { candidates, approximate } = ContrastUtils.getEffectiveBackground(node({}, hero));
+
+  assert.deepEqual(candidates.map(color => ColorUtils.rgbToHex(color.r, color.g, color.b)),
+    ['#000000', '#ffffff']);
+  assert.equal(approximate, true);
+});
+
+test('reports the least readable spot and the WCAG levels', () => {
+  const background = node({ backgroundImage: 'linear-gradient(#fff, #ddd)' });
+  const result = ContrastUtils.analyze(node({ color: '#777', fontSize: '16px',
+    fontWeight: '400' }, background));
+
+  assert.equal(result.background, '#dddddd');
+  assert.equal(result.aa, false);
+  assert.equal(result.approximate, true);
+
+  const large = ContrastUtils.analyze(node({ color: '#777', fontSize: '24px',
+    fontWeight: '400' }));
+  // Floored, so a ratio just under a threshold never rounds up to a pass
+  assert.equal(large.ratio, 4.47);
+  assert.equal(large.isLarge, true);
+  assert.equal(large.aa, true);
+  assert.equal(large.aaa, false);
+});
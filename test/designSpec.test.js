@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDesignSpec, parseDimension } from '../src/modules/designSpec.js';
+
+const parse = tree => parseDesignSpec(JSON.stringify(tree), 'tokens.json');
+
+test('reads DTCG tokens with inherited group types', () => {
+  const spec = parse({
+    color: {
+      $type: 'color',
+      brand: { $value: '#FF0000' },
+      text: { $value: 'rgb(0 0 255)' }
+    },
+    size: { $type: 'dimension', body: { $value: '16px', $type: 'fontSize' } }
+  });
+
+  assert.equal(spec.name, 'tokens.json');
+  assert.deepEqual(spec.colors, [
+    { name: 'color.brand', hex: '#ff0000' },
+    { name: 'color.text', hex: '#0000ff' }
+  ]);
+  assert.deepEqual(spec.fontSizes, [{ name: 'size.body', value: { value: 16, unit: 'px' } }]);
+});
+
+test('reads Tokens Studio tokens', () => {
+  const spec = parse({
+    global: {
+      fontSizes: { md: { value: '18', type: 'fontSizes' } },
+      heading: {
+        value: { fontFamily: 'Inter', fontSize: '32', fontWeight: 'Bold', lineHeight: '1.25' },
+        type: 'typography'
+      }
+    }
+  });
+
+  assert.deepEqual(spec.fontSizes,
+    [{ name: 'global.fontSizes.md', value: { value: 18, unit: 'px' } }]);
+  assert.deepEqual(spec.typography, [{
+    name: 'global.heading',
+    fontFamily: ['Inter'],
+    fontSize: { value: 32, unit: 'px' },
+    fontWeight: 700,
+    lineHeight: 1.25
+  }]);
+});
+
+test('treats a Tokens Studio group named value as a group', () => {
+  const spec = parse({
+    value: { primary: { value: '#00ff00', type: 'color' } }
+  });
+  assert.deepEqual(spec.colors, [{ name: 'value.primary', hex: '#00ff00' }]);
+});
+
+test('resolves aliases, including aliases inside composites', () => {
+  const spec = parse({
+    base: { $type: 'color', red: { $value: '#f00' }, danger: { $value: '{base.red}' } },
+    font: {
+      size: { $type: 'dimension', lg: { $value: { value: 1.5, unit: 'rem' } } },
+      title: {
+        $type: 'typography',
+        $value: { fontFamily: ['Inter', 'sans-serif'], fontSize: '{font.size.lg}' }
+      }
+    }
+  });
+
+  assert.deepEqual(spec.colors.map(color => [color.name, color.hex]),
+    [['base.red', '#ff0000'], ['base.danger', '#ff0000']]);
+  assert.deepEqual(spec.typography[0].fontSize, { value: 1.5, unit: 'rem' });
+});
+
+test('drops unknown and circular aliases', () => {
+  const spec = parse({
+    $type: 'color',
+    a: { $value: '{b}' },
+    b: { $value: '{a}' },
+    c: { $value: '{missing}' },
+    d: { $value: '#000' }
+  });
+  assert.deepEqual(spec.colors, [{ name: 'd', hex: '#000000' }]);
+});
+
+test('maps weight keywords', () => {
+  const weights = ['Thin', 'Extra Light', 'ultra-light', 'Regular', 'Book', 'SemiBold',
+    'demi_bold', 'Bold Italic', 'Black', 'Heavy', 450, '350'];
+  const spec = parse(Object.fromEntries(weights.map((fontWeight, index) => [
+    `t${index}`, { $type: 'typography', $value: { fontSize: 16, fontWeight } }
+  ])));
+
+  assert.deepEqual(spec.typography.map(token => token.fontWeight),
+    [100, 200, 200, 400, 400, 600, 600, 700, 900, 900, 450, 350]);
+});
+
+test('infers the type of untyped tokens', () => {
+  const spec = parse({
+    accent: { value: 'oklch(0.7 0.1 200)' },
+    body: { value: { fontFamily: 'Georgia', lineHeight: '24px' } }
+  });
+  assert.equal(spec.colors.length, 1);
+  assert.deepEqual(spec.typography[0].lineHeight, { value: 24, unit: 'px' });
+});
+
+test('parses dimensions in every form', () => {
+  assert.deepEqual(parseDimension(12), { value: 12, unit: 'px' });
+  assert.deepEqual(parseDimension('-0.5PX'), { value: -0.5, unit: 'px' });
+  assert.deepEqual(parseDimension('120%'), { value: 120, unit: '%' });
+  assert.deepEqual(parseDimension({ value: 2, unit: 'em' }), { value: 2, unit: 'em' });
+  assert.equal(parseDimension({ value: 2, unit: 'vw' }), null);
+  assert.equal(parseDimension('large'), null);
+});
+
+test('rejects files without supported tokens', () => {
+  assert.throws(() => parseDesignSpec('{', 'x.json'), /Not a JSON file/);
+  assert.throws(() => parseDesignSpec('[]', 'x.json'), /must contain a JSON object/);
+  assert.throws(() => parse({ spacing: { $type: 'dimension', sm: { $value: '4px' } } }),
+    /No color, font size or typography tokens/);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toDesignTokens } from '../src/background/designTokens.js';
+
+const report = families => ({
+  url: 'https://example.com/',
+  timestamp: '2026-01-01T00:00:00.000Z',
+  entries: families.map(fontFamily => ({ fontFamily, fontSize: '16px', fontWeight: '400' }))
+});
+
+const familyNames = tokens => Object.keys(tokens.fontFamily).filter(key => key !== '$type');
+
+test('names font family tokens after the family', () => {
+  const tokens = toDesignTokens(report(['"Open Sans", sans-serif', 'Georgia, serif']));
+  assert.deepEqual(familyNames(tokens), ['open-sans', 'georgia']);
+});
+
+test('keeps non-Latin family names in token names', () => {
+  const tokens = toDesignTokens(report([
+    '"微软雅黑", sans-serif',
+    '"ヒラギノ角ゴ Pro W3", sans-serif',
+    '"Noto Naskh Arabic", "خط النسخ", serif',
+    '"خط النسخ", serif'
+  ]));
+  assert.deepEqual(familyNames(tokens),
+    ['微软雅黑', 'ヒラギノ角ゴ-pro-w3', 'noto-naskh-arabic', 'خط-النسخ']);
+});
+
+test('falls back to indexed names for families without letters or digits', () => {
+  const tokens = toDesignTokens(report(['"★", serif', '"☆", sans-serif', 'Arial']));
+  assert.deepEqual(familyNames(tokens), ['font-1', 'font-2', 'arial']);
+  assert.equal(Object.values(tokens.typography).filter(token => token.$value)[0].$value.fontFamily,
+    '{fontFamily.font-1}');
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCSV } from '../src/background/exporter.js';
+
+const report = entries => ({
+  source: 'page-audit',
+  url: 'https://example.com/',
+  timestamp: '2026-01-01T00:00:00.000Z',
+  entries
+});
+
+// A column of the first data row
+const textCell = (csv, column = 'text') => {
+  const lines = csv.trim().split('\r\n');
+  const index = lines[0].split(',').indexOf(column);
+  return lines[1].split(',')[index];
+};
+
+test('neutralizes cells that spreadsheets would run as formulas', () => {
+  ['=1+1', '+1+1', '-2+3+cmd|\' /C calc\'!A0', '@SUM(A1)', '\tx', '\rx'].forEach(text => {
+    const cell = textCell(toCSV(report([{ selector: 'p', text }])));
+    assert.ok(cell.startsWith('\'') || cell.startsWith('"\''), `${JSON.stringify(text)}: ${cell}`);
+  });
+});
+
+test('leaves ordinary text alone', () => {
+  assert.equal(textCell(toCSV(report([{ selector: 'p', text: 'Hello' }]))), 'Hello');
+  assert.equal(textCell(toCSV(report([{ selector: 'p', text: 'a "b"' }]))), '"a ""b"""');
+});
+
+test('leaves negative numbers and lengths alone', () => {
+  const csv = toCSV(report([{ selector: 'p', text: '-12', letterSpacing: '-0.5px' }]));
+  assert.equal(textCell(csv), '-12');
+  assert.equal(textCell(csv, 'letterSpacing'), '-0.5px');
+  assert.equal(textCell(toCSV(report([{ selector: 'p', text: '-1+2' }]))), '\'-1+2');
+});
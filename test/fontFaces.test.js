@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FontFaceUtils } from '../src/modules/fontFaces.js';
+
+test('parses ranges, single code points and wildcards', () => {
+  assert.deepEqual(FontFaceUtils.parseUnicodeRange('U+0000-00FF, U+0131, u+4??'),
+    [[0x0, 0xFF], [0x131, 0x131], [0x400, 0x4FF]]);
+});
+
+test('treats a missing or invalid unicode-range as all of Unicode', () => {
+  assert.deepEqual(FontFaceUtils.parseUnicodeRange(''), [[0, 0x10FFFF]]);
+  assert.deepEqual(FontFaceUtils.parseUnicodeRange(undefined), [[0, 0x10FFFF]]);
+  assert.deepEqual(FontFaceUtils.parseUnicodeRange('latin'), [[0, 0x10FFFF]]);
+});
+
+test('drops malformed parts of a unicode-range', () => {
+  assert.deepEqual(FontFaceUtils.parseUnicodeRange('U+30-39, U+zz'), [[0x30, 0x39]]);
+});
+
+test('checks whether a unicode-range covers a code point', () => {
+  const cyrillic = 'U+0301, U+0400-045F, U+0490-0491';
+  assert.equal(FontFaceUtils.coversCodePoint(cyrillic, 'Ж'.codePointAt(0)), true);
+  assert.equal(FontFaceUtils.coversCodePoint(cyrillic, 0x0301), true);
+  assert.equal(FontFaceUtils.coversCodePoint(cyrillic, 'A'.codePointAt(0)), false);
+  assert.equal(FontFaceUtils.coversCodePoint('', '😀'.codePointAt(0)), true);
+  assert.equal(FontFaceUtils.coversCodePoint('U+1F6??', 0x1F600), true);
+});
+
+test('serializes equivalent unicode-ranges alike', () => {
+  assert.equal(FontFaceUtils.normalizeUnicodeRange('U+0000-00FF, U+4??, U+0131'),
+    'U+0-FF, U+400-4FF, U+131');
+  assert.equal(FontFaceUtils.normalizeUnicodeRange('u+0-ff, U+400-4ff, U+131'),
+    'U+0-FF, U+400-4FF, U+131');
+  assert.equal(FontFaceUtils.normalizeUnicodeRange('U+0-10FFFF'), '');
+  assert.equal(FontFaceUtils.normalizeUnicodeRange(''), '');
+});
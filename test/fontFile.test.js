@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { brotliDecompressSync } from 'node:zlib';
+import { FontFile } from '../src/modules/fontFile.js';
+import { FontParser } from '../src/modules/fontParser.js';
+
+const WOFF2_URL = 'https://example.com/inter-vietnamese-wght-normal.woff2';
+const WOFF_URL = 'https://example.com/inter-vietnamese-400-normal.woff';
+
+// Serve the fixtures by file name
+const mockFetch = t => t.mock.method(globalThis, 'fetch', async url => {
+  const name = new URL(url).pathname.slice(1);
+  try {
+    return new Response(await readFile(new URL(`./fixtures/${name}`, import.meta.url)));
+  } catch (e) {
+    return new Response('', { status: 404 });
+  }
+});
+
+test('skips WOFF2 sources when Brotli is unavailable', t => {
+  t.mock.method(FontParser, 'supportsBrotli', () => false);
+
+  assert.equal(FontFile.canRead({ url: WOFF2_URL, format: '' }), false);
+  assert.equal(FontFile.canRead({ url: 'https://example.com/a', format: 'woff2' }), false);
+  assert.equal(FontFile.canRead({ url: WOFF_URL, format: 'woff' }), true);
+  assert.equal(FontFile.canRead({ url: 'https://example.com/a.eot', format: '' }), false);
+});
+
+test('falls back to the next source when WOFF2 cannot be read', async t => {
+  t.mock.method(FontParser, 'supportsBrotli', () => false);
+  mockFetch(t);
+  FontFile.cache.clear();
+
+  const info = await FontFile.loadFirst([WOFF2_URL, WOFF_URL]);
+  assert.equal(info.url, WOFF_URL);
+  assert.equal(info.format, 'woff');
+});
+
+test('rejects with the last error when no source can be read', async t => {
+  mockFetch(t);
+  FontFile.cache.clear();
+
+  await assert.rejects(FontFile.loadFirst(['https://example.com/missing.woff']), /HTTP 404/);
+  await assert.rejects(FontFile.loadFirst([]), /No font file source/);
+});
+
+test('reads the variable axes from a WOFF2 source when Brotli is available', async t => {
+  const decompress = FontParser.decompress;
+  t.mock.method(FontParser, 'supportsBrotli', () => true);
+  t.mock.method(FontParser, 'decompress', (bytes, format) => format === 'brotli'
+    ? Promise.resolve(new Uint8Array(brotliDecompressSync(bytes)))
+    : decompress.call(FontParser, bytes, format));
+  mockFetch(t);
+  FontFile.cache.clear();
+
+  const info = await FontFile.loadFirst([WOFF2_URL, WOFF_URL]);
+  assert.equal(info.url, WOFF2_URL);
+  assert.deepEqual(info.axes.map(axis => [axis.tag, axis.name, axis.min, axis.max]),
+    [['wght', 'Weight', 100, 900]]);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FontMatching } from '../src/modules/fontMatching.js';
+import { FontDetection } from '../src/modules/fontDetection.js';
+
+const face = (weight, style = 'normal', extra = {}) => ({
+  family: '"Brand"',
+  weight: String(weight),
+  style,
+  stretch: 'normal',
+  status: 'loaded',
+  ...extra
+});
+
+// Match an element with the given computed style against the faces
+const match = (t, faces, style) => {
+  t.mock.method(FontDetection, 'getFontFaces', () => faces);
+  globalThis.getComputedStyle = () => ({
+    fontWeight: '400',
+    fontStyle: 'normal',
+    fontStretch: '100%',
+    ...style
+  });
+  return FontMatching.match({}, 'Brand');
+};
+
+const selectedWeight = (t, weights, fontWeight) =>
+  match(t, weights.map(weight => face(weight)), { fontWeight }).selected.weight[0];
+
+test('below 400 prefers lighter weights, then heavier ones', t => {
+  assert.equal(selectedWeight(t, [100, 200, 500], '300'), 200);
+  assert.equal(selectedWeight(t, [400, 500], '300'), 400);
+});
+
+test('from 400 to 500 prefers heavier weights up to 500, then lighter, then heavier', t => {
+  assert.equal(selectedWeight(t, [300, 500, 600], '400'), 500);
+  assert.equal(selectedWeight(t, [300, 600], '400'), 300);
+  assert.equal(selectedWeight(t, [600, 700], '450'), 600);
+  assert.equal(selectedWeight(t, [300, 400, 600], '500'), 400);
+});
+
+test('above 500 prefers heavier weights, then lighter ones', t => {
+  assert.equal(selectedWeight(t, [500, 700, 900], '600'), 700);
+  assert.equal(selectedWeight(t, [300, 500], '800'), 500);
+});
+
+test('clamps the requested weight into variable ranges', t => {
+  const result = match(t, [face('100 900')], { fontWeight: '550' });
+  assert.equal(result.weight, 550);
+  assert.equal(result.weightMatch, 'exact');
+  assert.equal(result.synthesizedBold, false);
+});
+
+test('italic falls back to oblique, then normal', t => {
+  const select = faces => match(t, faces, { fontStyle: 'italic' });
+
+  assert.equal(select([face(400), face(400, 'oblique'), face(400, 'italic')]).selected.face.style,
+    'italic');
+  const oblique = select([face(400), face(400, 'oblique 10deg')]);
+  assert.equal(oblique.selected.face.style, 'oblique 10deg');
+  assert.equal(oblique.styleMatch, false);
+  assert.equal(oblique.synthesizedItalic, false);
+
+  const normal = select([face(400)]);
+  assert.equal(normal.selected.face.style, 'normal');
+  assert.equal(normal.synthesizedItalic, true);
+});
+
+test('oblique falls back to italic before normal', t => {
+  const result = match(t, [face(400), face(400, 'italic')], { fontStyle: 'oblique 10deg' });
+  assert.equal(result.selected.face.style, 'italic');
+});
+
+test('style is matched before weight', t => {
+  const result = match(t, [face(700), face(400, 'italic')],
+    { fontWeight: '700', fontStyle: 'italic' });
+
+  assert.equal(result.selected.face.style, 'italic');
+  assert.equal(result.weightMatch, 'lighter');
+  assert.equal(result.synthesizedBold, true);
+});
+
+test('respects font-synthesis and skips faces that failed to load', t => {
+  const faces = [face(400), face(700, 'normal', { status: 'error' })];
+  const result = match(t, faces, { fontWeight: '700', fontSynthesis: 'style' });
+
+  assert.equal(result.selected.weight[0], 400);
+  assert.equal(result.synthesizedBold, false);
+  assert.equal(match(t, [face(400, 'normal', { status: 'error' })], {}), null);
+});
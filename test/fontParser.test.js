@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { brotliDecompressSync } from 'node:zlib';
+import { FontParser } from '../src/modules/fontParser.js';
+
+const fixture = async name => {
+  const bytes = await readFile(new URL(`./fixtures/${name}`, import.meta.url));
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+};
+
+// Stand in for DecompressionStream('brotli'), which Node does not have
+const mockBrotli = t => {
+  const decompress = FontParser.decompress;
+  t.mock.method(FontParser, 'supportsBrotli', () => true);
+  t.mock.method(FontParser, 'decompress', (bytes, format) => format === 'brotli'
+    ? Promise.resolve(new Uint8Array(brotliDecompressSync(bytes)))
+    : decompress.call(FontParser, bytes, format));
+};
+
+test('reads a WOFF file', async () => {
+  const info = await FontParser.parse(await fixture('inter-vietnamese-400-normal.woff'));
+
+  assert.equal(info.format, 'woff');
+  assert.equal(info.names.family, 'Inter');
+  assert.equal(info.os2.weightClass, 400);
+  assert.deepEqual(info.axes, []);
+  assert.ok(info.glyphCount > 0);
+});
+
+test('reads the axes of a variable WOFF2 file', async t => {
+  mockBrotli(t);
+  const info = await FontParser.parse(await fixture('inter-vietnamese-wght-normal.woff2'));
+
+  assert.equal(info.format, 'woff2');
+  assert.equal(info.names.family, 'Inter');
+  assert.deepEqual(info.axes.map(({ tag, min, default: value, max }) => [tag, min, value, max]),
+    [['wght', 100, 400, 900]]);
+  assert.ok(info.scripts.includes('latn'));
+  assert.ok(info.features.includes('kern'));
+});
+
+test('rejects WOFF2 without Brotli support', async t => {
+  t.mock.method(FontParser, 'supportsBrotli', () => false);
+
+  await assert.rejects(FontParser.parse(await fixture('inter-vietnamese-wght-normal.woff2')),
+    /Brotli/);
+});
+
+test('rejects data that is not a font', async () => {
+  await assert.rejects(FontParser.parse(new TextEncoder().encode('<!DOCTYPE html>').buffer),
+    /Unknown font format/);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveFontSource, FONT_SOURCE_TYPES } from '../src/background/fontSources.js';
+
+const FONT_FACE_URL = 'https://example.com/fonts/acme-sans.woff2';
+
+test('links catalog families to their specimen page', async t => {
+  const fetch = t.mock.method(globalThis, 'fetch');
+
+  const result = await resolveFontSource('"Roboto", sans-serif');
+  assert.equal(result.url, 'https://fonts.google.com/specimen/Roboto');
+  assert.equal(fetch.mock.callCount(), 0);
+});
+
+test('prefers the page\'s own file over the Google Fonts API', async t => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(''));
+
+  const result = await resolveFontSource('Acme Sans',
+    { fontFaceUrl: FONT_FACE_URL, allowNetwork: true });
+  assert.deepEqual(result, { url: FONT_FACE_URL, type: FONT_SOURCE_TYPES.FILE,
+    source: 'Web page' });
+  assert.equal(fetch.mock.callCount(), 0);
+});
+
+test('only asks the Google Fonts API when the setting allows it', async t => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(''));
+
+  assert.equal(await resolveFontSource('Obscure Grotesk'), null);
+  assert.equal(fetch.mock.callCount(), 0);
+
+  const result = await resolveFontSource('Obscure Grotesk', { allowNetwork: true });
+  assert.equal(fetch.mock.callCount(), 1);
+  assert.match(fetch.mock.calls[0].arguments[0], /^https:\/\/fonts\.googleapis\.com\//);
+  assert.equal(result.url, 'https://fonts.google.com/specimen/Obscure+Grotesk');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TOOLTIP_FIELDS, getSettings, saveSettings, resetSettings, sanitizeSettings
+} from '../src/modules/settings.js';
+
+// chrome.storage.sync backed by a plain object
+const mockStorage = (initial = {}) => {
+  const items = { ...initial };
+  globalThis.chrome = {
+    storage: {
+      sync: {
+        get: async defaults => ({ ...defaults, ...items }),
+        set: async values => Object.assign(items, values),
+        remove: async keys => keys.forEach(key => delete items[key])
+      }
+    }
+  };
+  return items;
+};
+
+test('shows every tooltip field by default', async () => {
+  mockStorage();
+  assert.deepEqual((await getSettings()).tooltipFields, TOOLTIP_FIELDS);
+});
+
+test('shows fields added after a field list was saved', async () => {
+  mockStorage({
+    tooltipFields: ['fontFamily', 'fontSize'],
+    seenTooltipFields: TOOLTIP_FIELDS.filter(field => field !== 'fontFile')
+  });
+  assert.deepEqual((await getSettings()).tooltipFields, ['fontFamily', 'fontSize', 'fontFile']);
+});
+
+test('keeps first-version fields hidden in lists saved without the seen fields', async () => {
+  mockStorage({ tooltipFields: ['fontFamily', 'fontSize'] });
+  const { tooltipFields } = await getSettings();
+
+  assert.ok(tooltipFields.includes('fontFaces'));
+  assert.ok(tooltipFields.includes('synthesisWarning'));
+  assert.ok(!tooltipFields.includes('renderedFont'));
+  assert.ok(!tooltipFields.includes('copyAs'));
+});
+
+test('hidden fields stay hidden after saving', async () => {
+  const items = mockStorage();
+  await saveSettings({ tooltipFields: TOOLTIP_FIELDS.filter(field => field !== 'contrast') });
+
+  assert.deepEqual(items.seenTooltipFields, TOOLTIP_FIELDS);
+  assert.ok(!(await getSettings()).tooltipFields.includes('contrast'));
+
+  await resetSettings();
+  assert.deepEqual(items, {});
+});
+
+test('drops unknown keys and invalid values', () => {
+  const settings = sanitizeSettings({
+    tooltipFields: ['copyAs', 'nope', 'fontFamily'],
+    theme: 'neon',
+    tooltipWidth: '9999',
+    unknown: true
+  });
+
+  assert.deepEqual(settings.tooltipFields, ['fontFamily', 'copyAs']);
+  assert.equal(settings.theme, 'dark');
+  assert.equal(settings.tooltipWidth, 480);
+  assert.ok(!('unknown' in settings));
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnippetGenerator } from '../src/modules/snippets.js';
+
+const info = fontWeight => ({
+  fontFamily: '"Inter", sans-serif',
+  fontSize: '16px',
+  fontWeight: String(fontWeight),
+  fontStyle: 'normal',
+  lineHeight: '24px',
+  letterSpacing: 'normal',
+  textAlign: 'left',
+  color: { hex: '#333333', rgb: { r: 51, g: 51, b: 51 } }
+});
+
+const weightOf = (snippet, pattern) => snippet.match(pattern)[1];
+const SWIFTUI_WEIGHT = /\.fontWeight\(\.(\w+)\)/;
+
+test('clamps variable font weights to the nine native weights', () => {
+  [[1, '100', 'ultraLight'], [40, '100', 'ultraLight'], [950, '900', 'black'],
+    [1000, '900', 'black']].forEach(([weight, step, swiftui]) => {
+    assert.equal(weightOf(SnippetGenerator.compose(info(weight)), /FontWeight\.W(\d+)/), step);
+    assert.equal(weightOf(SnippetGenerator.flutter(info(weight)), /FontWeight\.w(\d+)/), step);
+    assert.equal(weightOf(SnippetGenerator.swiftui(info(weight), 'Text'), SWIFTUI_WEIGHT),
+      swiftui);
+  });
+});
+
+test('rounds in-between weights to the nearest step', () => {
+  assert.equal(weightOf(SnippetGenerator.compose(info(650)), /FontWeight\.W(\d+)/), '700');
+  assert.equal(weightOf(SnippetGenerator.flutter(info(449)), /FontWeight\.w(\d+)/), '400');
+  assert.equal(weightOf(SnippetGenerator.swiftui(info(550), 'Text'), SWIFTUI_WEIGHT),
+    'semibold');
+});
@@ -0,0 +1,123 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpecDrift } from '../src/modules/specDrift.js';
+import { UnitConverter } from '../src/modules/units.js';
+
+const px = value => ({ value, unit: 'px' });
+
+const computed = overrides => ({
+  fontFamily: '"Inter", sans-serif',
+  fontSize: '16px',
+  fontWeight: '400',
+  lineHeight: '24px',
+  letterSpacing: 'normal',
+  ...overrides
+});
+
+const body = {
+  name: 'type.body',
+  fontFamily: ['Inter'],
+  fontSize: { value: 1, unit: 'rem' },
+  fontWeight: 400,
+  lineHeight: 1.5,
+  letterSpacing: px(0)
+};
+
+beforeEach(t => {
+  globalThis.document = { documentElement: {} };
+  t.mock.method(UnitConverter, 'getFontSize', () => 16);
+});
+
+test('matches a token within the rounding tolerances', () => {
+  assert.deepEqual(SpecDrift.getTypographyDrift(computed({
+    fontSize: '16.04px',
+    lineHeight: '24.05px',
+    letterSpacing: '0.04px'
+  }), body), []);
+});
+
+test('reports every property off spec', () => {
+  const drift = SpecDrift.getTypographyDrift(computed({
+    fontFamily: 'Roboto, sans-serif',
+    fontSize: '18px',
+    fontWeight: '700',
+    lineHeight: '20px',
+    letterSpacing: '1px'
+  }), body);
+
+  assert.deepEqual(drift, [
+    { property: 'fontFamily', actual: 'Roboto', expected: 'Inter' },
+    { property: 'fontSize', actual: '18px', expected: '16px' },
+    { property: 'fontWeight', actual: '700', expected: '400' },
+    { property: 'lineHeight', actual: '1.111', expected: '1.5' },
+    { property: 'letterSpacing', actual: '1px', expected: '0px' }
+  ]);
+});
+
+test('allows fractional variable font weights', () => {
+  const token = { name: 'medium', fontWeight: 450 };
+  assert.deepEqual(SpecDrift.getTypographyDrift(computed({ fontWeight: '450.5' }), token), []);
+  assert.deepEqual(SpecDrift.getTypographyDrift(computed({ fontWeight: '452' }), token),
+    [{ property: 'fontWeight', actual: '452', expected: '450' }]);
+});
+
+test('resolves em, %, pt and normal line heights', () => {
+  const values = computed({ fontSize: '20px', lineHeight: 'normal', letterSpacing: '-0.4px' });
+
+  assert.deepEqual(SpecDrift.getTypographyDrift(values, {
+    fontSize: { value: 15, unit: 'pt' },
+    lineHeight: { value: 120, unit: '%' },
+    letterSpacing: { value: -0.02, unit: 'em' }
+  }), []);
+  assert.deepEqual(SpecDrift.getTypographyDrift(values, { lineHeight: px(30) }),
+    [{ property: 'lineHeight', actual: '24px', expected: '30px' }]);
+});
+
+test('picks the typography token with the fewest differences, then the closest size', () => {
+  SpecDrift.spec = {
+    typography: [
+      { name: 'heading', fontSize: px(32), fontWeight: 700 },
+      { name: 'small', fontSize: px(14), fontWeight: 400 },
+      { name: 'large', fontSize: px(18), fontWeight: 400 }
+    ],
+    fontSizes: [],
+    colors: []
+  };
+
+  assert.deepEqual(SpecDrift.matchTypography(computed({ fontSize: '17px' })), {
+    name: 'large',
+    drift: [{ property: 'fontSize', actual: '17px', expected: '18px' }]
+  });
+  assert.deepEqual(SpecDrift.matchTypography(computed({ fontSize: '32px', fontWeight: '700' })),
+    { name: 'heading', drift: [] });
+});
+
+test('matches on font size alone when the spec has no typography tokens', () => {
+  SpecDrift.spec = {
+    typography: [],
+    fontSizes: [{ name: 'sm', value: px(12) }, { name: 'md', value: { value: 1, unit: 'rem' } }],
+    colors: []
+  };
+
+  assert.deepEqual(SpecDrift.matchTypography(computed({ fontSize: '15px' })), {
+    name: 'md',
+    drift: [{ property: 'fontSize', actual: '15px', expected: '16px' }]
+  });
+  SpecDrift.spec.fontSizes = [];
+  assert.equal(SpecDrift.matchTypography(computed()), null);
+});
+
+test('matches colors exactly against the nearest token', () => {
+  SpecDrift.spec = {
+    typography: [],
+    fontSizes: [],
+    colors: [{ name: 'text', hex: '#333333' }, { name: 'brand', hex: '#ff0000' }]
+  };
+
+  assert.deepEqual(SpecDrift.matchColor('rgb(51, 51, 51)'), { name: 'text', drift: [] });
+  assert.deepEqual(SpecDrift.matchColor('#343434'), {
+    name: 'text',
+    drift: [{ property: 'color', actual: '#343434', expected: '#333333' }]
+  });
+  assert.equal(SpecDrift.matchColor(''), null);
+});
@@ -0,0 +1,64 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { UnitConverter } from '../src/modules/units.js';
+
+// Elements are plain objects carrying their computed font size
+const root = { fontSize: '16px' };
+const parent = { fontSize: '20px', parentElement: root };
+const element = { fontSize: '24px', parentElement: parent };
+
+beforeEach(() => {
+  globalThis.document = { documentElement: root };
+  globalThis.getComputedStyle = node => ({ fontSize: node.fontSize });
+});
+
+test('converts px to rem, em and pt', () => {
+  const context = UnitConverter.getContext(element, 'letterSpacing');
+
+  assert.deepEqual(context, { rem: 16, em: 24 });
+  assert.equal(UnitConverter.convert(12, 'rem', context), '0.75rem');
+  assert.equal(UnitConverter.convert(12, 'em', context), '0.5em');
+  assert.equal(UnitConverter.convert(12, 'pt', context), '9pt');
+  assert.equal(UnitConverter.convert(1 / 3, 'px', context), '0.333px');
+});
+
+test('resolves em in font-size against the parent', () => {
+  assert.deepEqual(UnitConverter.describe(element, 'fontSize', '24px', { unit: 'em' }), {
+    value: '1.2em',
+    conversions: ['24px', '1.5rem', '18pt']
+  });
+});
+
+test('adds the unitless ratio for line heights', () => {
+  assert.deepEqual(UnitConverter.describe(element, 'lineHeight', '36px'), {
+    value: '36px',
+    conversions: ['2.25rem', '1.5em', '27pt', '1.5']
+  });
+  assert.equal(
+    UnitConverter.describe(element, 'lineHeight', '36px', { lineHeightRatio: true }).value,
+    '1.5');
+});
+
+test('keeps the sign of negative lengths', () => {
+  assert.equal(UnitConverter.describe(element, 'letterSpacing', '-1.2px', { unit: 'em' }).value,
+    '-0.05em');
+});
+
+test('resolves font-relative percentages', () => {
+  assert.equal(UnitConverter.describe(element, 'letterSpacing', '10%').value, '2.4px');
+  assert.equal(UnitConverter.describe(element, 'text-underline-offset', '-25%').value, '-6px');
+});
+
+test('passes keywords and other percentages through', () => {
+  ['normal', 'auto', '0px 1px'].forEach(value => {
+    assert.deepEqual(UnitConverter.describe(element, 'letterSpacing', value),
+      { value, conversions: [] });
+  });
+  assert.deepEqual(UnitConverter.describe(element, 'text-indent', '5%'),
+    { value: '5%', conversions: [] });
+});
+
+test('falls back to 16px without a font size', () => {
+  assert.equal(UnitConverter.getFontSize(null), 16);
+  assert.equal(UnitConverter.getFontSize({ fontSize: '' }), 16);
+});